@@ -57,18 +57,204 @@ export const DEFAULT_AREA = {
   rotation: 0,
 };
 
+/**
+ * Colors given to new comparison zones, in order
+ * @constant {string[]}
+ */
+export const ZONE_COLORS = [
+  '#52b788',
+  '#f4a261',
+  '#4cc9f0',
+  '#c77dff',
+  '#e9c46a',
+  '#ef476f',
+  '#90be6d',
+  '#8ecae6',
+];
+
+/**
+ * Maximum number of comparison zones
+ * @constant {number}
+ */
+export const MAX_ZONES = 8;
+
+/**
+ * Ways of aligning the tablets of zones on different tablets
+ * @constant {string[]}
+ */
+export const TABLET_ALIGNMENTS = ['center', 'top-left'];
+
+/**
+ * Ways of placing an area on another tablet: same position relative to the tablet size, or
+ * same distance from one of its corners
+ * @constant {string[]}
+ */
+export const TRANSFER_MODES = ['proportional', 'offset'];
+
+/**
+ * Tablet corners an area can keep its distance from when moved to another tablet
+ * @constant {string[]}
+ */
+export const TRANSFER_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+/**
+ * Maximum length of a zone name
+ * @constant {number}
+ */
+export const MAX_ZONE_NAME_LENGTH = 24;
+
+/**
+ * Minimum area width/height in mm
+ * @constant {number}
+ */
+export const MIN_AREA_SIZE = 1;
+
+/**
+ * Default display area used for driver exports (1080p, full screen)
+ * @constant {Object}
+ */
+export const DEFAULT_DISPLAY = {
+  width: 1920,
+  height: 1080,
+  x: 960,
+  y: 540,
+};
+
+/**
+ * Default monitor resolution in px
+ * @constant {Object}
+ */
+export const DEFAULT_MONITOR = {
+  width: 1920,
+  height: 1080,
+};
+
+/**
+ * Share of the pen samples kept when measuring the coverage extent (drops stray movements)
+ * @constant {number}
+ */
+export const COVERAGE_SHARE = 0.99;
+
+/**
+ * Space added around the coverage extent when suggesting an area (share of the extent)
+ * @constant {number}
+ */
+export const COVERAGE_MARGIN = 0.05;
+
+/**
+ * Share of the recorded pen samples the "fit area to recording" extent covers
+ * @constant {number}
+ */
+export const RECORDING_SHARE = 0.95;
+
+/**
+ * Heatmap cell size in mm
+ * @constant {number}
+ */
+export const HEATMAP_CELL_SIZE = 1;
+
+/**
+ * Beatmap density cell size in osu!pixels
+ * @constant {number}
+ */
+export const BEATMAP_CELL_SIZE = 8;
+
 /**
  * Maximum scale for visualizer
  * @constant {number}
  */
 export const MAX_VISUALIZER_SCALE = 3;
 
+/**
+ * Minimum visualizer zoom (1 = whole tablet visible)
+ * @constant {number}
+ */
+export const MIN_VISUALIZER_ZOOM = 0.5;
+
+/**
+ * Maximum visualizer zoom
+ * @constant {number}
+ */
+export const MAX_VISUALIZER_ZOOM = 20;
+
+/**
+ * Zoom factor of one zoom button step
+ * @constant {number}
+ */
+export const VISUALIZER_ZOOM_STEP = 1.25;
+
 /**
  * Visualizer padding in pixels
  * @constant {number}
  */
 export const VISUALIZER_PADDING = 40;
 
+/**
+ * Grid spacings the user can pick, in mm
+ * @constant {number[]}
+ */
+export const GRID_SPACINGS = [1, 5, 10];
+
+/**
+ * Grid steps in mm, the grid coarsens along them when zooming out
+ * @constant {number[]}
+ */
+export const GRID_STEPS = [1, 5, 10, 50, 100, 500];
+
+/**
+ * Minimum gap between grid lines in pixels
+ * @constant {number}
+ */
+export const MIN_GRID_GAP = 8;
+
+/**
+ * Minimum gap between ruler labels in pixels
+ * @constant {number}
+ */
+export const MIN_RULER_LABEL_GAP = 40;
+
+/**
+ * Ruler thickness in pixels
+ * @constant {number}
+ */
+export const RULER_SIZE = 20;
+
+/**
+ * Default snapping distance of dragged areas in pixels
+ * @constant {number}
+ */
+export const DEFAULT_SNAP_THRESHOLD = 8;
+
+/**
+ * Maximum snapping distance in pixels
+ * @constant {number}
+ */
+export const MAX_SNAP_THRESHOLD = 20;
+
+/**
+ * Area nudge of an arrow key in mm
+ * @constant {number}
+ */
+export const KEYBOARD_NUDGE = 0.1;
+
+/**
+ * Area nudge of Shift + an arrow key in mm
+ * @constant {number}
+ */
+export const KEYBOARD_NUDGE_LARGE = 1;
+
+/**
+ * Rotation step of the bracket keys in degrees
+ * @constant {number}
+ */
+export const KEYBOARD_ROTATION_STEP = 1;
+
+/**
+ * Rotation step of Shift + the bracket keys in degrees
+ * @constant {number}
+ */
+export const KEYBOARD_ROTATION_STEP_LARGE = 15;
+
 /**
  * Debounce delay for input updates (ms)
  * @constant {number}
@@ -8,36 +8,207 @@ import './styles/base.css';
 import './styles/components.css';
 import './styles/layout.css';
 
-import { initI18n, translatePage, setLocale, getLocale } from './modules/i18n.js';
-import { loadPrefs, savePrefs, getTheme, setTheme } from './modules/storage.js';
+import { initI18n, t, translatePage, setLocale, getLocale } from './modules/i18n.js';
+import {
+  loadPrefs,
+  savePrefs,
+  hasPrefs,
+  getTheme,
+  setTheme,
+  getFavorites,
+} from './modules/storage.js';
 import { icon } from './modules/icons.js';
 import {
   initVisualizer,
   setTablet,
-  setArea,
-  setAreaB,
-  setAreaRadius,
-  setAreaRotation,
+  setZones,
   setGridVisible,
+  setGridSpacing,
+  setSnapThreshold,
   setComparisonMode,
+  setTabletAlignment,
   setActiveZone,
+  setLockRatio,
+  setPlayfield,
+  setHeatmap,
+  setSuggestedArea,
+  setBeatmapDensity,
+  setRecording,
+  isRecording,
+  getRecordedPoints,
+  clearRecording,
+  zoomBy,
+  resetZoom,
 } from './modules/visualizer.js';
-import { initTabletSelector, setCurrentTablet } from './modules/tablet-selector.js';
+import {
+  initTabletSelector,
+  setCurrentTablet,
+  findTabletByName,
+  getTabletResolution,
+} from './modules/tablet-selector.js';
 import { initFavorites, saveCurrentAsFavorite } from './modules/favorites.js';
-import { initProPlayers, openProPlayersModal } from './modules/pro-players.js';
-import { clamp, debounce, calculateRatioString, formatNumber } from './modules/utils.js';
-import { showRecapModal } from './modules/modal.js';
-
-// App state
-const state = {
-  tablet: null,
-  area: { x: 0, y: 0, width: 100, height: 62.5, radius: 0, rotation: 0 },
-  areaB: { x: 0, y: 0, width: 100, height: 62.5, radius: 0, rotation: 0 },
-  comparisonMode: false,
-  activeZone: 'A',
-  lockRatio: true,
-  showGrid: true,
-};
+import { initProPlayers, openProPlayersModal, getProPlayers } from './modules/pro-players.js';
+import {
+  clamp,
+  debounce,
+  calculateRatioString,
+  formatNumber,
+  downloadFile,
+  copyToClipboard,
+  escapeHtml,
+  generateId,
+} from './modules/utils.js';
+import {
+  alert,
+  confirm,
+  confirmDelete,
+  prompt,
+  showRecapModal,
+  updateRecapModal,
+  showOtdExportModal,
+  showWacomAreaModal,
+  showPlayfieldCalculatorModal,
+  showDriverConfigModal,
+  showCoverageModal,
+  showTransferAreaModal,
+  showSensitivityMatchModal,
+} from './modules/modal.js';
+import {
+  buildOtdSettings,
+  getOtdTabletName,
+  parseOtdSettings,
+} from './modules/opentabletdriver.js';
+import { areaToWacom, wacomToArea } from './modules/wacom.js';
+import { buildTabletDriverConfig, parseTabletDriverConfig } from './modules/tabletdriver.js';
+import { buildLazerConfig, parseLazerConfig } from './modules/lazer.js';
+import { notify } from './modules/notifications.js';
+import { buildShareUrl, decodeShareState } from './modules/share.js';
+import { clampAreaToTablet, fitRotatedSize, fitAreaToTablet } from './modules/geometry.js';
+import { snapToPoint } from './modules/snap.js';
+import { compareAreas } from './modules/comparison.js';
+import { transferArea } from './modules/transfer.js';
+import {
+  createZone,
+  findZone,
+  getZoneArea,
+  updateZone,
+  duplicateZone,
+  removeZone,
+  moveZone,
+  getTabletOffset,
+  migrateZones,
+} from './modules/zones.js';
+import {
+  getPixelsPerMm,
+  getAreaSizeForSensitivity,
+  getRatioMismatch,
+  isRatioMismatched,
+  fitDisplayToMonitor,
+  screenToTablet,
+} from './modules/screen.js';
+import {
+  getPlayfieldFraction,
+  getPlayfieldArea,
+  getAreaForPlayfield,
+  playfieldToScreen,
+  OSU_PLAYFIELD,
+} from './modules/playfield.js';
+import { parseReplay, OSU_MODE_STANDARD } from './modules/replay.js';
+import { parseBeatmap, getJumps, getHitObjectPoints } from './modules/beatmap.js';
+import { toAreaFrame, getExtent, fitAreaToExtent, buildHeatmap } from './modules/coverage.js';
+import {
+  pushState,
+  undo,
+  redo,
+  isSameSnapshot,
+  subscribeToHistory,
+  initKeyboardShortcuts,
+} from './modules/history.js';
+import {
+  getState,
+  getActiveArea,
+  setState,
+  setActiveAreaState,
+  subscribe,
+  initializeState,
+} from './store/index.js';
+import {
+  DEFAULT_TABLET,
+  MIN_AREA_SIZE,
+  ASPECT_RATIO_16_9,
+  COVERAGE_SHARE,
+  COVERAGE_MARGIN,
+  HEATMAP_CELL_SIZE,
+  BEATMAP_CELL_SIZE,
+  RECORDING_SHARE,
+  GRID_SPACINGS,
+  MAX_SNAP_THRESHOLD,
+  MAX_ZONES,
+  TABLET_ALIGNMENTS,
+  TRANSFER_MODES,
+  TRANSFER_CORNERS,
+  MAX_ZONE_NAME_LENGTH,
+} from './constants/index.js';
+
+// State as of the last recorded change (what the next change pushes to the undo stack)
+let historySnapshot = null;
+
+// Pen coverage under analysis: tablet points (mm) and the area suggested from them
+let coverage = null;
+
+// Beatmap shown over the playfield: name, hit object density and jumps (osu!pixels)
+let beatmap = null;
+
+// How the active area is carried over to a newly selected tablet (last choice)
+let transferOptions = { mode: TRANSFER_MODES[0], corner: TRANSFER_CORNERS[0] };
+
+/**
+ * Get an undo/redo snapshot of the current state
+ * @returns {Object}
+ */
+function getHistorySnapshot() {
+  const { tablet, zones, activeZone } = getState();
+  return { tablet, zones, activeZone };
+}
+
+/**
+ * Record a completed change in the undo history
+ * Pushes the state as it was before the change, so undo restores it
+ */
+function recordHistory() {
+  if (!getState().tablet) return;
+
+  const snapshot = getHistorySnapshot();
+  if (historySnapshot && !isSameSnapshot(historySnapshot, snapshot)) {
+    pushState(historySnapshot);
+  }
+  historySnapshot = snapshot;
+}
+
+/**
+ * Restore a snapshot from the undo history
+ * @param {Object} snapshot - Snapshot returned by undo/redo
+ */
+function applyHistorySnapshot(snapshot) {
+  setState(snapshot);
+  historySnapshot = getHistorySnapshot();
+}
+
+/**
+ * Undo the last recorded change
+ */
+function undoChange() {
+  const previous = undo(getHistorySnapshot());
+  if (previous) applyHistorySnapshot(previous);
+}
+
+/**
+ * Redo the last undone change
+ */
+function redoChange() {
+  const next = redo(getHistorySnapshot());
+  if (next) applyHistorySnapshot(next);
+}
 
 /**
  * Initialize theme
@@ -78,6 +249,10 @@ async function selectLanguage(locale) {
   translatePage();
   updateLangDisplay();
   updateLangMenuActive();
+  updateSensitivityDisplay(getState());
+  renderZoneList(getState());
+  renderComparisonPanel(getState());
+  updateRecordingControls();
   hideLangMenu();
 }
 
@@ -129,33 +304,46 @@ function updateLangDisplay() {
   }
 }
 
+/**
+ * Write a value to an input unless the user is currently editing it
+ * @param {HTMLInputElement|null} input - Input element
+ * @param {string|number} value - Value to display
+ * @param {boolean} [force=false] - Overwrite even when focused
+ */
+function setInputValue(input, value, force = false) {
+  if (input && (force || input !== document.activeElement)) {
+    input.value = value;
+  }
+}
+
 /**
  * Update area dimensions from inputs
  */
 function updateAreaFromInputs(forceUpdate = false) {
   const widthInput = document.querySelector('#area-width');
   const heightInput = document.querySelector('#area-height');
+  const { tablet, lockRatio } = getState();
 
-  if (!widthInput || !heightInput || !state.tablet) return;
+  if (!widthInput || !heightInput || !tablet) return;
 
   // Don't update if input is empty (user is typing)
   if (!forceUpdate && (widthInput.value === '' || heightInput.value === '')) {
     return;
   }
 
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
+  const activeArea = getActiveArea();
 
   let width = parseFloat(widthInput.value) || activeArea.width;
   let height = parseFloat(heightInput.value) || activeArea.height;
 
   // Clamp to tablet bounds
-  width = clamp(width, 1, state.tablet.width);
-  height = clamp(height, 1, state.tablet.height);
+  width = clamp(width, MIN_AREA_SIZE, tablet.width);
+  height = clamp(height, MIN_AREA_SIZE, tablet.height);
 
   // Keep aspect ratio if locked (16:9)
-  if (state.lockRatio) {
+  if (lockRatio) {
     const targetRatio = 16 / 9;
-    const { height: tabletHeight } = state.tablet;
+    const { height: tabletHeight } = tablet;
     height = width / targetRatio;
     if (height > tabletHeight) {
       height = tabletHeight;
@@ -163,26 +351,14 @@ function updateAreaFromInputs(forceUpdate = false) {
     }
   }
 
-  activeArea.width = width;
-  activeArea.height = height;
-
-  clampAreaPosition();
+  setActiveAreaState(clampAreaToTablet({ ...activeArea, width, height }, tablet));
 
   // Only update input values on forceUpdate (blur/change event)
   if (forceUpdate) {
-    widthInput.value = formatNumber(activeArea.width, 1);
-    heightInput.value = formatNumber(activeArea.height, 1);
+    widthInput.value = formatNumber(width, 1);
+    heightInput.value = formatNumber(height, 1);
+    recordHistory();
   }
-
-  if (state.activeZone === 'A') {
-    setArea(state.area);
-  } else {
-    setAreaB(state.areaB);
-  }
-
-  updatePositionInputs();
-  updateRatioDisplay();
-  debouncedSaveState();
 }
 
 /**
@@ -191,53 +367,29 @@ function updateAreaFromInputs(forceUpdate = false) {
 function updatePositionFromInputs(forceUpdate = false) {
   const posXInput = document.querySelector('#area-pos-x');
   const posYInput = document.querySelector('#area-pos-y');
+  const { tablet } = getState();
 
-  if (!posXInput || !posYInput || !state.tablet) return;
+  if (!posXInput || !posYInput || !tablet) return;
 
   // Don't update if input is empty (user is typing)
   if (!forceUpdate && (posXInput.value === '' || posYInput.value === '')) {
     return;
   }
 
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
+  const activeArea = getActiveArea();
 
   const x = parseFloat(posXInput.value) || activeArea.x;
   const y = parseFloat(posYInput.value) || activeArea.y;
 
-  activeArea.x = x;
-  activeArea.y = y;
-
-  clampAreaPosition();
+  const area = clampAreaToTablet({ ...activeArea, x, y }, tablet);
+  setActiveAreaState(area);
 
   // Only update input values on forceUpdate (blur/change event)
   if (forceUpdate) {
-    posXInput.value = formatNumber(activeArea.x, 1);
-    posYInput.value = formatNumber(activeArea.y, 1);
-  }
-
-  if (state.activeZone === 'A') {
-    setArea(state.area);
-  } else {
-    setAreaB(state.areaB);
+    posXInput.value = formatNumber(area.x, 1);
+    posYInput.value = formatNumber(area.y, 1);
+    recordHistory();
   }
-
-  debouncedSaveState();
-}
-
-/**
- * Snap value to nearest snap point if within threshold
- * @param {number} value - Current value
- * @param {number[]} snapPoints - Array of snap points
- * @param {number} threshold - Distance threshold for snapping
- * @returns {number} - Snapped value or original
- */
-function snapToPoint(value, snapPoints, threshold = 5) {
-  for (const point of snapPoints) {
-    if (Math.abs(value - point) <= threshold) {
-      return point;
-    }
-  }
-  return value;
 }
 
 /**
@@ -245,7 +397,6 @@ function snapToPoint(value, snapPoints, threshold = 5) {
  */
 function updateRadiusFromSlider() {
   const radiusSlider = document.querySelector('#area-radius');
-  const radiusInput = document.querySelector('#radius-value');
 
   if (!radiusSlider) return;
 
@@ -254,25 +405,16 @@ function updateRadiusFromSlider() {
   // Snap to key points: 0%, 50%, 100%
   radius = snapToPoint(radius, [0, 50, 100], 2);
 
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  activeArea.radius = radius;
-
   // Update slider position if snapped
   radiusSlider.value = radius;
 
-  if (radiusInput) {
-    radiusInput.value = radius;
-  }
-
-  setAreaRadius(radius);
-  debouncedSaveState();
+  setActiveAreaState({ radius });
 }
 
 /**
  * Update radius from manual input (no snapping)
  */
 function updateRadiusFromInput() {
-  const radiusSlider = document.querySelector('#area-radius');
   const radiusInput = document.querySelector('#radius-value');
 
   if (!radiusInput) return;
@@ -280,16 +422,25 @@ function updateRadiusFromInput() {
   let radius = parseInt(radiusInput.value, 10) || 0;
   radius = clamp(radius, 0, 100);
 
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  activeArea.radius = radius;
-
-  if (radiusSlider) {
-    radiusSlider.value = radius;
-  }
   radiusInput.value = radius;
 
-  setAreaRadius(radius);
-  debouncedSaveState();
+  setActiveAreaState({ radius });
+  recordHistory();
+}
+
+/**
+ * Resize the active area, shrinking it (keeping the requested ratio) when it does not fit on
+ * the tablet once rotated
+ * @param {number} width - Wanted width in mm
+ * @param {number} height - Wanted height in mm
+ * @param {{x?: number, y?: number}} [position] - Wanted center (defaults to the current one)
+ */
+function applyActiveAreaSize(width, height, position = {}) {
+  const { tablet } = getState();
+  if (!tablet) return;
+
+  setActiveAreaState(fitAreaToTablet({ ...getActiveArea(), ...position, width, height }, tablet));
+  recordHistory();
 }
 
 /**
@@ -297,7 +448,6 @@ function updateRadiusFromInput() {
  */
 function updateRotationFromSlider() {
   const rotationSlider = document.querySelector('#area-rotation');
-  const rotationInput = document.querySelector('#rotation-value');
 
   if (!rotationSlider) return;
 
@@ -306,25 +456,16 @@ function updateRotationFromSlider() {
   // Snap to key angles: -180°, -90°, 0°, 90°, 180°
   rotation = snapToPoint(rotation, [-180, -90, 0, 90, 180], 2);
 
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  activeArea.rotation = rotation;
-
   // Update slider position if snapped
   rotationSlider.value = rotation;
 
-  if (rotationInput) {
-    rotationInput.value = rotation;
-  }
-
-  setAreaRotation(rotation);
-  debouncedSaveState();
+  setActiveAreaState({ rotation });
 }
 
 /**
  * Update rotation from manual input (no snapping)
  */
 function updateRotationFromInput() {
-  const rotationSlider = document.querySelector('#area-rotation');
   const rotationInput = document.querySelector('#rotation-value');
 
   if (!rotationInput) return;
@@ -332,97 +473,44 @@ function updateRotationFromInput() {
   let rotation = parseInt(rotationInput.value, 10) || 0;
   rotation = clamp(rotation, -180, 180);
 
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  activeArea.rotation = rotation;
-
-  if (rotationSlider) {
-    rotationSlider.value = rotation;
-  }
   rotationInput.value = rotation;
 
-  setAreaRotation(rotation);
-  debouncedSaveState();
-}
-
-/**
- * Clamp area position within tablet bounds
- */
-function clampAreaPosition() {
-  if (!state.tablet) return;
-
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-
-  const halfW = activeArea.width / 2;
-  const halfH = activeArea.height / 2;
-
-  activeArea.x = clamp(activeArea.x, halfW, state.tablet.width - halfW);
-  activeArea.y = clamp(activeArea.y, halfH, state.tablet.height - halfH);
+  setActiveAreaState({ rotation });
+  recordHistory();
 }
 
 /**
  * Center the area
  */
 function centerArea() {
-  if (!state.tablet) return;
-
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-
-  activeArea.x = state.tablet.width / 2;
-  activeArea.y = state.tablet.height / 2;
-
-  if (state.activeZone === 'A') {
-    setArea(state.area);
-  } else {
-    setAreaB(state.areaB);
-  }
+  const { tablet } = getState();
+  if (!tablet) return;
 
-  updatePositionInputs();
-  saveState();
+  setActiveAreaState({ x: tablet.width / 2, y: tablet.height / 2 });
+  recordHistory();
 }
 
 /**
  * Set area to full tablet size
  */
 function setFullArea() {
-  if (!state.tablet) return;
-
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-
-  if (state.lockRatio) {
-    const targetRatio = 16 / 9;
-    const tabletRatio = state.tablet.width / state.tablet.height;
-
-    if (tabletRatio > targetRatio) {
-      activeArea.height = state.tablet.height;
-      activeArea.width = activeArea.height * targetRatio;
-    } else {
-      activeArea.width = state.tablet.width;
-      activeArea.height = activeArea.width / targetRatio;
-    }
-  } else {
-    activeArea.width = state.tablet.width;
-    activeArea.height = state.tablet.height;
-  }
+  const { tablet, lockRatio } = getState();
+  if (!tablet) return;
 
-  activeArea.x = state.tablet.width / 2;
-  activeArea.y = state.tablet.height / 2;
+  // Largest area of the locked (or tablet) ratio that still fits once rotated
+  const ratio = lockRatio ? 16 / 9 : tablet.width / tablet.height;
+  const { width, height } = fitRotatedSize(ratio, getActiveArea().rotation, tablet);
 
-  if (state.activeZone === 'A') {
-    setArea(state.area);
-  } else {
-    setAreaB(state.areaB);
-  }
-
-  updateInputs();
-  updateRatioDisplay();
-  saveState();
+  setActiveAreaState({ width, height, x: tablet.width / 2, y: tablet.height / 2 });
+  recordHistory();
 }
 
 /**
  * Update ratio display
+ * @param {Object} state - Store state
  */
-function updateRatioDisplay() {
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
+function updateRatioDisplay(state) {
+  const activeArea = getZoneArea(state.zones, state.activeZone);
   const ratioValue = document.querySelector('#ratio-value');
   const ratioDisplay = document.querySelector('#ratio-display');
   const ratio = calculateRatioString(activeArea.width, activeArea.height);
@@ -441,312 +529,1325 @@ function updateRatioDisplay() {
 }
 
 /**
- * Update tablet info display
+ * Update the px/mm badge and the ratio warning in the visualizer info bar
+ * @param {Object} state - Store state
  */
-function updateTabletInfo() {
-  const tabletDimensions = document.querySelector('#tablet-dimensions');
-  if (tabletDimensions && state.tablet) {
-    tabletDimensions.textContent = `${formatNumber(
-      state.tablet.width,
-      1
-    )} × ${formatNumber(state.tablet.height, 1)} mm`;
+function updateSensitivityDisplay(state) {
+  const activeArea = getZoneArea(state.zones, state.activeZone);
+  const { display } = state;
+
+  const sensitivityDisplay = document.querySelector('#sensitivity-display');
+  if (sensitivityDisplay) {
+    const { x, y } = getPixelsPerMm(activeArea, display);
+    sensitivityDisplay.textContent = `${formatNumber(x, 1)} × ${formatNumber(y, 1)} px/mm`;
+  }
+
+  const ratioWarning = document.querySelector('#ratio-warning');
+  if (ratioWarning) {
+    const mismatched = isRatioMismatched(activeArea, display);
+    ratioWarning.classList.toggle('hidden', !mismatched);
+    if (mismatched) {
+      ratioWarning.innerHTML = `${icon('warning')}<span>${t('screen.ratioMismatch', {
+        area: calculateRatioString(activeArea.width, activeArea.height),
+        screen: calculateRatioString(display.width, display.height),
+      })}</span>`;
+    }
   }
 }
 
 /**
- * Get recap data
+ * Update monitor and display area from the screen inputs
+ * A display covering the whole monitor follows monitor changes.
+ * @param {boolean} forceUpdate - Format the inputs (blur/change event)
  */
-function getRecapData() {
-  if (!state.tablet) return null;
+function updateScreenFromInputs(forceUpdate = false) {
+  const inputs = ['#monitor-width', '#monitor-height', '#display-width', '#display-height'].map(
+    selector => document.querySelector(selector)
+  );
+  if (inputs.some(input => !input)) return;
+  if (!forceUpdate && inputs.some(input => input.value === '')) return;
 
-  const { tablet, area } = state;
-  return {
-    width: formatNumber(area.width),
-    height: formatNumber(area.height),
-    ratio: calculateRatioString(area.width, area.height),
-    surface: (area.width * area.height).toFixed(1),
-    coverageX: ((area.width / tablet.width) * 100).toFixed(1),
-    coverageY: ((area.height / tablet.height) * 100).toFixed(1),
-    position: `${formatNumber(area.x, 1)}, ${formatNumber(area.y, 1)}`,
+  const { monitor: previousMonitor, display: previousDisplay } = getState();
+  const [monitorWidth, monitorHeight, displayWidth, displayHeight] = inputs.map(input =>
+    Math.round(parseFloat(input.value))
+  );
+
+  const monitor = {
+    width: monitorWidth > 0 ? monitorWidth : previousMonitor.width,
+    height: monitorHeight > 0 ? monitorHeight : previousMonitor.height,
   };
+
+  const wasFullScreen =
+    previousDisplay.width === previousMonitor.width &&
+    previousDisplay.height === previousMonitor.height;
+  const monitorChanged =
+    monitor.width !== previousMonitor.width || monitor.height !== previousMonitor.height;
+
+  const display =
+    wasFullScreen && monitorChanged
+      ? { ...monitor, x: monitor.width / 2, y: monitor.height / 2 }
+      : fitDisplayToMonitor(
+          {
+            ...previousDisplay,
+            width: displayWidth > 0 ? displayWidth : previousDisplay.width,
+            height: displayHeight > 0 ? displayHeight : previousDisplay.height,
+          },
+          monitor
+        );
+
+  setState({ monitor, display });
+
+  if (forceUpdate) {
+    const state = getState();
+    inputs[0].value = state.monitor.width;
+    inputs[1].value = state.monitor.height;
+    inputs[2].value = state.display.width;
+    inputs[3].value = state.display.height;
+  }
 }
 
 /**
- * Show recap modal
+ * Compute the area giving a wanted playfield size, with the playfield centered on the tablet
+ * With the ratio locked, the area keeps the locked ratio and the playfield height follows.
+ * @param {{width: number, height: number, scale: number}} values - Calculator values
+ * @returns {{playfield: Object, area: Object, fits: boolean}} - Playfield, area to apply (shrunk
+ *   when it does not fit on the tablet) and whether it fitted as is
  */
-function showRecap() {
-  const data = getRecapData();
-  if (data) {
-    showRecapModal(data);
+function calculatePlayfieldArea({ width, height, scale }) {
+  const { tablet, lockRatio, monitor, display } = getState();
+  const activeArea = getActiveArea();
+
+  let playfield = { width, height };
+  if (lockRatio) {
+    const fraction = getPlayfieldFraction(display, monitor, scale);
+    const areaHeight = width / fraction.width / ASPECT_RATIO_16_9;
+    playfield = { width, height: areaHeight * fraction.height };
   }
+
+  const wanted = {
+    ...activeArea,
+    ...getAreaForPlayfield(playfield, display, monitor, {
+      scale,
+      center: { x: tablet.width / 2, y: tablet.height / 2 },
+      rotation: activeArea.rotation || 0,
+    }),
+  };
+  const area = fitAreaToTablet(wanted, tablet);
+
+  // Only shrinking changes the size
+  return { playfield, area, fits: area.width === wanted.width };
 }
 
 /**
- * Save state to localStorage
+ * Open the playfield calculator and apply its result to the active zone
  */
-function saveState() {
-  const prefs = {
-    tablet: state.tablet,
-    area: state.area,
-    areaB: state.areaB,
-    comparisonMode: state.comparisonMode,
-    activeZone: state.activeZone,
+async function openPlayfieldCalculator() {
+  const state = getState();
+  if (!state.tablet) return;
+
+  const current = getPlayfieldArea(
+    getActiveArea(),
+    state.display,
+    state.monitor,
+    state.playfieldScale
+  );
+
+  const result = await showPlayfieldCalculatorModal({
+    playfield: { width: +current.width.toFixed(1), height: +current.height.toFixed(1) },
+    scale: state.playfieldScale,
     lockRatio: state.lockRatio,
-    showGrid: state.showGrid,
-  };
-  savePrefs(prefs);
-}
+    screen: `${state.monitor.width} × ${state.monitor.height}`,
+    calculate: calculatePlayfieldArea,
+  });
+  if (!result || result.width <= 0 || result.height <= 0) return;
 
-const debouncedSaveState = debounce(saveState, 300);
+  const scale = clamp(result.scale, 0.01, 1);
+  const { area } = calculatePlayfieldArea({ ...result, scale });
+
+  setState({ playfieldScale: scale });
+  setActiveAreaState(area);
+  recordHistory();
+}
 
 /**
- * Load state from localStorage
+ * Areas whose sensitivity can be matched: the other zones, favorites and pro players
+ * @param {Object} state - Store state
+ * @returns {Array<{id: string, group: string, label: string, area: Object}>}
  */
-function loadState() {
-  const prefs = loadPrefs();
-  if (prefs) {
-    if (prefs.tablet) state.tablet = prefs.tablet;
-    if (prefs.area) state.area = { ...state.area, ...prefs.area };
-    if (prefs.areaB) state.areaB = { ...state.areaB, ...prefs.areaB };
-    if (typeof prefs.comparisonMode === 'boolean') state.comparisonMode = prefs.comparisonMode;
-    if (prefs.activeZone) state.activeZone = prefs.activeZone;
-    if (typeof prefs.lockRatio === 'boolean') state.lockRatio = prefs.lockRatio;
-    if (typeof prefs.showGrid === 'boolean') state.showGrid = prefs.showGrid;
-  }
+function getSensitivityReferences(state) {
+  return [
+    ...state.zones
+      .filter(zone => zone.id !== state.activeZone)
+      .map(zone => ({ id: `zone:${zone.id}`, group: 'zones', label: zone.name, area: zone.area })),
+    ...getFavorites().map(favorite => ({
+      id: `favorite:${favorite.id}`,
+      group: 'favorites',
+      label: favorite.name,
+      area: favorite.area,
+    })),
+    ...getProPlayers().map(player => ({
+      id: `player:${player.name}`,
+      group: 'players',
+      label: player.name,
+      area: player.area,
+    })),
+  ];
 }
 
 /**
- * Handle tablet selection
+ * Compute the active area giving a reference area's sensitivity on the current display area
+ * @param {Object} reference - Reference area (mm)
+ * @param {Object} values - Sensitivity matcher values
+ * @param {{width: number, height: number}} values.screen - Display area the reference is
+ *   used with (px)
+ * @param {number} values.adjustment - Sensitivity change in percent (5 = 5% more px/mm)
+ * @returns {{pixelsPerMm: Object, area: Object, fits: boolean}} - Target px/mm, the area to
+ *   apply (centered where the active area is, shrunk when it does not fit on the tablet) and
+ *   whether it fitted as is
  */
-function onTabletSelected(tablet) {
-  state.tablet = tablet;
-  setTablet(tablet.width, tablet.height);
+function calculateSensitivityArea(reference, { screen, adjustment }) {
+  const { tablet, display } = getState();
+  const factor = 1 + adjustment / 100;
+  const { x, y } = getPixelsPerMm(reference, screen);
+  const pixelsPerMm = { x: x * factor, y: y * factor };
 
-  updateTabletInfo();
+  const wanted = { ...getActiveArea(), ...getAreaSizeForSensitivity(pixelsPerMm, display) };
+  const area = fitAreaToTablet(wanted, tablet);
 
-  const customDimensions = document.querySelector('#custom-dimensions');
-  if (tablet.isCustom) {
-    const customWidth = document.querySelector('#custom-width');
-    const customHeight = document.querySelector('#custom-height');
-    if (customWidth) customWidth.value = tablet.width;
-    if (customHeight) customHeight.value = tablet.height;
-    customDimensions?.classList.remove('hidden');
+  // Only shrinking changes the size
+  return { pixelsPerMm, area, fits: area.width === wanted.width };
+}
 
-    // Reset preset buttons active state
-    document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
-  } else {
-    customDimensions?.classList.add('hidden');
-  }
+/**
+ * Open the sensitivity matcher and apply its result to the active zone
+ */
+async function openSensitivityMatcher() {
+  const state = getState();
+  if (!state.tablet) return;
 
-  if (state.area.width > tablet.width) state.area.width = tablet.width;
-  if (state.area.height > tablet.height) state.area.height = tablet.height;
+  const references = getSensitivityReferences(state);
+  if (!references.length) {
+    await alert(t('sensitivityMatch.noReference'), t('sensitivityMatch.title'));
+    return;
+  }
 
-  state.area.x = tablet.width / 2;
-  state.area.y = tablet.height / 2;
-  clampAreaPosition();
+  const findReference = id => (references.find(item => item.id === id) ?? references[0]).area;
+  const result = await showSensitivityMatchModal({
+    references,
+    screen: state.display,
+    current: getRecapData(state),
+    calculate: values => calculateSensitivityArea(findReference(values.reference), values),
+  });
+  if (!result || result.screen.width <= 0 || result.screen.height <= 0) return;
+  if (result.adjustment <= -100) return;
 
-  setArea(state.area);
-  updateInputs();
-  updateRatioDisplay();
-  saveState();
+  const { area } = calculateSensitivityArea(findReference(result.reference), result);
+  setActiveAreaState(area);
+  recordHistory();
 }
 
 /**
- * Update all input values from state
+ * Map the area to the whole monitor
  */
-function updateInputs() {
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  const widthInput = document.querySelector('#area-width');
-  const heightInput = document.querySelector('#area-height');
-
-  if (widthInput) widthInput.value = formatNumber(activeArea.width, 1);
-  if (heightInput) heightInput.value = formatNumber(activeArea.height, 1);
-
-  updatePositionInputs();
-  updateRadiusSlider();
-  updateRotationSlider();
-  updateRatioDisplay();
+function setFullScreenDisplay() {
+  const { monitor } = getState();
+  setState({ display: { ...monitor, x: monitor.width / 2, y: monitor.height / 2 } });
 }
 
 /**
- * Update position inputs from state
+ * Show pen samples as a heatmap and suggest an area covering them
+ * The suggestion keeps the active area's rotation (and its ratio unless keepRatio is false).
+ * @param {Array<{x: number, y: number}>} points - Pen positions in tablet mm
+ * @param {Object} [options]
+ * @param {number} [options.share=COVERAGE_SHARE] - Share of the samples the area covers
+ * @param {number} [options.margin=COVERAGE_MARGIN] - Extra space around them
+ * @param {boolean} [options.keepRatio=true] - Whether the suggestion keeps the area ratio
+ * @returns {{area: Object, extent: Object, suggestion: Object}|null} - null without samples
  */
-function updatePositionInputs() {
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  const posXInput = document.querySelector('#area-pos-x');
-  const posYInput = document.querySelector('#area-pos-y');
-
-  if (posXInput) posXInput.value = formatNumber(activeArea.x, 1);
-  if (posYInput) posYInput.value = formatNumber(activeArea.y, 1);
+function analyzeCoverage(
+  points,
+  { share = COVERAGE_SHARE, margin = COVERAGE_MARGIN, keepRatio = true } = {}
+) {
+  const { tablet } = getState();
+  const area = getActiveArea();
+  const extent = getExtent(toAreaFrame(points, area), share);
+  if (!tablet || !extent) return null;
+
+  const suggestion = fitAreaToExtent(extent, area, { tablet, margin, keepRatio });
+  coverage = { points, suggestion };
+
+  setHeatmap(buildHeatmap(points, tablet, HEATMAP_CELL_SIZE));
+  setSuggestedArea(suggestion);
+  document.querySelector('#clear-coverage')?.classList.remove('hidden');
+
+  return { area, extent, suggestion };
 }
 
 /**
- * Update radius slider from state
+ * Hide the coverage heatmap and suggested area
  */
-function updateRadiusSlider() {
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  const radiusSlider = document.querySelector('#area-radius');
-  const radiusInput = document.querySelector('#radius-value');
-
-  const radius = activeArea.radius || 0;
-  if (radiusSlider) radiusSlider.value = radius;
-  if (radiusInput) radiusInput.value = radius;
+function clearCoverage() {
+  coverage = null;
+  setHeatmap(null);
+  setSuggestedArea(null);
+  clearRecording();
+  document.querySelector('#clear-coverage')?.classList.add('hidden');
+  updateRecordingControls();
 }
 
 /**
- * Update rotation slider from state
+ * Start or stop recording pen movements on the visualizer
+ * Starting a new recording replaces the current heatmap.
  */
-function updateRotationSlider() {
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  const rotationSlider = document.querySelector('#area-rotation');
-  const rotationInput = document.querySelector('#rotation-value');
+function toggleRecording() {
+  if (isRecording()) {
+    setRecording(false);
+  } else {
+    clearCoverage();
+    setRecording(true);
+  }
+  updateRecordingControls();
+}
 
-  const rotation = activeArea.rotation || 0;
-  if (rotationSlider) rotationSlider.value = rotation;
-  if (rotationInput) rotationInput.value = rotation;
+/**
+ * Analyze the pen recording after each stroke
+ * The suggestion covers RECORDING_SHARE of the samples and follows the ratio lock.
+ * @param {Array<{x: number, y: number}>} points - Recorded samples in tablet mm
+ * @returns {Object|null} - Analysis (see analyzeCoverage)
+ */
+function analyzeRecording(points) {
+  return analyzeCoverage(points, {
+    share: RECORDING_SHARE,
+    margin: 0,
+    keepRatio: getState().lockRatio,
+  });
 }
 
 /**
- * Handle favorite selection
+ * Set the active zone to the extent of the recorded movements
  */
-function onFavoriteSelected(favorite) {
-  state.tablet = favorite.tablet;
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  Object.assign(activeArea, favorite.area);
+function fitAreaToRecording() {
+  const analysis = analyzeRecording(getRecordedPoints());
+  if (!analysis) return;
 
-  setCurrentTablet(state.tablet);
-  setTablet(state.tablet.width, state.tablet.height);
+  const { suggestion } = analysis;
+  applyActiveAreaSize(suggestion.width, suggestion.height, { x: suggestion.x, y: suggestion.y });
+  setSuggestedArea(null);
+}
 
-  if (state.activeZone === 'A') {
-    setArea(state.area);
-  } else {
-    setAreaB(state.areaB);
+/**
+ * Update the record button, the recording summary and the fit button
+ */
+function updateRecordingControls() {
+  const recording = isRecording();
+  const toggle = document.querySelector('#toggle-recording');
+  toggle?.classList.toggle('active', recording);
+  toggle?.setAttribute('aria-pressed', String(recording));
+
+  const points = getRecordedPoints();
+  const summary = document.querySelector('#recording-summary');
+  document.querySelector('#fit-recording')?.classList.toggle('hidden', !points.length);
+  if (!summary) return;
+
+  summary.classList.toggle('hidden', !recording && !points.length);
+  if (!points.length) {
+    summary.textContent = t('recording.hint');
+    return;
   }
 
-  setAreaRadius(activeArea.radius || 0);
-  setAreaRotation(activeArea.rotation || 0);
-
-  updateTabletInfo();
-  updateInputs();
-  saveState();
+  // Extents in the active area's frame (the one the fit uses)
+  const local = toAreaFrame(points, getActiveArea());
+  const size = extent =>
+    `${formatNumber(extent.right - extent.left, 1)} × ${formatNumber(
+      extent.bottom - extent.top,
+      1
+    )}`;
+  summary.textContent = t('recording.summary', {
+    box: size(getExtent(local)),
+    extent: size(getExtent(local, RECORDING_SHARE)),
+    percent: Math.round(RECORDING_SHARE * 100),
+  });
 }
 
 /**
- * Handle pro player selection
+ * Show the coverage summary and apply the suggested area when confirmed
+ * @param {Object} analysis - Result of analyzeCoverage
+ * @param {Object} options
+ * @param {string} options.title - Modal title
+ * @param {Array<{label: string, value: string}>} options.rows - Source specific rows
  */
-function onProPlayerSelected(player) {
-  state.tablet = {
-    brand: player.tablet.brand,
-    model: player.tablet.model,
-    width: player.tablet.width,
-    height: player.tablet.height,
-    isCustom: false,
-  };
+async function openCoverageSummary({ area, extent, suggestion }, { title, rows }) {
+  const change = (suggestion.width / area.width - 1) * 100;
+  const used = value => `${Math.round(value * 100)}%`;
+
+  const apply = await showCoverageModal({
+    title,
+    rows: [
+      ...rows,
+      {
+        label: t('coverage.used'),
+        value: `${used((extent.right - extent.left) / area.width)} × ${used(
+          (extent.bottom - extent.top) / area.height
+        )}`,
+      },
+      {
+        label: t('coverage.current'),
+        value: `${formatNumber(area.width, 1)} × ${formatNumber(area.height, 1)} mm`,
+      },
+      {
+        label: t('coverage.suggested'),
+        value: `${formatNumber(suggestion.width, 1)} × ${formatNumber(
+          suggestion.height,
+          1
+        )} mm (${change > 0 ? '+' : ''}${change.toFixed(0)}%)`,
+      },
+    ],
+  });
+  if (!apply) return;
 
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  Object.assign(activeArea, player.area);
+  applyActiveAreaSize(suggestion.width, suggestion.height, { x: suggestion.x, y: suggestion.y });
+  setSuggestedArea(null);
+}
 
-  setCurrentTablet(state.tablet);
-  setTablet(state.tablet.width, state.tablet.height);
+/**
+ * Analyze osu! replays played with the current settings
+ * Cursor frames are mapped back to the tablet through the playfield, the display area and
+ * the active area, which gives where the pen actually went.
+ * @param {File[]} files - Selected or dropped .osr files
+ */
+async function loadReplays(files) {
+  const state = getState();
+  if (!state.tablet || !files.length) return;
+
+  const replays = [];
+  for (const file of files) {
+    try {
+      const replay = parseReplay(await file.arrayBuffer());
+      if (replay.mode === OSU_MODE_STANDARD && replay.frames.length) {
+        replays.push(replay);
+      }
+    } catch {
+      // Not a replay: counted as skipped
+    }
+  }
 
-  if (state.activeZone === 'A') {
-    setArea(state.area);
-  } else {
-    setAreaB(state.areaB);
+  if (!replays.length) {
+    await alert(t('replay.invalid'), t('replay.title'));
+    return;
   }
 
-  setAreaRadius(activeArea.radius || 0);
-  setAreaRotation(activeArea.rotation || 0);
+  const area = getActiveArea();
+  const points = replays.flatMap(replay =>
+    replay.frames.map(frame =>
+      screenToTablet(
+        playfieldToScreen(frame, state.monitor, state.playfieldScale),
+        area,
+        state.display
+      )
+    )
+  );
 
-  updateTabletInfo();
-  updateInputs();
-  saveState();
+  const analysis = analyzeCoverage(points);
+  if (!analysis) return;
+
+  const players = [...new Set(replays.map(replay => replay.player).filter(Boolean))];
+  await openCoverageSummary(analysis, {
+    title: t('replay.title'),
+    rows: [
+      {
+        label: t('replay.count'),
+        value: `${replays.length}${
+          files.length > replays.length
+            ? ` (${t('replay.skipped', { count: files.length - replays.length })})`
+            : ''
+        }`,
+      },
+      ...(players.length ? [{ label: t('replay.players'), value: players.join(', ') }] : []),
+      { label: t('replay.frames'), value: points.length.toLocaleString(getLocale()) },
+    ],
+  });
 }
 
 /**
- * Toggle comparison mode
+ * Place the beatmap density overlay on the playfield of the current screen settings
+ * @param {Object} state - Current state
  */
-function toggleComparisonMode() {
-  state.comparisonMode = !state.comparisonMode;
-  setComparisonMode(state.comparisonMode);
-
-  const toggleBtn = document.querySelector('#toggle-comparison');
-  const zoneSelector = document.querySelector('#zone-selector');
-
-  toggleBtn?.classList.toggle('active', state.comparisonMode);
-  zoneSelector?.classList.toggle('hidden', !state.comparisonMode);
+function updateBeatmapOverlay(state) {
+  setBeatmapDensity(
+    beatmap?.heatmap ?? null,
+    getPlayfieldFraction(state.display, state.monitor, state.playfieldScale)
+  );
+}
 
-  // If turning on comparison, initialize areaB from areaA
-  if (state.comparisonMode && !state.areaB.width) {
-    state.areaB = { ...state.area };
-    setAreaB(state.areaB);
-  }
+/**
+ * Largest jump of the loaded beatmap, measured on the tablet with the active area
+ * @param {Object} state - Current state
+ * @returns {{distance: number, time: number}|null} - mm and ms, null without beatmap
+ */
+function getLargestJump(state) {
+  if (!beatmap?.jumps.length) return null;
+
+  const area = getZoneArea(state.zones, state.activeZone);
+  const { monitor, display, playfieldScale } = state;
+  const toTablet = point =>
+    screenToTablet(playfieldToScreen(point, monitor, playfieldScale), area, display);
+
+  return beatmap.jumps.reduce(
+    (largest, jump) => {
+      const from = toTablet(jump.from);
+      const to = toTablet(jump.to);
+      const distance = Math.hypot(to.x - from.x, to.y - from.y);
+      return distance > largest.distance ? { distance, time: jump.time } : largest;
+    },
+    { distance: 0, time: 0 }
+  );
+}
 
-  saveState();
+/**
+ * Format a beatmap time as m:ss.mmm
+ * @param {number} time - Time in ms
+ * @returns {string}
+ */
+function formatBeatmapTime(time) {
+  const minutes = Math.floor(time / 60000);
+  const seconds = ((time % 60000) / 1000).toFixed(3).padStart(6, '0');
+  return `${minutes}:${seconds}`;
 }
 
 /**
- * Switch active zone (A or B)
+ * Show a beatmap's hit objects over the playfield and measure its jumps
+ * @param {File} file - Dropped .osu file
  */
-function switchActiveZone(zone) {
-  if (zone === state.activeZone) return;
+async function loadBeatmap(file) {
+  let parsed = null;
+  try {
+    parsed = parseBeatmap(await file.text());
+  } catch {
+    // Reported below
+  }
 
-  state.activeZone = zone;
-  setActiveZone(zone);
+  if (!parsed || parsed.mode !== OSU_MODE_STANDARD || !parsed.hitObjects.length) {
+    await alert(t('beatmap.invalid'), t('beatmap.title'));
+    return;
+  }
 
-  // Update UI
-  const zoneABtn = document.querySelector('#zone-a-btn');
-  const zoneBBtn = document.querySelector('#zone-b-btn');
+  beatmap = {
+    name: `${parsed.artist} - ${parsed.title} [${parsed.version}]`,
+    heatmap: buildHeatmap(getHitObjectPoints(parsed.hitObjects), OSU_PLAYFIELD, BEATMAP_CELL_SIZE),
+    jumps: getJumps(parsed.hitObjects),
+  };
 
-  zoneABtn?.classList.toggle('active', zone === 'A');
-  zoneBBtn?.classList.toggle('active', zone === 'B');
+  const state = getState();
+  updateBeatmapOverlay(state);
+  document.querySelector('#clear-beatmap')?.classList.remove('hidden');
 
-  // Update all inputs for the new active zone
-  updateInputs();
-  saveState();
+  const jump = getLargestJump(state);
+  notify(
+    t('beatmap.loaded', {
+      name: beatmap.name,
+      jump: jump ? formatNumber(jump.distance, 1) : '0',
+    })
+  );
 }
 
 /**
- * Initialize app
+ * Hide the beatmap overlay
  */
-async function init() {
-  loadState();
-
-  await initI18n();
+function clearBeatmap() {
+  beatmap = null;
+  setBeatmapDensity(null);
+  document.querySelector('#clear-beatmap')?.classList.add('hidden');
+}
 
-  initTheme();
-  updateLangDisplay();
+/**
+ * Update tablet info display
+ * @param {Object} tablet - Current tablet
+ */
+function updateTabletInfo(tablet) {
+  const tabletDimensions = document.querySelector('#tablet-dimensions');
+  if (tabletDimensions && tablet) {
+    tabletDimensions.textContent = `${formatNumber(
+      tablet.width,
+      1
+    )} × ${formatNumber(tablet.height, 1)} mm`;
+  }
+}
 
-  translatePage();
+/**
+ * Get recap data for the active area
+ * @param {Object} state - Store state
+ */
+function getRecapData(state) {
+  if (!state.tablet) return null;
 
-  // Initialize visualizer
-  const visualizerContainer = document.querySelector('#visualizer');
-  if (visualizerContainer) {
-    initVisualizer(visualizerContainer);
+  const { tablet } = state;
+  const area = getZoneArea(state.zones, state.activeZone);
+  const resolution = getTabletResolution(tablet);
+  const wacom = resolution ? areaToWacom(area, tablet, resolution) : null;
+  const { monitor, display } = state;
+  const pixelsPerMm = getPixelsPerMm(area, display);
+  const mismatch = getRatioMismatch(area, display);
+  const playfield = getPlayfieldArea(area, display, monitor, state.playfieldScale);
+  const jump = getLargestJump(state);
 
-    if (state.tablet) {
-      setTablet(state.tablet.width, state.tablet.height);
-      clampAreaPosition();
-      setArea(state.area);
-      setAreaB(state.areaB);
-      setAreaRadius(state.area.radius || 0);
-      setAreaRotation(state.area.rotation || 0);
+  return {
+    width: formatNumber(area.width),
+    height: formatNumber(area.height),
+    ratio: calculateRatioString(area.width, area.height),
+    surface: (area.width * area.height).toFixed(1),
+    coverageX: ((area.width / tablet.width) * 100).toFixed(1),
+    coverageY: ((area.height / tablet.height) * 100).toFixed(1),
+    position: `${formatNumber(area.x, 1)}, ${formatNumber(area.y, 1)}`,
+    counts: wacom
+      ? {
+          lpi: Math.round(resolution.lpi),
+          area: `${wacom.top} / ${wacom.left} / ${wacom.bottom} / ${wacom.right}`,
+        }
+      : null,
+    monitor: `${monitor.width} × ${monitor.height}`,
+    display: `${Math.round(display.width)} × ${Math.round(display.height)}`,
+    sensitivityX: formatNumber(pixelsPerMm.x),
+    sensitivityY: formatNumber(pixelsPerMm.y),
+    playfield: `${formatNumber(playfield.width)} × ${formatNumber(playfield.height)}`,
+    largestJump: jump
+      ? `${formatNumber(jump.distance, 1)} mm (${formatBeatmapTime(jump.time)})`
+      : null,
+    ratioMismatch: isRatioMismatched(area, display)
+      ? t('screen.ratioMismatchHelp', { percent: (mismatch * 100).toFixed(1) })
+      : null,
+  };
+}
+
+/**
+ * Show recap modal, kept up to date while it is open
+ */
+async function showRecap() {
+  const data = getRecapData(getState());
+  if (!data) return;
+
+  const unsubscribe = subscribe(state => {
+    const next = getRecapData(state);
+    if (next) updateRecapModal(next);
+  });
+  await showRecapModal(data);
+  unsubscribe();
+}
+
+/**
+ * Export the active area as an OpenTabletDriver settings.json file
+ */
+async function exportOtdSettings() {
+  const { tablet, display } = getState();
+  if (!tablet) return;
+
+  const result = await showOtdExportModal({
+    tabletName: getOtdTabletName(tablet),
+    display,
+  });
+  if (!result) return;
+
+  const { tabletName, ...exportDisplay } = result;
+  if (exportDisplay.width > 0 && exportDisplay.height > 0) {
+    setState({ display: exportDisplay });
+  }
+
+  const settings = buildOtdSettings({
+    tabletName: tabletName?.trim() || getOtdTabletName(tablet),
+    area: getActiveArea(),
+    display: getState().display,
+  });
+
+  downloadFile(JSON.stringify(settings, null, 2), 'settings.json');
+}
+
+/**
+ * Resolve the tablet for an imported area
+ * Falls back to custom dimensions large enough to hold the area when the
+ * tablet is unknown or too small for the imported area
+ * @param {string|null} tabletName - Tablet name reported by the driver
+ * @param {Object} area - Imported area (mm, center coordinates)
+ * @returns {Object} - Tablet configuration
+ */
+function resolveImportedTablet(tabletName, area) {
+  const right = area.x + area.width / 2;
+  const bottom = area.y + area.height / 2;
+  const fits = tablet => right <= tablet.width + 0.01 && bottom <= tablet.height + 0.01;
+
+  const known = tabletName ? findTabletByName(tabletName) : getState().tablet;
+  if (known && fits(known)) return known;
+
+  return {
+    brand: 'Custom',
+    model: 'Custom',
+    width: Math.max(DEFAULT_TABLET.width, Math.ceil(right)),
+    height: Math.max(DEFAULT_TABLET.height, Math.ceil(bottom)),
+    isCustom: true,
+  };
+}
+
+/**
+ * Import an OpenTabletDriver settings.json file into the first zone
+ * @param {File} file - Selected or dropped file
+ */
+async function importOtdSettings(file) {
+  const imported = parseOtdSettings(await file.text());
+
+  if (!imported) {
+    await alert(t('import.invalidOtd'), t('import.otdTitle'));
+    return;
+  }
+
+  if (imported.display) {
+    setState({ display: imported.display });
+  }
+
+  switchActiveZone(getState().zones[0].id);
+  onFavoriteSelected({
+    tablet: resolveImportedTablet(imported.tabletName, imported.area),
+    area: { ...imported.area, radius: 0 },
+  });
+}
+
+/**
+ * Show the active area in Wacom counts and apply edited counts back to it
+ */
+async function openWacomArea() {
+  const { tablet } = getState();
+  if (!tablet) return;
+
+  const resolution = getTabletResolution(tablet);
+  if (!resolution) {
+    await alert(t('wacom.noResolution'), t('wacom.title'));
+    return;
+  }
+
+  const activeArea = getActiveArea();
+  const counts = areaToWacom(activeArea, tablet, resolution);
+
+  const result = await showWacomAreaModal({
+    counts,
+    resolution,
+    rotation: activeArea.rotation,
+  });
+  if (!result) return;
+
+  const area = wacomToArea(result, tablet, resolution);
+  if (!area) {
+    await alert(t('wacom.invalidArea'), t('wacom.title'));
+    return;
+  }
+
+  onFavoriteSelected({ tablet, area: { ...area, rotation: 0 } });
+}
+
+/**
+ * Show TabletDriver commands for the active area and apply pasted commands back to it
+ */
+async function openTabletDriverConfig() {
+  const { tablet, display } = getState();
+  if (!tablet) return;
+
+  const activeArea = getActiveArea();
+  const text = await showDriverConfigModal({
+    title: t('tabletDriver.title'),
+    help: t('tabletDriver.help'),
+    config: buildTabletDriverConfig({ area: activeArea, display }),
+  });
+  if (text == null) return;
+
+  const imported = parseTabletDriverConfig(text);
+  if (!imported) {
+    await alert(t('tabletDriver.invalid'), t('tabletDriver.title'));
+    return;
+  }
+
+  if (imported.display) {
+    setState({ display: imported.display });
+  }
+
+  onFavoriteSelected({
+    tablet: resolveImportedTablet(null, imported.area),
+    area: { ...activeArea, ...imported.area },
+  });
+}
+
+/**
+ * Show osu!lazer tablet settings for the active area and apply pasted settings back to it
+ */
+async function openLazerConfig() {
+  if (!getState().tablet) return;
+
+  const activeArea = getActiveArea();
+  const text = await showDriverConfigModal({
+    title: t('lazer.title'),
+    help: t('lazer.help'),
+    config: buildLazerConfig(activeArea),
+    copyLabel: t('lazer.copy'),
+    onCopy: async config => {
+      const copied = await copyToClipboard(config);
+      notify(
+        copied ? t('notifications.copied') : t('notifications.error'),
+        copied ? 'success' : 'error'
+      );
+    },
+  });
+  if (text == null) return;
+
+  const area = parseLazerConfig(text);
+  if (!area) {
+    await alert(t('lazer.invalid'), t('lazer.title'));
+    return;
+  }
+
+  onFavoriteSelected({
+    tablet: resolveImportedTablet(null, area),
+    area: { ...activeArea, ...area },
+  });
+}
+
+/**
+ * Copy a link that encodes the current tablet and areas
+ */
+async function copyShareLink() {
+  const state = getState();
+  if (!state.tablet) return;
+
+  const url = buildShareUrl(state);
+  const copied = await copyToClipboard(url);
+  notify(copied ? t('share.copied') : t('notifications.error'), copied ? 'success' : 'error');
+}
+
+/**
+ * Load the state shared in the URL hash, if any
+ * Asks before replacing saved preferences, then clears the hash so a reload does not ask again
+ */
+async function loadSharedState() {
+  const shared = decodeShareState(window.location.hash);
+  if (!shared) return;
+
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+
+  if (hasPrefs() && !(await confirm(t('share.confirmOverwrite'), t('share.title')))) {
+    return;
+  }
+
+  const zones = shared.zones.map(zone => ({ id: generateId(), ...zone }));
+  setState({
+    tablet: zones[0].tablet,
+    zones,
+    comparisonMode: shared.comparisonMode,
+    activeZone: zones[0].id,
+  });
+  saveState();
+}
+
+/**
+ * Save state to localStorage
+ */
+function saveState() {
+  savePrefs(getState());
+}
+
+const debouncedSaveState = debounce(saveState, 300);
+
+/**
+ * Load state from localStorage
+ */
+function loadState() {
+  const prefs = loadPrefs();
+  // Preferences saved before named zones hold zone A and B as area and areaB
+  initializeState(prefs && { ...prefs, ...migrateZones(prefs) });
+}
+
+/**
+ * Show or hide the custom tablet dimensions section for the current tablet
+ * @param {Object} tablet - Current tablet
+ */
+function updateCustomDimensionsSection(tablet) {
+  const customDimensions = document.querySelector('#custom-dimensions');
+  if (tablet?.isCustom) {
+    const customWidth = document.querySelector('#custom-width');
+    const customHeight = document.querySelector('#custom-height');
+    setInputValue(customWidth, tablet.width);
+    setInputValue(customHeight, tablet.height);
+    customDimensions?.classList.remove('hidden');
+
+    // Reset preset buttons active state
+    document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
+  } else {
+    customDimensions?.classList.add('hidden');
+  }
+}
+
+/**
+ * Name of a tablet as shown to the user
+ * @param {Object} tablet - Tablet
+ * @returns {string}
+ */
+function getTabletDisplayName(tablet) {
+  if (tablet.isCustom) {
+    return `${t('tablet.customDimensions')} (${formatNumber(tablet.width, 1)} × ${formatNumber(
+      tablet.height,
+      1
+    )} mm)`;
+  }
+  return `${tablet.brand} ${tablet.model}`;
+}
+
+/**
+ * Handle tablet selection
+ * The active area keeps its physical size: when the tablet size changes, the user picks how its
+ * position is carried over (and sees whether it fits) before the tablet is switched.
+ */
+async function onTabletSelected(tablet) {
+  const { tablet: previous, zones, activeZone } = getState();
+  const area = getZoneArea(zones, activeZone);
+  const from = previous ?? tablet;
+
+  if (from.width !== tablet.width || from.height !== tablet.height) {
+    const values = await showTransferAreaModal({
+      from: getTabletDisplayName(from),
+      to: getTabletDisplayName(tablet),
+      tablet,
+      values: transferOptions,
+      calculate: options => transferArea(area, from, tablet, options),
+    });
+
+    if (!values) {
+      // Keep the previous tablet selected
+      setCurrentTablet(previous);
+      return;
     }
+    transferOptions = values;
+  }
+
+  setState({
+    tablet,
+    zones: updateZone(getState().zones, activeZone, {
+      area: transferArea(area, from, tablet, transferOptions).area,
+    }),
+  });
+  recordHistory();
+}
+
+/**
+ * Update all input values from state
+ * Inputs the user is editing are left untouched
+ * @param {Object} state - Store state
+ */
+function updateInputs(state) {
+  const activeArea = getZoneArea(state.zones, state.activeZone);
+  const radius = activeArea.radius || 0;
+  const rotation = activeArea.rotation || 0;
+
+  setInputValue(document.querySelector('#area-width'), formatNumber(activeArea.width, 1));
+  setInputValue(document.querySelector('#area-height'), formatNumber(activeArea.height, 1));
+  setInputValue(document.querySelector('#area-pos-x'), formatNumber(activeArea.x, 1));
+  setInputValue(document.querySelector('#area-pos-y'), formatNumber(activeArea.y, 1));
+  setInputValue(document.querySelector('#area-radius'), radius);
+  setInputValue(document.querySelector('#radius-value'), radius);
+  setInputValue(document.querySelector('#area-rotation'), rotation);
+  setInputValue(document.querySelector('#rotation-value'), rotation);
+  setInputValue(document.querySelector('#snap-threshold'), state.snapThreshold);
+  setInputValue(document.querySelector('#snap-threshold-value'), state.snapThreshold);
+
+  setInputValue(document.querySelector('#monitor-width'), state.monitor.width);
+  setInputValue(document.querySelector('#monitor-height'), state.monitor.height);
+  setInputValue(document.querySelector('#display-width'), Math.round(state.display.width));
+  setInputValue(document.querySelector('#display-height'), Math.round(state.display.height));
+}
+
+/**
+ * Handle favorite selection
+ */
+function onFavoriteSelected(favorite) {
+  const { zones, activeZone } = getState();
+
+  setState({
+    tablet: favorite.tablet,
+    zones: updateZone(zones, activeZone, { area: favorite.area }),
+  });
+  recordHistory();
+}
+
+/**
+ * Handle pro player selection
+ */
+function onProPlayerSelected(player) {
+  onFavoriteSelected({
+    tablet: {
+      brand: player.tablet.brand,
+      model: player.tablet.model,
+      width: player.tablet.width,
+      height: player.tablet.height,
+      isCustom: false,
+    },
+    area: player.area,
+  });
+}
+
+/**
+ * Toggle comparison mode
+ */
+function toggleComparisonMode() {
+  const { comparisonMode, zones } = getState();
+
+  // With a single zone there is nothing to compare: start from a copy of it
+  if (!comparisonMode && zones.length === 1) {
+    const duplicated = duplicateZone(zones, zones[0].id);
+    setState({ comparisonMode: true, zones: duplicated.zones, activeZone: duplicated.zone.id });
+    recordHistory();
+    return;
+  }
+
+  setState({ comparisonMode: !comparisonMode });
+}
+
+/**
+ * Switch the zone edited by the controls
+ * @param {string} id - Zone id
+ */
+function switchActiveZone(id) {
+  setState({ activeZone: id });
+
+  // Switching zones is not an undoable change, but later snapshots should restore this zone
+  // (and its tablet, which becomes the current one)
+  if (historySnapshot) {
+    historySnapshot.activeZone = id;
+    historySnapshot.tablet = getState().tablet;
+  }
+}
+
+/**
+ * Switch how the tablets of zones on different tablet models are aligned
+ */
+function cycleTabletAlignment() {
+  const { tabletAlignment } = getState();
+  const index = TABLET_ALIGNMENTS.indexOf(tabletAlignment);
+  setState({ tabletAlignment: TABLET_ALIGNMENTS[(index + 1) % TABLET_ALIGNMENTS.length] });
+}
+
+/**
+ * Add a zone (a copy of the active one, so it starts where the user is working)
+ */
+function addZone() {
+  const { zones, activeZone } = getState();
+  if (zones.length >= MAX_ZONES) return;
+
+  const zone = createZone(getZoneArea(zones, activeZone), zones, getState().tablet);
+  setState({ zones: [...zones, zone], activeZone: zone.id });
+  recordHistory();
+}
+
+/**
+ * Duplicate the active zone
+ */
+function duplicateActiveZone() {
+  const { zones, activeZone } = getState();
+  if (zones.length >= MAX_ZONES) return;
+
+  const duplicated = duplicateZone(zones, activeZone);
+  if (!duplicated.zone) return;
+
+  setState({ zones: duplicated.zones, activeZone: duplicated.zone.id });
+  recordHistory();
+}
+
+/**
+ * Delete the active zone after confirmation (the last zone is kept)
+ */
+async function deleteActiveZone() {
+  const { zones, activeZone } = getState();
+  const zone = findZone(zones, activeZone);
+  if (!zone || zones.length <= 1) return;
+
+  if (!(await confirmDelete(t('zones.confirmDelete', { name: zone.name })))) return;
+
+  // Edit the neighbour that takes the deleted zone's place
+  const index = zones.indexOf(zone);
+  const remaining = removeZone(zones, activeZone);
+  setState({ zones: remaining, activeZone: remaining[Math.min(index, remaining.length - 1)].id });
+  recordHistory();
+}
+
+/**
+ * Rename a zone
+ * @param {string} id - Zone id
+ */
+async function renameZone(id) {
+  const { zones } = getState();
+  const zone = findZone(zones, id);
+  if (!zone) return;
+
+  const name = (await prompt(t('zones.renamePrompt'), zone.name, t('zones.rename')))?.trim();
+  if (!name || name === zone.name) return;
+
+  setState({ zones: updateZone(zones, id, { name: name.slice(0, MAX_ZONE_NAME_LENGTH) }) });
+  recordHistory();
+}
+
+/**
+ * Move the active zone in the list
+ * @param {number} offset - -1 to move it left, 1 to move it right
+ */
+function moveActiveZone(offset) {
+  const { zones, activeZone } = getState();
+  setState({ zones: moveZone(zones, activeZone, offset) });
+  recordHistory();
+}
+
+/**
+ * Show or hide a zone in comparison mode
+ * @param {string} id - Zone id
+ */
+function toggleZoneVisibility(id) {
+  const { zones } = getState();
+  const zone = findZone(zones, id);
+  if (!zone) return;
+
+  setState({ zones: updateZone(zones, id, { visible: !zone.visible }) });
+  recordHistory();
+}
+
+/**
+ * Render the zone list: one chip per zone (select, rename with a double click, show/hide)
+ * @param {Object} state - Store state
+ */
+function renderZoneList(state) {
+  const zoneList = document.querySelector('#zone-list');
+  if (!zoneList) return;
+
+  zoneList.innerHTML = state.zones
+    .map(zone => {
+      const active = zone.id === state.activeZone;
+      const name = escapeHtml(zone.name);
+      // The edited zone is always drawn, so only the others can be hidden
+      return `
+        <div class="zone-chip${active ? ' active' : ''}${zone.visible ? '' : ' muted'}" data-zone-id="${zone.id}" style="--zone-color: ${zone.color}">
+          <button class="zone-btn" data-action="select" aria-pressed="${active}" title="${escapeHtml(t('zones.renameHint'))}">
+            <span class="zone-indicator"></span>
+            <span class="zone-name">${name}</span>
+          </button>
+          <button class="zone-visibility" data-action="visibility" title="${escapeHtml(t('zones.toggleVisibility', { name: zone.name }))}" aria-pressed="${zone.visible}"${active ? ' disabled' : ''}>
+            ${icon(zone.visible ? 'eye' : 'eyeOff')}
+          </button>
+        </div>
+      `;
+    })
+    .join('');
+}
+
+/**
+ * Show the comparison toggle and zone selector state
+ * @param {Object} state - Store state
+ */
+function updateComparisonControls(state) {
+  const toggleBtn = document.querySelector('#toggle-comparison');
+  const zoneSelector = document.querySelector('#zone-selector');
+
+  toggleBtn?.classList.toggle('active', state.comparisonMode);
+  zoneSelector?.classList.toggle('hidden', !state.comparisonMode);
+
+  const index = state.zones.findIndex(zone => zone.id === state.activeZone);
+  const full = state.zones.length >= MAX_ZONES;
+  const disabled = {
+    '#zone-add': full,
+    '#zone-duplicate': full,
+    '#zone-move-left': index <= 0,
+    '#zone-move-right': index === state.zones.length - 1,
+    '#zone-delete': state.zones.length <= 1,
+  };
+  Object.entries(disabled).forEach(([selector, value]) => {
+    const button = document.querySelector(selector);
+    if (button) button.disabled = value;
+  });
+
+  const alignmentBtn = document.querySelector('#tablet-alignment');
+  if (alignmentBtn) {
+    alignmentBtn.textContent = t(
+      state.tabletAlignment === 'top-left' ? 'zones.alignTopLeft' : 'zones.alignCenter'
+    );
+  }
+}
+
+/**
+ * Format a difference with its sign (+1.5, -2.0, 0.0)
+ * @param {number} value - Difference
+ * @param {number} [decimals=1] - Decimals
+ * @returns {string}
+ */
+function formatDifference(value, decimals = 1) {
+  // "|| 0" avoids printing -0.0 for tiny negative differences
+  const rounded = Number(value.toFixed(decimals)) || 0;
+  return `${rounded > 0 ? '+' : ''}${formatNumber(rounded, decimals)}`;
+}
+
+/**
+ * Render the comparison of each other shown zone with the active zone
+ * @param {Object} state - Store state
+ */
+function renderComparisonPanel(state) {
+  const panel = document.querySelector('#comparison-panel');
+  if (!panel) return;
+
+  panel.classList.toggle('hidden', !state.comparisonMode || !state.tablet);
+  if (!state.comparisonMode || !state.tablet) return;
+
+  const reference = findZone(state.zones, state.activeZone) ?? state.zones[0];
+  const others = state.zones.filter(zone => zone !== reference && zone.visible);
+  const referenceName = escapeHtml(reference.name);
+
+  if (!others.length) {
+    panel.innerHTML = `<p class="comparison-empty">${t('comparison.empty', { name: referenceName })}</p>`;
+    return;
+  }
+
+  const size = ({ mm, percent }) => `${formatDifference(mm)} mm (${formatDifference(percent)}%)`;
+  const rows = others.map(zone => {
+    // Areas on another tablet model are compared where they are drawn: on aligned tablets
+    const tablet = zone.tablet ?? state.tablet;
+    const offset = getTabletOffset(tablet, state.tablet, state.tabletAlignment);
+    const area = { ...zone.area, x: zone.area.x + offset.x, y: zone.area.y + offset.y };
+    const otherTablet =
+      tablet.width !== state.tablet.width || tablet.height !== state.tablet.height
+        ? `<span class="comparison-zone-tablet">${escapeHtml(getTabletDisplayName(tablet))}</span>`
+        : '';
+
+    const result = compareAreas(reference.area, area, state);
+    const { x, y } = result.sensitivity;
+    const sensitivity =
+      Math.abs(x - y) < 0.005
+        ? `×${formatNumber(x, 2)}`
+        : `×${formatNumber(x, 2)} / ×${formatNumber(y, 2)}`;
+    const metrics = [
+      ['comparison.width', size(result.width)],
+      ['comparison.height', size(result.height)],
+      ['comparison.centerX', size(result.x)],
+      ['comparison.centerY', size(result.y)],
+      ['comparison.rotation', `${formatDifference(result.rotation)}°`],
+      ['comparison.overlap', `${formatNumber(result.iou * 100, 1)}%`],
+      ['comparison.sensitivity', sensitivity],
+    ];
+
+    return `
+      <div class="comparison-zone" style="--zone-color: ${zone.color}">
+        <div class="comparison-zone-name">
+          <span class="zone-indicator"></span>${escapeHtml(zone.name)}${otherTablet}
+        </div>
+        <dl class="comparison-metrics">
+          ${metrics.map(([key, value]) => `<dt>${t(key)}</dt><dd>${value}</dd>`).join('')}
+        </dl>
+      </div>
+    `;
+  });
+
+  panel.innerHTML = `
+    <div class="comparison-title" title="${escapeHtml(t('comparison.sensitivityHint', { name: reference.name }))}">
+      ${t('comparison.title', { name: referenceName })}
+    </div>
+    ${rows.join('')}
+  `;
+}
+
+/**
+ * Show the ratio lock, grid toggle and grid spacing state
+ * @param {Object} state - Store state
+ */
+function updateToggleControls(state) {
+  const lockRatioBtn = document.querySelector('#lock-ratio');
+  if (lockRatioBtn) {
+    lockRatioBtn.classList.toggle('active', state.lockRatio);
+    lockRatioBtn.innerHTML = icon(state.lockRatio ? 'lock' : 'unlock');
+  }
+
+  document.querySelector('#toggle-grid')?.classList.toggle('active', state.showGrid);
+  const gridSpacingBtn = document.querySelector('#grid-spacing');
+  if (gridSpacingBtn) gridSpacingBtn.textContent = `${state.gridSpacing} mm`;
+  document.querySelector('#toggle-playfield')?.classList.toggle('active', state.showPlayfield);
+}
+
+/**
+ * Render store state into the visualizer and controls
+ * @param {Object} state - Store state
+ * @param {string[]} [changedKeys] - Keys that changed (everything when omitted)
+ */
+function renderState(state, changedKeys = Object.keys(state)) {
+  const changed = key => changedKeys.includes(key);
+
+  if (changed('tablet') && state.tablet) {
+    // Pen samples only make sense on the tablet they were captured on
+    if (coverage) clearCoverage();
+    setCurrentTablet(state.tablet);
+    setTablet(state.tablet.width, state.tablet.height);
+    updateTabletInfo(state.tablet);
+    updateCustomDimensionsSection(state.tablet);
+  }
+
+  if (changed('zones')) setZones(state.zones);
+  if (changed('comparisonMode')) setComparisonMode(state.comparisonMode);
+  if (changed('tabletAlignment')) setTabletAlignment(state.tabletAlignment);
+  if (changed('activeZone')) setActiveZone(state.activeZone);
+  if (['zones', 'activeZone'].some(changed)) renderZoneList(state);
+  if (
+    ['zones', 'activeZone', 'comparisonMode', 'tablet', 'tabletAlignment', 'display'].some(changed)
+  ) {
+    renderComparisonPanel(state);
+  }
+  if (changed('showGrid')) setGridVisible(state.showGrid);
+  if (changed('gridSpacing')) setGridSpacing(state.gridSpacing);
+  if (changed('snapThreshold')) setSnapThreshold(state.snapThreshold);
+  if (changed('lockRatio')) setLockRatio(state.lockRatio);
+  if (['showPlayfield', 'playfieldScale', 'monitor', 'display'].some(changed)) {
+    setPlayfield(
+      state.showPlayfield
+        ? getPlayfieldFraction(state.display, state.monitor, state.playfieldScale)
+        : null
+    );
+  }
+  if (beatmap && ['playfieldScale', 'monitor', 'display'].some(changed)) {
+    updateBeatmapOverlay(state);
+  }
+  if (coverage && ['zones', 'activeZone'].some(changed)) {
+    updateRecordingControls();
+  }
 
-    setGridVisible(state.showGrid);
-    setComparisonMode(state.comparisonMode);
-    setActiveZone(state.activeZone);
+  updateComparisonControls(state);
+  updateToggleControls(state);
+  updateInputs(state);
+  updateRatioDisplay(state);
+  updateSensitivityDisplay(state);
+}
+
+/**
+ * Initialize app
+ */
+async function init() {
+  loadState();
+
+  await initI18n();
+
+  initTheme();
+  updateLangDisplay();
+
+  translatePage();
+
+  await loadSharedState();
+
+  const { tablet } = getState();
+  if (tablet) {
+    setActiveAreaState(clampAreaToTablet(getActiveArea(), tablet));
+  }
+
+  // Initialize visualizer
+  const visualizerContainer = document.querySelector('#visualizer');
+  if (visualizerContainer) {
+    initVisualizer(visualizerContainer);
   }
 
   // Initialize tablet selector
   const tabletSelectorContainer = document.querySelector('#tablet-selector');
   if (tabletSelectorContainer) {
     await initTabletSelector(tabletSelectorContainer, onTabletSelected);
-
-    if (state.tablet) {
-      setCurrentTablet(state.tablet);
-      updateTabletInfo();
-    }
   }
 
   // Initialize favorites
@@ -760,20 +1861,16 @@ async function init() {
 
   setupControls();
 
-  updateInputs();
-
-  // Initialize comparison mode UI state
-  if (state.comparisonMode) {
-    const toggleBtn = document.querySelector('#toggle-comparison');
-    const zoneSelector = document.querySelector('#zone-selector');
-    toggleBtn?.classList.add('active');
-    zoneSelector?.classList.remove('hidden');
+  // Render the initial state, then keep the UI and saved prefs in sync with the store
+  renderState(getState());
+  subscribe((state, changedKeys) => {
+    renderState(state, changedKeys);
+    debouncedSaveState();
+  });
+  window.addEventListener('pagehide', saveState);
 
-    const zoneABtn = document.querySelector('#zone-a-btn');
-    const zoneBBtn = document.querySelector('#zone-b-btn');
-    zoneABtn?.classList.toggle('active', state.activeZone === 'A');
-    zoneBBtn?.classList.toggle('active', state.activeZone === 'B');
-  }
+  // Starting point of the undo history
+  historySnapshot = getHistorySnapshot();
 }
 
 /**
@@ -856,48 +1953,86 @@ function setupControls() {
   const radiusSlider = document.querySelector('#area-radius');
   const radiusInput = document.querySelector('#radius-value');
   radiusSlider?.addEventListener('input', updateRadiusFromSlider);
+  radiusSlider?.addEventListener('change', recordHistory);
   radiusInput?.addEventListener('change', updateRadiusFromInput);
 
   // Rotation slider and manual input
   const rotationSlider = document.querySelector('#area-rotation');
   const rotationInput = document.querySelector('#rotation-value');
   rotationSlider?.addEventListener('input', updateRotationFromSlider);
+  rotationSlider?.addEventListener('change', recordHistory);
   rotationInput?.addEventListener('change', updateRotationFromInput);
 
-  // Lock ratio toggle
-  const lockRatioBtn = document.querySelector('#lock-ratio');
-  if (lockRatioBtn) {
-    lockRatioBtn.classList.toggle('active', state.lockRatio);
-    lockRatioBtn.innerHTML = icon(state.lockRatio ? 'lock' : 'unlock');
+  // Snapping distance slider and manual input (0 disables snapping)
+  ['#snap-threshold', '#snap-threshold-value'].forEach(selector => {
+    const input = document.querySelector(selector);
+    input?.addEventListener(selector === '#snap-threshold' ? 'input' : 'change', () => {
+      const snapThreshold = clamp(parseInt(input.value, 10) || 0, 0, MAX_SNAP_THRESHOLD);
+      input.value = snapThreshold;
+      setState({ snapThreshold });
+    });
+  });
 
-    lockRatioBtn.addEventListener('click', () => {
-      state.lockRatio = !state.lockRatio;
-      lockRatioBtn.classList.toggle('active', state.lockRatio);
-      lockRatioBtn.innerHTML = icon(state.lockRatio ? 'lock' : 'unlock');
+  // Screen mapping inputs
+  ['#monitor-width', '#monitor-height', '#display-width', '#display-height'].forEach(selector => {
+    const input = document.querySelector(selector);
+    input?.addEventListener(
+      'input',
+      debounce(() => updateScreenFromInputs(false), 200)
+    );
+    input?.addEventListener('change', () => updateScreenFromInputs(true));
+  });
+  document.querySelector('#display-full-screen')?.addEventListener('click', setFullScreenDisplay);
+  document
+    .querySelector('#playfield-calculator')
+    ?.addEventListener('click', openPlayfieldCalculator);
+  document.querySelector('#sensitivity-match')?.addEventListener('click', openSensitivityMatcher);
 
-      if (state.lockRatio) {
-        updateAreaFromInputs();
-      }
+  // Lock ratio toggle
+  const lockRatioBtn = document.querySelector('#lock-ratio');
+  lockRatioBtn?.addEventListener('click', () => {
+    const lockRatio = !getState().lockRatio;
+    setState({ lockRatio });
 
-      saveState();
-    });
-  }
+    if (lockRatio) {
+      updateAreaFromInputs();
+      recordHistory();
+    }
+  });
 
   // Grid toggle (toolbar)
   const gridBtn = document.querySelector('#toggle-grid');
   const gridIcon = document.querySelector('#grid-icon');
   if (gridBtn && gridIcon) {
-    gridBtn.classList.toggle('active', state.showGrid);
     gridIcon.innerHTML = icon('grid');
+    gridBtn.addEventListener('click', () => setState({ showGrid: !getState().showGrid }));
+  }
 
-    gridBtn.addEventListener('click', () => {
-      state.showGrid = !state.showGrid;
-      gridBtn.classList.toggle('active', state.showGrid);
-      setGridVisible(state.showGrid);
-      saveState();
-    });
+  // osu! playfield overlay toggle (toolbar)
+  const playfieldBtn = document.querySelector('#toggle-playfield');
+  const playfieldIcon = document.querySelector('#playfield-icon');
+  if (playfieldBtn && playfieldIcon) {
+    playfieldIcon.innerHTML = icon('playfield');
+    playfieldBtn.addEventListener('click', () =>
+      setState({ showPlayfield: !getState().showPlayfield })
+    );
   }
 
+  // Undo/redo buttons (toolbar) and keyboard shortcuts
+  const undoBtn = document.querySelector('#undo-btn');
+  const redoBtn = document.querySelector('#redo-btn');
+  const undoIcon = document.querySelector('#undo-icon');
+  const redoIcon = document.querySelector('#redo-icon');
+  if (undoIcon) undoIcon.innerHTML = icon('undo');
+  if (redoIcon) redoIcon.innerHTML = icon('redo');
+  undoBtn?.addEventListener('click', undoChange);
+  redoBtn?.addEventListener('click', redoChange);
+  subscribeToHistory(({ canUndo, canRedo }) => {
+    if (undoBtn) undoBtn.disabled = !canUndo;
+    if (redoBtn) redoBtn.disabled = !canRedo;
+  });
+  initKeyboardShortcuts(undoChange, redoChange);
+
   // Full area button (toolbar)
   const fullAreaBtn = document.querySelector('#full-area');
   const fullAreaIcon = document.querySelector('#fullarea-icon');
@@ -914,6 +2049,14 @@ function setupControls() {
     recapBtn.addEventListener('click', showRecap);
   }
 
+  // Copy share link button (toolbar)
+  const shareBtn = document.querySelector('#copy-link');
+  const shareIcon = document.querySelector('#copy-link-icon');
+  if (shareBtn && shareIcon) {
+    shareIcon.innerHTML = icon('link');
+    shareBtn.addEventListener('click', copyShareLink);
+  }
+
   // Save favorite button
   const saveBtn = document.querySelector('#save-favorite');
   const saveIcon = document.querySelector('#save-icon');
@@ -921,9 +2064,77 @@ function setupControls() {
     saveIcon.innerHTML = icon('heart');
   }
   saveBtn?.addEventListener('click', () => {
-    if (state.tablet) {
-      const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-      saveCurrentAsFavorite(state.tablet, activeArea);
+    const { tablet } = getState();
+    if (tablet) {
+      saveCurrentAsFavorite(tablet, getActiveArea());
+    }
+  });
+
+  // OpenTabletDriver export button
+  const exportOtdBtn = document.querySelector('#export-otd');
+  const exportOtdIcon = document.querySelector('#export-otd-icon');
+  if (exportOtdIcon) {
+    exportOtdIcon.innerHTML = icon('download');
+  }
+  exportOtdBtn?.addEventListener('click', exportOtdSettings);
+
+  // OpenTabletDriver import button (file picker)
+  const importOtdBtn = document.querySelector('#import-otd');
+  const importOtdIcon = document.querySelector('#import-otd-icon');
+  const importOtdInput = document.querySelector('#import-otd-file');
+  if (importOtdIcon) {
+    importOtdIcon.innerHTML = icon('upload');
+  }
+  importOtdBtn?.addEventListener('click', () => importOtdInput?.click());
+  importOtdInput?.addEventListener('change', () => {
+    const [file] = importOtdInput.files;
+    if (file) importOtdSettings(file);
+    importOtdInput.value = '';
+  });
+
+  // Wacom driver area button
+  const wacomBtn = document.querySelector('#wacom-area');
+  const wacomIcon = document.querySelector('#wacom-area-icon');
+  if (wacomIcon) {
+    wacomIcon.innerHTML = icon('tablet');
+  }
+  wacomBtn?.addEventListener('click', openWacomArea);
+
+  // TabletDriver (hawku) config button
+  const tabletDriverBtn = document.querySelector('#tabletdriver-config');
+  const tabletDriverIcon = document.querySelector('#tabletdriver-config-icon');
+  if (tabletDriverIcon) {
+    tabletDriverIcon.innerHTML = icon('edit');
+  }
+  tabletDriverBtn?.addEventListener('click', openTabletDriverConfig);
+
+  // osu!lazer tablet settings button
+  const lazerBtn = document.querySelector('#lazer-config');
+  const lazerIcon = document.querySelector('#lazer-config-icon');
+  if (lazerIcon) {
+    lazerIcon.innerHTML = icon('copy');
+  }
+  lazerBtn?.addEventListener('click', openLazerConfig);
+
+  // Settings files dropped anywhere on the page
+  window.addEventListener('dragover', e => {
+    if (e.dataTransfer?.types.includes('Files')) {
+      e.preventDefault();
+    }
+  });
+  window.addEventListener('drop', e => {
+    const file = e.dataTransfer?.files?.[0];
+    if (!file) return;
+    e.preventDefault();
+    const replays = [...e.dataTransfer.files].filter(dropped =>
+      dropped.name.toLowerCase().endsWith('.osr')
+    );
+    if (replays.length) {
+      loadReplays(replays);
+    } else if (file.name.toLowerCase().endsWith('.osu')) {
+      loadBeatmap(file);
+    } else if (file.name.toLowerCase().endsWith('.json')) {
+      importOtdSettings(file);
     }
   });
 
@@ -935,6 +2146,54 @@ function setupControls() {
   }
   proPlayersBtn?.addEventListener('click', openProPlayersModal);
 
+  // osu! replay analysis
+  const loadReplaysBtn = document.querySelector('#load-replays');
+  const loadReplaysIcon = document.querySelector('#load-replays-icon');
+  const loadReplaysInput = document.querySelector('#load-replays-file');
+  if (loadReplaysIcon) {
+    loadReplaysIcon.innerHTML = icon('activity');
+  }
+  loadReplaysBtn?.addEventListener('click', () => loadReplaysInput?.click());
+  loadReplaysInput?.addEventListener('change', () => {
+    loadReplays([...loadReplaysInput.files]);
+    loadReplaysInput.value = '';
+  });
+  document.querySelector('#clear-coverage')?.addEventListener('click', clearCoverage);
+
+  // Visualizer zoom controls
+  const zoomOutIcon = document.querySelector('#zoom-out-icon');
+  const zoomInIcon = document.querySelector('#zoom-in-icon');
+  if (zoomOutIcon) zoomOutIcon.innerHTML = icon('minus');
+  if (zoomInIcon) zoomInIcon.innerHTML = icon('plus');
+  document.querySelector('#zoom-out')?.addEventListener('click', () => zoomBy(-1));
+  document.querySelector('#zoom-in')?.addEventListener('click', () => zoomBy(1));
+  document.querySelector('#zoom-fit')?.addEventListener('click', resetZoom);
+  window.addEventListener('visualizer-zoom', e => {
+    const label = document.querySelector('#zoom-fit');
+    if (label) label.textContent = `${Math.round(e.detail.zoom * 100)}%`;
+  });
+
+  // Grid spacing (cycles through the spacings)
+  document.querySelector('#grid-spacing')?.addEventListener('click', () => {
+    const { gridSpacing } = getState();
+    const next = GRID_SPACINGS[(GRID_SPACINGS.indexOf(gridSpacing) + 1) % GRID_SPACINGS.length];
+    setState({ gridSpacing: next });
+  });
+
+  // Pen recorder (toolbar)
+  const recordingBtn = document.querySelector('#toggle-recording');
+  const recordingIcon = document.querySelector('#recording-icon');
+  if (recordingBtn && recordingIcon) {
+    recordingIcon.innerHTML = icon('pen');
+    recordingBtn.addEventListener('click', toggleRecording);
+  }
+  document.querySelector('#fit-recording')?.addEventListener('click', fitAreaToRecording);
+  window.addEventListener('pen-recorded', e => {
+    analyzeRecording(e.detail.points);
+    updateRecordingControls();
+  });
+  document.querySelector('#clear-beatmap')?.addEventListener('click', clearBeatmap);
+
   // Comparison mode toggle
   const comparisonToggle = document.querySelector('#toggle-comparison');
   const comparisonIcon = document.querySelector('#comparison-icon');
@@ -943,27 +2202,52 @@ function setupControls() {
   }
   comparisonToggle?.addEventListener('click', toggleComparisonMode);
 
-  // Zone selector buttons
-  const zoneABtn = document.querySelector('#zone-a-btn');
-  const zoneBBtn = document.querySelector('#zone-b-btn');
-  zoneABtn?.addEventListener('click', () => switchActiveZone('A'));
-  zoneBBtn?.addEventListener('click', () => switchActiveZone('B'));
+  // Zone selector: chips (select, rename, show/hide) and actions on the active zone
+  const zoneList = document.querySelector('#zone-list');
+  zoneList?.addEventListener('click', e => {
+    const button = e.target.closest('[data-action]');
+    const id = button?.closest('[data-zone-id]')?.dataset.zoneId;
+    if (!id) return;
+
+    if (button.dataset.action === 'visibility') {
+      toggleZoneVisibility(id);
+    } else if (id !== getState().activeZone) {
+      switchActiveZone(id);
+    }
+  });
+  zoneList?.addEventListener('dblclick', e => {
+    const id = e.target.closest('[data-action="select"]')?.closest('[data-zone-id]')
+      ?.dataset.zoneId;
+    if (id) renameZone(id);
+  });
+
+  const zoneActions = {
+    '#zone-add': ['plus', addZone],
+    '#zone-duplicate': ['copy', duplicateActiveZone],
+    '#zone-rename': ['edit', () => renameZone(getState().activeZone)],
+    '#zone-move-left': ['chevronLeft', () => moveActiveZone(-1)],
+    '#zone-move-right': ['chevronRight', () => moveActiveZone(1)],
+    '#zone-delete': ['trash', deleteActiveZone],
+  };
+  Object.entries(zoneActions).forEach(([selector, [iconName, action]]) => {
+    const button = document.querySelector(selector);
+    if (!button) return;
+    button.innerHTML = icon(iconName);
+    button.addEventListener('click', action);
+  });
+  document.querySelector('#tablet-alignment')?.addEventListener('click', cycleTabletAlignment);
 
   // Custom dimensions inputs
   const customWidth = document.querySelector('#custom-width');
   const customHeight = document.querySelector('#custom-height');
 
   const updateCustomDimensions = () => {
-    if (state.tablet?.isCustom) {
+    const { tablet } = getState();
+    if (tablet?.isCustom) {
       const w = parseFloat(customWidth?.value) || 152;
       const h = parseFloat(customHeight?.value) || 95;
-      state.tablet.width = w;
-      state.tablet.height = h;
-      setTablet(w, h);
-      updateTabletInfo();
-      clampAreaPosition();
+      setState({ tablet: { ...tablet, width: w, height: h } });
       centerArea();
-      saveState();
     }
   };
 
@@ -973,9 +2257,10 @@ function setupControls() {
   // Ratio preset buttons
   document.querySelectorAll('.preset-btn').forEach(btn => {
     btn.addEventListener('click', () => {
-      if (!state.tablet) return;
+      const { tablet } = getState();
+      if (!tablet) return;
 
-      const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
+      const activeArea = getActiveArea();
       const ratioStr = btn.dataset.ratio;
       const [ratioW, ratioH] = ratioStr.split(':').map(Number);
       const targetRatio = ratioW / ratioH;
@@ -985,56 +2270,20 @@ function setupControls() {
       btn.classList.add('active');
 
       // Apply ratio to area
-      const currentWidth = activeArea.width;
-      let newHeight = currentWidth / targetRatio;
-
-      // Clamp to tablet bounds
-      if (newHeight > state.tablet.height) {
-        newHeight = state.tablet.height;
-        activeArea.width = newHeight * targetRatio;
-      }
-
-      activeArea.height = newHeight;
-      clampAreaPosition();
-
-      if (state.activeZone === 'A') {
-        setArea(state.area);
-      } else {
-        setAreaB(state.areaB);
-      }
-
-      updateInputs();
-      updateRatioDisplay();
-      saveState();
+      const { width } = activeArea;
+      applyActiveAreaSize(width, width / targetRatio);
     });
   });
 
   // Listen for area changes from visualizer (drag)
   window.addEventListener('area-changed', e => {
-    const zone = e.detail.zone || 'A';
-    if (zone === 'A') {
-      state.area = { ...state.area, ...e.detail };
-    } else {
-      state.areaB = { ...state.areaB, ...e.detail };
-    }
-    updateInputs();
-    debouncedSaveState();
+    const { zone, ...area } = e.detail;
+    const { zones, activeZone } = getState();
+    setState({ zones: updateZone(zones, zone ?? activeZone, { area }) });
+    recordHistory();
   });
 }
 
-// Export for use in favorites edit
-export {
-  state,
-  updateInputs,
-  setArea,
-  setAreaB,
-  setAreaRadius,
-  setAreaRotation,
-  setTablet,
-  setCurrentTablet,
-  updateTabletInfo,
-};
-
 // Start app
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
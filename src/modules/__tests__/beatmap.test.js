@@ -0,0 +1,119 @@
+/**
+ * Tests for beatmap.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseBeatmap, getSliderPath, getJumps, getHitObjectPoints } from '../beatmap.js';
+
+const BEATMAP = `osu file format v14
+
+[General]
+AudioFilename: audio.mp3
+Mode: 0
+
+[Metadata]
+Title:Blue Zenith
+Artist:xi
+Version:FOUR DIMENSIONS
+
+[Difficulty]
+SliderMultiplier:1.8
+
+[HitObjects]
+0,0,1000,5,0,0:0:0:0:
+512,384,1200,1,0,0:0:0:0:
+100,100,1400,2,0,L|200:100,1,50
+256,192,1600,12,0,2000,0:0:0:0:
+300,100,2200,2,0,L|400:100,2,100
+`;
+
+describe('parseBeatmap', () => {
+  it('should read the metadata and hit objects', () => {
+    const beatmap = parseBeatmap(BEATMAP);
+    expect(beatmap).toMatchObject({
+      mode: 0,
+      title: 'Blue Zenith',
+      artist: 'xi',
+      version: 'FOUR DIMENSIONS',
+    });
+    expect(beatmap.hitObjects.map(hitObject => hitObject.type)).toEqual([
+      'circle',
+      'circle',
+      'slider',
+      'spinner',
+      'slider',
+    ]);
+  });
+
+  it('should end sliders on the tail or back on the head depending on the slides', () => {
+    const { hitObjects } = parseBeatmap(BEATMAP);
+    expect(hitObjects[2].end).toEqual({ x: 150, y: 100 });
+    expect(hitObjects[4].end).toEqual({ x: 300, y: 100 });
+  });
+
+  it('should accept a byte order mark and CRLF line endings', () => {
+    const beatmap = parseBeatmap(`\uFEFF${BEATMAP.replace(/\n/g, '\r\n')}`);
+    expect(beatmap.hitObjects).toHaveLength(5);
+  });
+
+  it('should reject other files', () => {
+    expect(() => parseBeatmap('[General]\nMode: 0')).toThrow();
+  });
+});
+
+describe('getSliderPath', () => {
+  it('should cut a linear slider to its length', () => {
+    const path = getSliderPath({ x: 0, y: 0 }, 'L', [{ x: 100, y: 0 }], 50);
+    expect(path[path.length - 1]).toEqual({ x: 50, y: 0 });
+  });
+
+  it('should follow a perfect circle for the slider length', () => {
+    const path = getSliderPath(
+      { x: 0, y: 0 },
+      'P',
+      [
+        { x: 50, y: 50 },
+        { x: 100, y: 0 },
+      ],
+      50 * Math.PI
+    );
+    const end = path[path.length - 1];
+    expect(end.x).toBeCloseTo(100);
+    expect(end.y).toBeCloseTo(0);
+    expect(path.some(point => point.y > 49)).toBe(true);
+  });
+
+  it('should split Bézier curves on repeated control points', () => {
+    const controls = [
+      { x: 100, y: 0 },
+      { x: 100, y: 0 },
+      { x: 100, y: 100 },
+    ];
+    const path = getSliderPath({ x: 0, y: 0 }, 'B', controls, 200);
+    expect(path).toContainEqual({ x: 100, y: 0 });
+    expect(path[path.length - 1].x).toBeCloseTo(100);
+    expect(path[path.length - 1].y).toBeCloseTo(100);
+  });
+
+  it('should keep only the head without control points', () => {
+    expect(getSliderPath({ x: 10, y: 20 }, 'B', [], 100)).toEqual([{ x: 10, y: 20 }]);
+  });
+});
+
+describe('getJumps', () => {
+  it('should link each object end to the next object and skip spinners', () => {
+    const jumps = getJumps(parseBeatmap(BEATMAP).hitObjects);
+    expect(jumps).toHaveLength(3);
+    expect(jumps[0]).toEqual({ from: { x: 0, y: 0 }, to: { x: 512, y: 384 }, time: 1200 });
+    expect(jumps[2]).toEqual({ from: { x: 150, y: 100 }, to: { x: 300, y: 100 }, time: 2200 });
+  });
+});
+
+describe('getHitObjectPoints', () => {
+  it('should sample slider paths at the given spacing', () => {
+    const { hitObjects } = parseBeatmap(BEATMAP);
+    const points = getHitObjectPoints([hitObjects[2]], 10);
+    expect(points).toHaveLength(6);
+    expect(points[0]).toEqual({ x: 100, y: 100 });
+  });
+});
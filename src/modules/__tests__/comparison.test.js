@@ -0,0 +1,61 @@
+/**
+ * Tests for comparison.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { compareAreas } from '../comparison.js';
+
+const tablet = { width: 152, height: 95 };
+const display = { width: 1920, height: 1080 };
+const reference = { width: 80, height: 45, x: 76, y: 47.5, radius: 0, rotation: 0 };
+
+describe('compareAreas', () => {
+  it('should report size differences in mm and percent', () => {
+    const { width, height } = compareAreas(
+      reference,
+      { ...reference, width: 100, height: 36 },
+      {
+        tablet,
+        display,
+      }
+    );
+
+    expect(width).toEqual({ mm: 20, percent: 25 });
+    expect(height.mm).toBe(-9);
+    expect(height.percent).toBeCloseTo(-20);
+  });
+
+  it('should report center differences relative to the tablet', () => {
+    const result = compareAreas(reference, { ...reference, x: 106.4, y: 9.5 }, { tablet, display });
+
+    expect(result.x.mm).toBeCloseTo(30.4);
+    expect(result.x.percent).toBeCloseTo(20);
+    expect(result.y).toEqual({ mm: -38, percent: -40 });
+    expect(result.distance).toBeCloseTo(Math.hypot(30.4, 38));
+  });
+
+  it('should wrap the rotation difference', () => {
+    const result = compareAreas(
+      { ...reference, rotation: 170 },
+      { ...reference, rotation: -170 },
+      { tablet, display }
+    );
+
+    expect(result.rotation).toBe(20);
+  });
+
+  it('should report the overlap and the sensitivity ratio', () => {
+    const result = compareAreas(
+      reference,
+      { ...reference, width: 40, height: 22.5 },
+      {
+        tablet,
+        display,
+      }
+    );
+
+    // The smaller area maps the same display to half the distance: twice the sensitivity
+    expect(result.iou).toBeCloseTo(0.25);
+    expect(result.sensitivity).toEqual({ x: 2, y: 2 });
+  });
+});
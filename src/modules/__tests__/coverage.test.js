@@ -0,0 +1,117 @@
+/**
+ * Tests for coverage.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isAreaInBounds } from '../geometry.js';
+import { toAreaFrame, getExtent, fitAreaToExtent, buildHeatmap } from '../coverage.js';
+
+const tablet = { width: 152, height: 95 };
+const area = { width: 80, height: 45, x: 76, y: 47.5, rotation: 0, radius: 0 };
+
+describe('toAreaFrame', () => {
+  it('should measure points from the area top-left corner', () => {
+    expect(toAreaFrame([{ x: 36, y: 25 }], area)).toEqual([{ x: 0, y: 0 }]);
+  });
+
+  it('should follow the area rotation', () => {
+    const [point] = toAreaFrame([{ x: 76, y: 57.5 }], { ...area, rotation: 90 });
+    expect(point.x).toBeCloseTo(50);
+    expect(point.y).toBeCloseTo(22.5);
+  });
+});
+
+describe('getExtent', () => {
+  const points = Array.from({ length: 101 }, (_, i) => ({ x: i, y: i / 2 }));
+
+  it('should return the bounding box by default', () => {
+    expect(getExtent(points)).toEqual({ left: 0, top: 0, right: 100, bottom: 50 });
+  });
+
+  it('should keep the central share of the points', () => {
+    const extent = getExtent(points, 0.9);
+    expect(extent.left).toBeCloseTo(5);
+    expect(extent.right).toBeCloseTo(95);
+    expect(extent.bottom).toBeCloseTo(47.5);
+  });
+
+  it('should return null without points', () => {
+    expect(getExtent([])).toBeNull();
+  });
+});
+
+describe('fitAreaToExtent', () => {
+  it('should tighten the area around the extent and keep its ratio', () => {
+    const result = fitAreaToExtent({ left: 20, top: 10, right: 60, bottom: 35 }, area, { tablet });
+    expect(result.width).toBeCloseTo(44.44, 1);
+    expect(result.width / result.height).toBeCloseTo(80 / 45);
+    expect(result.x).toBeCloseTo(76);
+    expect(result.y).toBeCloseTo(47.5);
+  });
+
+  it('should add the margin on each side', () => {
+    const extent = { left: 20, top: 10, right: 60, bottom: 30 };
+    expect(fitAreaToExtent(extent, area, { tablet, margin: 0.1 }).width).toBeCloseTo(48);
+  });
+
+  it('should enlarge the area without leaving the tablet', () => {
+    const result = fitAreaToExtent({ left: -60, top: -10, right: 140, bottom: 55 }, area, {
+      tablet,
+    });
+    expect(result.width).toBeLessThanOrEqual(tablet.width);
+    expect(result.height).toBeLessThanOrEqual(tablet.height);
+    expect(result.width).toBeGreaterThan(area.width);
+  });
+
+  it('should keep a rotated suggestion on the tablet', () => {
+    const rotated = { ...area, rotation: 30 };
+    const result = fitAreaToExtent({ left: -60, top: -10, right: 140, bottom: 55 }, rotated, {
+      tablet,
+    });
+    expect(isAreaInBounds(result, tablet)).toBe(true);
+    expect(result.width / result.height).toBeCloseTo(80 / 45);
+    expect(result.rotation).toBe(30);
+  });
+
+  it('should take the extent size without keepRatio', () => {
+    const extent = { left: 20, top: 10, right: 60, bottom: 35 };
+    const result = fitAreaToExtent(extent, area, { tablet, keepRatio: false });
+    expect(result.width).toBeCloseTo(40);
+    expect(result.height).toBeCloseTo(25);
+  });
+
+  it('should not suggest an area smaller than the minimum size', () => {
+    const extent = { left: 20, top: 10, right: 20, bottom: 10 };
+    const result = fitAreaToExtent(extent, area, { tablet, keepRatio: false });
+    expect(result.width).toBeGreaterThanOrEqual(1);
+    expect(result.height).toBeGreaterThanOrEqual(1);
+  });
+
+  it('should move the center in the rotated frame', () => {
+    const rotated = { ...area, rotation: 90 };
+    const result = fitAreaToExtent({ left: 50, top: 10, right: 70, bottom: 20 }, rotated, {
+      tablet,
+    });
+    expect(result.x).toBeCloseTo(76 + 7.5);
+    expect(result.y).toBeCloseTo(47.5 + 20);
+  });
+});
+
+describe('buildHeatmap', () => {
+  it('should count points per cell and ignore points off the tablet', () => {
+    const heatmap = buildHeatmap(
+      [
+        { x: 0.5, y: 0.5 },
+        { x: 0.7, y: 0.2 },
+        { x: 3.5, y: 1.5 },
+        { x: -1, y: 2 },
+      ],
+      { width: 4, height: 2 }
+    );
+    expect(heatmap.columns).toBe(4);
+    expect(heatmap.rows).toBe(2);
+    expect(heatmap.counts[0]).toBe(2);
+    expect(heatmap.counts[7]).toBe(1);
+    expect(heatmap.max).toBe(2);
+  });
+});
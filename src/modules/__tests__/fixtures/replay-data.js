@@ -0,0 +1,26 @@
+/**
+ * Replay cursor data fixture shared by the lzma and replay tests
+ * FRAME_DATA is the "w|x|y|z," text of 60 frames (plus osu!'s leading off-screen frames and
+ * trailing seed frame), FRAME_DATA_LZMA the same text compressed by Python's lzma module
+ * (FORMAT_ALONE, unknown size with end marker, as osu! writes it).
+ */
+
+const frames = ['0|256|-500|0', '-1|256|-500|0'];
+for (let i = 0; i < 60; i++) {
+  frames.push(`${i ? 16 : 0}|${100 + i * 5}|${150 + (i % 7) * 3.25}|${i % 4}`);
+}
+frames.push('-12345|0|0|17523');
+
+export const FRAME_DATA = `${frames.join(',')},`;
+
+export const FRAME_DATA_LZMA =
+  'XQAAAQD//////////wAYHwJDUQO0AFVX2FOrBI1oAo6cIE6TJHbi/X73XqWCCy/CfyjkNgpD8OazEVZEV/AI9z6+gWmM+a9bwF50VqRTXLBohVeAqg+jSZ2zNhXUtudLRFTsjVqVhquUxryJsOMhYdUYY++dGW8kxAPY1/zWj2O9hh/NW4GBKlAjDKv5ZivNsbjqzQhuvJs6Dz4/WfauQkfb5K8Ckzk9dsV4FhNbQOF/3SKFQGOMDit6tLdh9C8+aofxXFOxkUkOmQaOMlg7Ovohe6B4/9h5ZhBwVX2Ix5kAvdIRMy6ny67jRcZS830DPpn34TXI/9Wz7Lg=';
+
+/**
+ * Decode a base64 string to bytes
+ * @param {string} base64 - Base64 data
+ * @returns {Uint8Array}
+ */
+export function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
@@ -0,0 +1,254 @@
+/**
+ * Tests for geometry.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeRotation,
+  resizeArea,
+  getAreaCorners,
+  getRotatedHalfExtents,
+  isAreaInBounds,
+  clampAreaToTablet,
+  fitRotatedSize,
+  getPolygonArea,
+  getIntersectionOverUnion,
+  fitAreaToTablet,
+  getZoomedPan,
+  nudgeArea,
+} from '../geometry.js';
+
+const tablet = { width: 152, height: 95 };
+const area = { width: 80, height: 50, x: 76, y: 47.5, radius: 0, rotation: 0 };
+
+describe('normalizeRotation', () => {
+  it('should wrap rotations to -180..180 by default', () => {
+    expect(normalizeRotation(270)).toBe(-90);
+    expect(normalizeRotation(-190)).toBe(170);
+    expect(normalizeRotation(180)).toBe(-180);
+    expect(normalizeRotation(45)).toBe(45);
+  });
+
+  it('should wrap rotations to 0-360 from 0', () => {
+    expect(normalizeRotation(-90, 0)).toBe(270);
+    expect(normalizeRotation(720, 0)).toBe(0);
+    expect(normalizeRotation(12.5, 0)).toBe(12.5);
+  });
+
+  it('should treat a missing rotation as 0', () => {
+    expect(normalizeRotation(undefined)).toBe(0);
+    expect(normalizeRotation(undefined, 0)).toBe(0);
+  });
+});
+
+describe('resizeArea', () => {
+  it('should keep the opposite corner in place', () => {
+    const resized = resizeArea(area, 'se', { x: 10, y: 5 }, { tablet });
+    expect(resized.width).toBe(90);
+    expect(resized.height).toBe(55);
+    expect(resized.x - resized.width / 2).toBe(36);
+    expect(resized.y - resized.height / 2).toBe(22.5);
+  });
+
+  it('should only change one dimension with an edge handle', () => {
+    const resized = resizeArea(area, 'w', { x: 10, y: 30 }, { tablet });
+    expect(resized.width).toBe(70);
+    expect(resized.height).toBe(50);
+    expect(resized.x + resized.width / 2).toBe(116);
+    expect(resized.y).toBe(47.5);
+  });
+
+  it('should resize around the center when symmetric', () => {
+    const resized = resizeArea(area, 'e', { x: 5, y: 0 }, { tablet, symmetric: true });
+    expect(resized.width).toBe(90);
+    expect(resized.x).toBe(76);
+  });
+
+  it('should keep the aspect ratio when locked', () => {
+    const resized = resizeArea(area, 'e', { x: 16, y: 0 }, { tablet, lockRatio: true });
+    expect(resized.width).toBe(96);
+    expect(resized.height).toBe(60);
+    expect(resized.y).toBe(47.5);
+  });
+
+  it('should clamp to the tablet', () => {
+    const resized = resizeArea(area, 'se', { x: 200, y: 200 }, { tablet });
+    expect(resized.x + resized.width / 2).toBeCloseTo(152);
+    expect(resized.y + resized.height / 2).toBeCloseTo(95);
+  });
+
+  it('should clamp without breaking the locked ratio', () => {
+    const resized = resizeArea(area, 'se', { x: 200, y: 0 }, { tablet, lockRatio: true });
+    expect(resized.width / resized.height).toBeCloseTo(1.6);
+    expect(resized.x + resized.width / 2).toBeLessThanOrEqual(152 + 1e-9);
+    expect(resized.y + resized.height / 2).toBeLessThanOrEqual(95 + 1e-9);
+  });
+
+  it('should not go below the minimum size', () => {
+    const resized = resizeArea(area, 'se', { x: -100, y: -100 }, { tablet });
+    expect(resized.width).toBe(1);
+    expect(resized.height).toBe(1);
+  });
+
+  it('should follow the rotated axes', () => {
+    const rotated = { ...area, rotation: 90 };
+    // Moving down on screen pushes the rotated east edge outwards
+    const resized = resizeArea(rotated, 'e', { x: 0, y: 5 }, { tablet });
+    expect(resized.width).toBeCloseTo(85);
+    expect(resized.x).toBeCloseTo(76);
+    expect(resized.y).toBeCloseTo(50);
+  });
+
+  it('should stop rotated corners at the tablet edge', () => {
+    const rotated = { ...area, rotation: 30 };
+    const resized = resizeArea(rotated, 'se', { x: 100, y: 100 }, { tablet });
+    expect(isAreaInBounds(resized, tablet)).toBe(true);
+    expect(resized.width).toBeGreaterThan(80);
+  });
+});
+
+describe('getRotatedHalfExtents', () => {
+  it('should match the area size without rotation', () => {
+    expect(getRotatedHalfExtents(area)).toEqual({ halfWidth: 40, halfHeight: 25 });
+  });
+
+  it('should swap the extents at 90 degrees', () => {
+    const { halfWidth, halfHeight } = getRotatedHalfExtents({ ...area, rotation: 90 });
+    expect(halfWidth).toBeCloseTo(25);
+    expect(halfHeight).toBeCloseTo(40);
+  });
+});
+
+describe('isAreaInBounds', () => {
+  it('should accept an area touching the edges', () => {
+    expect(isAreaInBounds({ ...area, x: 40, y: 25 }, tablet)).toBe(true);
+  });
+
+  it('should reject an area whose rotated corner leaves the tablet', () => {
+    expect(isAreaInBounds({ ...area, x: 40, y: 25, rotation: 30 }, tablet)).toBe(false);
+  });
+});
+
+describe('clampAreaToTablet', () => {
+  it('should keep rotated corners on the tablet', () => {
+    const clamped = clampAreaToTablet({ ...area, x: 0, y: 0, rotation: 30 }, tablet);
+    expect(isAreaInBounds(clamped, tablet)).toBe(true);
+    expect(getAreaCorners(clamped).some(({ x }) => Math.abs(x) < 1e-9)).toBe(true);
+  });
+
+  it('should center an area larger than the tablet', () => {
+    const clamped = clampAreaToTablet({ ...area, width: 200, x: 10 }, tablet);
+    expect(clamped.x).toBe(76);
+  });
+});
+
+describe('nudgeArea', () => {
+  it('should move by 0.1 mm, or 1 mm with the large step', () => {
+    expect(nudgeArea(area, { x: 1 }, tablet)).toMatchObject({ x: 76.1, y: 47.5 });
+    expect(nudgeArea(area, { y: -1 }, tablet, true)).toMatchObject({ x: 76, y: 46.5 });
+  });
+
+  it('should round positions so repeated steps do not drift', () => {
+    let nudged = area;
+    for (let index = 0; index < 3; index++) nudged = nudgeArea(nudged, { x: 1 }, tablet);
+    expect(nudged.x).toBe(76.3);
+    expect(nudgeArea({ ...area, x: 50.123 }, { x: -1 }, tablet).x).toBe(50.02);
+  });
+
+  it('should rotate by 1°, or 15° with the large step', () => {
+    expect(nudgeArea(area, { rotation: 1 }, tablet).rotation).toBe(1);
+    expect(nudgeArea(area, { rotation: -1 }, tablet, true).rotation).toBe(-15);
+  });
+
+  it('should wrap the rotation around within -180 to 180', () => {
+    const small = { ...area, width: 20, height: 20 };
+    expect(nudgeArea({ ...small, rotation: 179 }, { rotation: 1 }, tablet).rotation).toBe(-180);
+    expect(nudgeArea({ ...small, rotation: -170 }, { rotation: -1 }, tablet, true).rotation).toBe(
+      175
+    );
+  });
+
+  it('should keep the area on the tablet', () => {
+    const edge = { ...area, x: 40, y: 25 };
+    expect(nudgeArea(edge, { x: -1 }, tablet, true)).toMatchObject({ x: 40, y: 25 });
+    // Rotating a corner-touching area pushes it back inside
+    const rotated = nudgeArea(edge, { rotation: 1 }, tablet, true);
+    expect(rotated.rotation).toBe(15);
+    expect(isAreaInBounds(rotated, tablet)).toBe(true);
+  });
+});
+
+describe('fitRotatedSize', () => {
+  it('should fill the limiting side without rotation', () => {
+    const size = fitRotatedSize(16 / 9, 0, tablet);
+    expect(size.width).toBeCloseTo(152);
+    expect(size.height).toBeCloseTo(85.5);
+  });
+
+  it('should fit a rotated area on the tablet', () => {
+    const size = fitRotatedSize(16 / 9, 30, tablet);
+    expect(isAreaInBounds({ ...size, x: 76, y: 47.5, rotation: 30 }, tablet)).toBe(true);
+    expect(size.height).toBeLessThan(85.5);
+  });
+});
+
+describe('fitAreaToTablet', () => {
+  it('should only move an area that fits', () => {
+    expect(fitAreaToTablet({ ...area, x: 20 }, tablet)).toEqual({ ...area, x: 40 });
+  });
+
+  it('should shrink a rotated area that does not fit, keeping its ratio', () => {
+    const wide = { ...area, width: 128, height: 72, rotation: 30 };
+    const fitted = fitAreaToTablet(wide, tablet);
+    expect(fitted).toMatchObject(fitRotatedSize(16 / 9, 30, tablet));
+    expect(fitted.rotation).toBe(30);
+    expect(isAreaInBounds(fitted, tablet)).toBe(true);
+  });
+});
+
+describe('getPolygonArea', () => {
+  it('should not depend on the vertex order', () => {
+    const triangle = [
+      { x: 0, y: 0 },
+      { x: 4, y: 0 },
+      { x: 0, y: 3 },
+    ];
+    expect(getPolygonArea(triangle)).toBe(6);
+    expect(getPolygonArea([...triangle].reverse())).toBe(6);
+  });
+});
+
+describe('getIntersectionOverUnion', () => {
+  it('should compare axis-aligned areas', () => {
+    expect(getIntersectionOverUnion(area, area)).toBeCloseTo(1);
+    expect(getIntersectionOverUnion(area, { ...area, x: 116 })).toBeCloseTo(1 / 3);
+    expect(getIntersectionOverUnion(area, { ...area, x: 200 })).toBe(0);
+  });
+
+  it('should include the rotation', () => {
+    const rect = { width: 40, height: 20, x: 50, y: 50, rotation: 0 };
+    expect(getIntersectionOverUnion(rect, { ...rect, rotation: 90 })).toBeCloseTo(1 / 3);
+
+    // A square and the same square rotated by 45° overlap on a regular octagon
+    const square = { width: 2, height: 2, x: 5, y: 5, rotation: 0 };
+    expect(getIntersectionOverUnion(square, { ...square, rotation: 45 })).toBeCloseTo(Math.SQRT1_2);
+  });
+});
+
+describe('getZoomedPan', () => {
+  it('should scale the pan when zooming around the center', () => {
+    expect(getZoomedPan({ x: 10, y: -20 }, { x: 0, y: 0 }, 2)).toEqual({ x: 20, y: -40 });
+  });
+
+  it('should keep the anchor still', () => {
+    // The content point under the anchor is (offset - pan) / zoom before and after
+    const pan = getZoomedPan({ x: 20, y: 10 }, { x: 100, y: 50 }, 2);
+    expect(pan).toEqual({ x: -60, y: -30 });
+    expect((100 - pan.x) / 2).toBe(100 - 20);
+    expect((50 - pan.y) / 2).toBe(50 - 10);
+  });
+
+  it('should keep the pan when the zoom does not change', () => {
+    expect(getZoomedPan({ x: 30, y: 40 }, { x: 100, y: 50 }, 1)).toEqual({ x: 30, y: 40 });
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests for grid.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getGridSteps, getRulerTicks } from '../grid.js';
+
+describe('getGridSteps', () => {
+  it('should keep the wanted spacing when its lines are far enough apart', () => {
+    expect(getGridSteps(1, 10)).toEqual({ minor: 1, major: 5, label: 5 });
+    expect(getGridSteps(10, 20)).toEqual({ minor: 10, major: 50, label: 50 });
+  });
+
+  it('should coarsen the grid when zooming out', () => {
+    expect(getGridSteps(1, 3)).toEqual({ minor: 5, major: 10, label: 50 });
+    expect(getGridSteps(5, 3)).toEqual({ minor: 5, major: 10, label: 50 });
+  });
+
+  it('should stop at the largest step', () => {
+    expect(getGridSteps(1, 0.001)).toEqual({ minor: 500, major: 500, label: 500 });
+  });
+});
+
+describe('getRulerTicks', () => {
+  it('should list the multiples of the step within the range', () => {
+    expect(getRulerTicks(-3, 12, 5)).toEqual([0, 5, 10]);
+    expect(getRulerTicks(-12, -1, 5)).toEqual([-10, -5]);
+  });
+
+  it('should include the range ends', () => {
+    expect(getRulerTicks(0, 10, 5)).toEqual([0, 5, 10]);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for history.js module
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  pushState,
+  undo,
+  redo,
+  canUndo,
+  canRedo,
+  clearHistory,
+  isSameSnapshot,
+  subscribeToHistory,
+} from '../history.js';
+
+const tablet = { brand: 'Wacom', model: 'CTL-472', width: 152, height: 95, isCustom: false };
+const area = { width: 76, height: 47.5, x: 76, y: 47.5, radius: 0, rotation: 0 };
+const zoneA = { id: 'a', name: 'A', color: '#52b788', visible: true, area };
+const zoneB = { ...zoneA, id: 'b', name: 'B', color: '#f4a261' };
+
+function snapshot(overrides = {}, areaA = area) {
+  return { tablet, zones: [{ ...zoneA, area: areaA }, zoneB], activeZone: 'a', ...overrides };
+}
+
+describe('isSameSnapshot', () => {
+  it('should compare rotation, active zone and tablet', () => {
+    expect(isSameSnapshot(snapshot(), snapshot())).toBe(true);
+    expect(isSameSnapshot(snapshot(), snapshot({}, { ...area, rotation: 10 }))).toBe(false);
+    expect(isSameSnapshot(snapshot(), snapshot({ activeZone: 'b' }))).toBe(false);
+    expect(isSameSnapshot(snapshot(), snapshot({ zones: [zoneB, zoneA] }))).toBe(false);
+    expect(isSameSnapshot(snapshot(), snapshot({ zones: [zoneA] }))).toBe(false);
+    expect(isSameSnapshot(snapshot(), snapshot({ tablet: { ...tablet, width: 160 } }))).toBe(false);
+  });
+
+  it('should handle missing snapshots', () => {
+    expect(isSameSnapshot(null, snapshot())).toBe(false);
+    expect(isSameSnapshot(null, null)).toBe(true);
+  });
+});
+
+describe('pushState / undo / redo', () => {
+  beforeEach(() => {
+    clearHistory();
+  });
+
+  it('should skip snapshots identical to the last one', () => {
+    pushState(snapshot());
+    pushState(snapshot());
+
+    expect(undo(snapshot({ activeZone: 'b' }))).toEqual(snapshot());
+    expect(canUndo()).toBe(false);
+  });
+
+  it('should record snapshots that only differ by rotation', () => {
+    pushState(snapshot());
+    pushState(snapshot({}, { ...area, rotation: 15 }));
+
+    expect(undo(snapshot()).zones[0].area.rotation).toBe(15);
+    expect(canUndo()).toBe(true);
+  });
+
+  it('should redo what was undone', () => {
+    const before = snapshot();
+    const after = snapshot({}, { ...area, x: 50 });
+    pushState(before);
+
+    expect(undo(after)).toEqual(before);
+    expect(canRedo()).toBe(true);
+    expect(redo(before)).toEqual(after);
+    expect(canRedo()).toBe(false);
+  });
+
+  it('should store copies of the snapshots', () => {
+    const before = snapshot({}, { ...area });
+    pushState(before);
+    before.zones[0].area.x = 0;
+
+    expect(undo(snapshot()).zones[0].area.x).toBe(76);
+  });
+
+  it('should notify subscribers', () => {
+    const callback = vi.fn();
+    const unsubscribe = subscribeToHistory(callback);
+    pushState(snapshot());
+    unsubscribe();
+
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ canUndo: true }));
+  });
+});
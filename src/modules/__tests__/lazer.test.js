@@ -0,0 +1,78 @@
+/**
+ * Tests for lazer.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { areaToLazer, buildLazerConfig, parseLazerConfig } from '../lazer.js';
+
+describe('areaToLazer', () => {
+  it('should keep the area center as the offset', () => {
+    const lazer = areaToLazer({ width: 76, height: 47.5, x: 60, y: 40, rotation: 0 });
+
+    expect(lazer).toEqual({
+      areaSize: { x: 76, y: 47.5 },
+      areaOffset: { x: 60, y: 40 },
+      rotation: 0,
+    });
+  });
+
+  it('should normalize negative rotations to 0-360', () => {
+    expect(areaToLazer({ width: 76, height: 47.5, x: 60, y: 40, rotation: -15 }).rotation).toBe(
+      345
+    );
+  });
+
+  it('should round values to two decimals', () => {
+    expect(areaToLazer({ width: 100 / 3, height: 20, x: 10, y: 10 }).areaSize.x).toBe(33.33);
+  });
+});
+
+describe('buildLazerConfig', () => {
+  it('should format the settings as key = value lines', () => {
+    const config = buildLazerConfig({ width: 76, height: 47.5, x: 60, y: 40, rotation: 90 });
+
+    expect(config).toBe('AreaSize = 76, 47.5\nAreaOffset = 60, 40\nRotation = 90');
+  });
+});
+
+describe('parseLazerConfig', () => {
+  it('should round-trip a generated snippet', () => {
+    const area = { width: 58, height: 45.2, x: 68.9, y: 26.4, rotation: -15 };
+
+    expect(parseLazerConfig(buildLazerConfig(area))).toEqual(area);
+  });
+
+  it('should parse split X/Y keys with a prefix', () => {
+    const text = [
+      'Tablet_AreaSizeX = 76',
+      'Tablet_AreaSizeY = 47.5',
+      'Tablet_AreaOffsetX = 60',
+      'Tablet_AreaOffsetY = 40',
+    ].join('\n');
+
+    expect(parseLazerConfig(text)).toEqual({ width: 76, height: 47.5, x: 60, y: 40, rotation: 0 });
+  });
+
+  it('should parse input.json handler objects', () => {
+    const text = JSON.stringify({
+      AreaOffset: { X: 60, Y: 40 },
+      AreaSize: { X: 76, Y: 47.5 },
+      Rotation: 270,
+    });
+
+    expect(parseLazerConfig(text)).toEqual({
+      width: 76,
+      height: 47.5,
+      x: 60,
+      y: 40,
+      rotation: -90,
+    });
+  });
+
+  it('should return null when size or offset is missing', () => {
+    expect(parseLazerConfig('AreaSize = 76, 47.5')).toBeNull();
+    expect(parseLazerConfig('AreaSize = 0, 47.5\nAreaOffset = 60, 40')).toBeNull();
+    expect(parseLazerConfig('')).toBeNull();
+    expect(parseLazerConfig(null)).toBeNull();
+  });
+});
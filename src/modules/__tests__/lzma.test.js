@@ -0,0 +1,34 @@
+/**
+ * Tests for lzma.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { decompressLzma } from '../lzma.js';
+import { FRAME_DATA, FRAME_DATA_LZMA, fromBase64 } from './fixtures/replay-data.js';
+
+const decode = bytes => new TextDecoder().decode(bytes);
+
+describe('decompressLzma', () => {
+  it('should decode a stream with an unknown size and an end marker', () => {
+    expect(decode(decompressLzma(fromBase64(FRAME_DATA_LZMA)))).toBe(FRAME_DATA);
+  });
+
+  it('should decode a stream with a known size', () => {
+    const data = fromBase64('XQAAgAATAAAAAAAAAAA3nMr9XiXay2lv///3SQAA');
+    expect(decode(decompressLzma(data))).toBe('osu! osu! osu! osu!');
+  });
+
+  it('should decode an empty stream', () => {
+    expect(decompressLzma(fromBase64('XQAAgAAAAAAAAAAAAACD//v//8AAAAA=')).length).toBe(0);
+  });
+
+  it('should reject data that is not LZMA', () => {
+    expect(() => decompressLzma(new Uint8Array(8))).toThrow();
+    expect(() => decompressLzma(new Uint8Array(32).fill(0xff))).toThrow();
+  });
+
+  it('should reject truncated data', () => {
+    const data = fromBase64(FRAME_DATA_LZMA);
+    expect(() => decompressLzma(data.subarray(0, data.length - 40))).toThrow();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for opentabletdriver.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildOtdSettings, getOtdTabletName, parseOtdSettings } from '../opentabletdriver.js';
+
+const display = { width: 1920, height: 1080, x: 960, y: 540 };
+
+describe('getOtdTabletName', () => {
+  it('should join brand and model without parenthesized aliases', () => {
+    expect(getOtdTabletName({ brand: 'Wacom', model: 'CTL-472 Small (One by Wacom S)' })).toBe(
+      'Wacom CTL-472 Small'
+    );
+    expect(getOtdTabletName({ brand: 'Huion', model: 'Inspiroy H640P' })).toBe(
+      'Huion Inspiroy H640P'
+    );
+  });
+
+  it('should return an empty name for custom or missing tablets', () => {
+    expect(getOtdTabletName({ brand: 'Custom', model: 'Custom', isCustom: true })).toBe('');
+    expect(getOtdTabletName(null)).toBe('');
+  });
+});
+
+describe('buildOtdSettings', () => {
+  const area = { width: 76, height: 47.5, x: 76, y: 47.5, radius: 0, rotation: 0 };
+
+  it('should create a single absolute mode profile', () => {
+    const settings = buildOtdSettings({ tabletName: 'Wacom CTL-472', area, display });
+
+    expect(settings.Profiles).toHaveLength(1);
+    const [profile] = settings.Profiles;
+    expect(profile.Tablet).toBe('Wacom CTL-472');
+    expect(profile.OutputMode.Path).toBe('OpenTabletDriver.Desktop.Output.AbsoluteMode');
+    expect(profile.OutputMode.Enable).toBe(true);
+  });
+
+  it('should keep center-based tablet area in millimeters', () => {
+    const settings = buildOtdSettings({ tabletName: 'Wacom CTL-472', area, display });
+    const { Tablet } = settings.Profiles[0].AbsoluteModeSettings;
+
+    expect(Tablet).toEqual({ Width: 76, Height: 47.5, X: 76, Y: 47.5, Rotation: 0 });
+  });
+
+  it('should write the configured display area', () => {
+    const settings = buildOtdSettings({
+      tabletName: 'Wacom CTL-472',
+      area,
+      display: { width: 2560, height: 1440, x: 1280, y: 720 },
+    });
+    const { Display } = settings.Profiles[0].AbsoluteModeSettings;
+
+    expect(Display).toEqual({ Width: 2560, Height: 1440, X: 1280, Y: 720, Rotation: 0 });
+  });
+
+  it('should normalize negative rotations to 0-360', () => {
+    const settings = buildOtdSettings({
+      tabletName: 'Wacom CTL-472',
+      area: { ...area, rotation: -90 },
+      display,
+    });
+
+    expect(settings.Profiles[0].AbsoluteModeSettings.Tablet.Rotation).toBe(270);
+  });
+
+  it('should round values to avoid floating point noise', () => {
+    const settings = buildOtdSettings({
+      tabletName: 'Wacom CTL-472',
+      area: { ...area, width: 100 / 3 },
+      display,
+    });
+
+    expect(settings.Profiles[0].AbsoluteModeSettings.Tablet.Width).toBe(33.333);
+  });
+});
+
+describe('parseOtdSettings', () => {
+  const area = { width: 58, height: 45.2, x: 68.9, y: 26.4, radius: 0, rotation: -15 };
+
+  it('should round-trip an exported profile', () => {
+    const settings = buildOtdSettings({ tabletName: 'Wacom CTL-472', area, display });
+    const imported = parseOtdSettings(JSON.stringify(settings));
+
+    expect(imported.tabletName).toBe('Wacom CTL-472');
+    expect(imported.area).toEqual({ width: 58, height: 45.2, x: 68.9, y: 26.4, rotation: -15 });
+    expect(imported.display).toEqual(display);
+  });
+
+  it('should use the first profile that has an absolute area', () => {
+    const settings = buildOtdSettings({ tabletName: 'Huion H640P', area, display });
+    settings.Profiles.unshift({ Tablet: 'Wacom PTH-451', AbsoluteModeSettings: null });
+
+    expect(parseOtdSettings(JSON.stringify(settings)).tabletName).toBe('Huion H640P');
+  });
+
+  it('should parse the legacy flat format', () => {
+    const legacy = {
+      DisplayWidth: 1920,
+      DisplayHeight: 1080,
+      DisplayX: 960,
+      DisplayY: 540,
+      TabletWidth: 76,
+      TabletHeight: 47.5,
+      TabletX: 76,
+      TabletY: 47.5,
+      TabletRotation: 90,
+    };
+    const imported = parseOtdSettings(JSON.stringify(legacy));
+
+    expect(imported.tabletName).toBeNull();
+    expect(imported.area).toEqual({ width: 76, height: 47.5, x: 76, y: 47.5, rotation: 90 });
+    expect(imported.display).toEqual(display);
+  });
+
+  it('should return null for malformed files', () => {
+    expect(parseOtdSettings('not json')).toBeNull();
+    expect(parseOtdSettings('null')).toBeNull();
+    expect(parseOtdSettings('{"Profiles": []}')).toBeNull();
+    expect(parseOtdSettings('{"Profiles": [{"Tablet": "Wacom CTL-472"}]}')).toBeNull();
+    expect(parseOtdSettings('{"TabletWidth": "76"}')).toBeNull();
+  });
+
+  it('should reject empty areas', () => {
+    const settings = buildOtdSettings({
+      tabletName: 'Wacom CTL-472',
+      area: { ...area, width: 0 },
+      display,
+    });
+
+    expect(parseOtdSettings(JSON.stringify(settings))).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for playfield.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getPlayfieldRect,
+  getPlayfieldFraction,
+  getPlayfieldArea,
+  getAreaForPlayfield,
+  playfieldToScreen,
+} from '../playfield.js';
+
+const monitor = { width: 1920, height: 1080 };
+const display = { width: 1920, height: 1080, x: 960, y: 540 };
+
+describe('getPlayfieldRect', () => {
+  it('should scale the playfield to the screen height', () => {
+    expect(getPlayfieldRect(monitor)).toEqual({ width: 1152, height: 864, x: 960, y: 558 });
+  });
+
+  it('should apply the playfield scaling', () => {
+    const { width, height } = getPlayfieldRect(monitor, 0.5);
+    expect(width).toBe(576);
+    expect(height).toBe(432);
+  });
+});
+
+describe('getPlayfieldFraction', () => {
+  it('should locate the playfield within a full screen display', () => {
+    const fraction = getPlayfieldFraction(display, monitor);
+    expect(fraction.width).toBeCloseTo(0.6);
+    expect(fraction.height).toBeCloseTo(0.8);
+    expect(fraction.left).toBeCloseTo(0.2);
+    expect(fraction.top).toBeCloseTo(0.11667);
+  });
+});
+
+describe('getPlayfieldArea', () => {
+  it('should give the tablet part used for gameplay', () => {
+    const area = { width: 100, height: 56.25, x: 76, y: 47.5, rotation: 0 };
+    const playfield = getPlayfieldArea(area, display, monitor);
+    expect(playfield.width).toBeCloseTo(60);
+    expect(playfield.height).toBeCloseTo(45);
+    expect(playfield.x).toBeCloseTo(76);
+    expect(playfield.y).toBeCloseTo(48.4375);
+  });
+
+  it('should follow the area rotation', () => {
+    const area = { width: 100, height: 56.25, x: 76, y: 47.5, rotation: 90 };
+    const playfield = getPlayfieldArea(area, display, monitor);
+    expect(playfield.x).toBeCloseTo(75.0625);
+    expect(playfield.y).toBeCloseTo(47.5);
+  });
+});
+
+describe('getAreaForPlayfield', () => {
+  it('should invert getPlayfieldArea', () => {
+    const area = getAreaForPlayfield({ width: 60, height: 45 }, display, monitor, {
+      center: { x: 76, y: 47.5 },
+    });
+    expect(area.width).toBeCloseTo(100);
+    expect(area.height).toBeCloseTo(56.25);
+
+    const playfield = getPlayfieldArea({ ...area, rotation: 0 }, display, monitor);
+    expect(playfield.x).toBeCloseTo(76);
+    expect(playfield.y).toBeCloseTo(47.5);
+  });
+
+  it('should need a larger area when the playfield is scaled down', () => {
+    const area = getAreaForPlayfield({ width: 60, height: 45 }, display, monitor, { scale: 0.8 });
+    expect(area.width).toBeCloseTo(125);
+  });
+
+  it('should keep the playfield center with a rotated area', () => {
+    const center = { x: 70, y: 50 };
+    const area = getAreaForPlayfield({ width: 60, height: 45 }, display, monitor, {
+      center,
+      rotation: 30,
+    });
+    const playfield = getPlayfieldArea({ ...area, rotation: 30 }, display, monitor);
+    expect(playfield.x).toBeCloseTo(70);
+    expect(playfield.y).toBeCloseTo(50);
+  });
+});
+
+describe('playfieldToScreen', () => {
+  it('should map osu!pixels to the playfield rectangle', () => {
+    expect(playfieldToScreen({ x: 0, y: 0 }, monitor)).toEqual({ x: 384, y: 126 });
+    expect(playfieldToScreen({ x: 256, y: 192 }, monitor)).toEqual({ x: 960, y: 558 });
+  });
+});
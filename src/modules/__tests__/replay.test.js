@@ -0,0 +1,86 @@
+/**
+ * Tests for replay.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseReplay, parseReplayFrames, OSU_MODE_STANDARD } from '../replay.js';
+import { FRAME_DATA_LZMA, fromBase64 } from './fixtures/replay-data.js';
+
+/**
+ * Build an .osr file around compressed frame data
+ * @param {Object} options
+ * @returns {Uint8Array}
+ */
+function buildReplay({ mode = OSU_MODE_STANDARD, player = 'peppy', data }) {
+  const bytes = [];
+  const int = (value, size) => {
+    for (let i = 0; i < size; i++) bytes.push((value >>> (i * 8)) & 0xff);
+  };
+  const string = value => {
+    if (!value) return bytes.push(0);
+    const encoded = new TextEncoder().encode(value);
+    bytes.push(0x0b, encoded.length, ...encoded);
+  };
+
+  bytes.push(mode);
+  int(20240101, 4);
+  string('d41d8cd98f00b204e9800998ecf8427e');
+  string(player);
+  string('');
+  for (let i = 0; i < 6; i++) int(i, 2);
+  int(1000000, 4);
+  int(727, 2);
+  bytes.push(1);
+  int(64, 4);
+  string('');
+  int(0, 4);
+  int(0, 4);
+  int(data.length, 4);
+  bytes.push(...data);
+  int(0, 8);
+
+  return Uint8Array.from(bytes);
+}
+
+describe('parseReplayFrames', () => {
+  it('should accumulate frame times and skip the seed and off-screen frames', () => {
+    const frames = parseReplayFrames(
+      '0|256|-500|0,-1|256|-500|0,10|12|34|1,5|20.5|40|0,-12345|0|0|7,'
+    );
+    expect(frames).toEqual([
+      { time: 9, x: 12, y: 34, keys: 1 },
+      { time: 14, x: 20.5, y: 40, keys: 0 },
+    ]);
+  });
+
+  it('should ignore malformed entries', () => {
+    expect(parseReplayFrames('abc,1|2,')).toEqual([]);
+  });
+});
+
+describe('parseReplay', () => {
+  it('should read the header and decode the cursor frames', () => {
+    const replay = parseReplay(buildReplay({ data: fromBase64(FRAME_DATA_LZMA) }));
+
+    expect(replay.mode).toBe(OSU_MODE_STANDARD);
+    expect(replay.version).toBe(20240101);
+    expect(replay.player).toBe('peppy');
+    expect(replay.beatmapHash).toBe('d41d8cd98f00b204e9800998ecf8427e');
+    expect(replay.mods).toBe(64);
+    expect(replay.frames).toHaveLength(60);
+    expect(replay.frames[0]).toEqual({ time: -1, x: 100, y: 150, keys: 0 });
+    expect(replay.frames[59]).toMatchObject({ time: 943, x: 395 });
+  });
+
+  it('should accept an ArrayBuffer', () => {
+    const bytes = buildReplay({ data: fromBase64(FRAME_DATA_LZMA) });
+    expect(parseReplay(bytes.buffer).frames).toHaveLength(60);
+  });
+
+  it('should reject files that are not replays', () => {
+    expect(() =>
+      parseReplay(new TextEncoder().encode('[General]\nAudioFilename: a.mp3'))
+    ).toThrow();
+    expect(() => parseReplay(new Uint8Array(4))).toThrow();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for screen.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getPixelsPerMm,
+  getAreaSizeForSensitivity,
+  getRatioMismatch,
+  isRatioMismatched,
+  fitDisplayToMonitor,
+  screenToTablet,
+} from '../screen.js';
+
+const display = { width: 1920, height: 1080, x: 960, y: 540 };
+
+describe('getPixelsPerMm', () => {
+  it('should divide the display size by the area size', () => {
+    expect(getPixelsPerMm({ width: 96, height: 54 }, display)).toEqual({ x: 20, y: 20 });
+  });
+});
+
+describe('getAreaSizeForSensitivity', () => {
+  it('should give the area size for the wanted px/mm', () => {
+    expect(getAreaSizeForSensitivity({ x: 20, y: 20 }, display)).toEqual({ width: 96, height: 54 });
+  });
+
+  it('should round-trip with getPixelsPerMm', () => {
+    const area = { width: 72.5, height: 41.3 };
+    const size = getAreaSizeForSensitivity(getPixelsPerMm(area, display), display);
+    expect(size.width).toBeCloseTo(72.5);
+    expect(size.height).toBeCloseTo(41.3);
+  });
+});
+
+describe('getRatioMismatch', () => {
+  it('should be zero when the ratios match', () => {
+    expect(getRatioMismatch({ width: 160, height: 90 }, display)).toBeCloseTo(0);
+  });
+
+  it('should measure the distortion of a 16:10 area on a 16:9 screen', () => {
+    expect(getRatioMismatch({ width: 80, height: 50 }, display)).toBeCloseTo(0.1);
+  });
+});
+
+describe('isRatioMismatched', () => {
+  it('should tolerate rounding differences', () => {
+    expect(isRatioMismatched({ width: 100, height: 56.3 }, display)).toBe(false);
+  });
+
+  it('should flag a different ratio', () => {
+    expect(isRatioMismatched({ width: 80, height: 60 }, display)).toBe(true);
+  });
+});
+
+describe('fitDisplayToMonitor', () => {
+  it('should keep a display that already fits', () => {
+    const partial = { width: 1280, height: 720, x: 640, y: 360 };
+    expect(fitDisplayToMonitor(partial, display)).toEqual(partial);
+  });
+
+  it('should cap the size and keep the display on screen', () => {
+    const monitor = { width: 1366, height: 768 };
+    expect(fitDisplayToMonitor({ ...display, x: 1500 }, monitor)).toEqual({
+      width: 1366,
+      height: 768,
+      x: 683,
+      y: 384,
+    });
+  });
+});
+
+describe('screenToTablet', () => {
+  const area = { width: 96, height: 54, x: 76, y: 47.5, rotation: 0 };
+
+  it('should map the display corners to the area corners', () => {
+    expect(screenToTablet({ x: 0, y: 0 }, area, display)).toEqual({ x: 28, y: 20.5 });
+    expect(screenToTablet({ x: 960, y: 540 }, area, display)).toEqual({ x: 76, y: 47.5 });
+  });
+
+  it('should follow the area rotation', () => {
+    const point = screenToTablet({ x: 1920, y: 540 }, { ...area, rotation: 90 }, display);
+    expect(point.x).toBeCloseTo(76);
+    expect(point.y).toBeCloseTo(95.5);
+  });
+});
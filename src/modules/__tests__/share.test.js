@@ -0,0 +1,156 @@
+/**
+ * Tests for share.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildShareUrl, decodeShareState, encodeShareState, SHARE_VERSION } from '../share.js';
+
+const tablet = {
+  brand: 'Wacom',
+  model: 'CTL-472 Small (One by Wacom S)',
+  width: 152,
+  height: 95,
+  isCustom: false,
+};
+const area = { width: 76, height: 47.5, x: 76, y: 47.5, radius: 10, rotation: -15 };
+const areaB = { width: 60, height: 37.5, x: 50, y: 30, radius: 0, rotation: 0 };
+const zones = [
+  { name: 'A', color: '#52b788', visible: true, area, tablet },
+  { name: 'Old setup', color: '#f4a261', visible: false, area: areaB, tablet },
+];
+
+/**
+ * Build a hash in the first share format (zones A and B)
+ * @param {Object} payload - Version 1 payload
+ * @returns {string}
+ */
+function encodeVersion1(payload) {
+  return `s=1.${btoa(JSON.stringify(payload)).replace(/=+$/, '')}`;
+}
+
+describe('encodeShareState', () => {
+  it('should prefix the payload with the format version', () => {
+    const hash = encodeShareState({ tablet, zones, comparisonMode: false });
+
+    expect(hash.startsWith(`s=${SHARE_VERSION}.`)).toBe(true);
+    expect(hash).toMatch(/^s=\d+\.[\w-]+$/);
+  });
+});
+
+describe('decodeShareState', () => {
+  it('should round-trip tablet, zones and comparison mode', () => {
+    const hash = encodeShareState({ tablet, zones, comparisonMode: true });
+
+    expect(decodeShareState(`#${hash}`)).toEqual({ tablet, zones, comparisonMode: true });
+  });
+
+  it('should decode the first format, with zones A and B', () => {
+    const hash = encodeVersion1({
+      t: ['Wacom', 'CTL-472', 152, 95, 0],
+      a: [76, 47.5, 76, 47.5, 10, -15],
+      b: [60, 37.5, 50, 30, 0, 0],
+      c: 1,
+    });
+
+    const v1Tablet = { ...tablet, model: 'CTL-472' };
+    expect(decodeShareState(hash)).toEqual({
+      tablet: v1Tablet,
+      zones: [
+        { name: 'A', color: '#52b788', visible: true, area, tablet: v1Tablet },
+        { name: 'B', color: '#f4a261', visible: true, area: areaB, tablet: v1Tablet },
+      ],
+      comparisonMode: true,
+    });
+  });
+
+  it('should round-trip zones on another tablet', () => {
+    const other = { brand: 'XP-Pen', model: 'Deco 01', width: 254, height: 152.4, isCustom: false };
+    const shared = [
+      zones[0],
+      { ...zones[1], tablet: other },
+      { ...zones[1], visible: true, tablet: other },
+    ];
+    const hash = encodeShareState({ tablet, zones: shared, comparisonMode: true });
+
+    expect(decodeShareState(hash).zones).toEqual(shared);
+  });
+
+  it('should reject invalid zone tablets', () => {
+    const hash = encodeShareState({
+      tablet,
+      zones: [{ ...zones[0], tablet: { ...tablet, width: 0 } }],
+      comparisonMode: false,
+    });
+
+    expect(decodeShareState(hash)).toBeNull();
+  });
+
+  it('should replace invalid zone names and colors', () => {
+    const hash = encodeShareState({
+      tablet,
+      zones: [{ ...zones[0], name: ' ', color: 'red;' }],
+      comparisonMode: false,
+    });
+
+    expect(decodeShareState(hash).zones[0]).toMatchObject({ name: 'A', color: '#52b788' });
+  });
+
+  it('should round-trip custom tablets', () => {
+    const custom = {
+      brand: 'Custom',
+      model: 'Custom',
+      width: 223.5,
+      height: 139.7,
+      isCustom: true,
+    };
+    const hash = encodeShareState({ tablet: custom, zones, comparisonMode: false });
+
+    expect(decodeShareState(hash).tablet).toEqual(custom);
+  });
+
+  it('should round values to two decimals', () => {
+    const hash = encodeShareState({
+      tablet,
+      zones: [{ ...zones[0], area: { ...area, width: 100 / 3 } }],
+      comparisonMode: false,
+    });
+
+    expect(decodeShareState(hash).zones[0].area.width).toBe(33.33);
+  });
+
+  it('should return null for missing, malformed or unknown versions', () => {
+    const [, payload] = encodeShareState({ tablet, zones, comparisonMode: false }).split('.');
+
+    expect(decodeShareState('')).toBeNull();
+    expect(decodeShareState('#other=1')).toBeNull();
+    expect(decodeShareState('#s=1.!!!')).toBeNull();
+    expect(decodeShareState(`#s=0.${payload}`)).toBeNull();
+    expect(decodeShareState(`#s=${SHARE_VERSION + 1}.${payload}`)).toBeNull();
+    expect(decodeShareState(null)).toBeNull();
+  });
+
+  it('should reject empty areas and empty zone lists', () => {
+    const hash = encodeShareState({
+      tablet,
+      zones: [{ ...zones[0], area: { ...area, width: 0 } }],
+      comparisonMode: false,
+    });
+
+    expect(decodeShareState(hash)).toBeNull();
+    expect(
+      decodeShareState(encodeShareState({ tablet, zones: [], comparisonMode: false }))
+    ).toBeNull();
+  });
+});
+
+describe('buildShareUrl', () => {
+  it('should replace any existing hash', () => {
+    const url = buildShareUrl(
+      { tablet, zones, comparisonMode: false },
+      'https://example.com/osurea/#old'
+    );
+
+    expect(url.startsWith('https://example.com/osurea/#s=')).toBe(true);
+    expect(decodeShareState(new URL(url).hash).zones).toEqual(zones);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for snap.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findSnap, snapToPoint, getSnapTargets, snapAreaPosition } from '../snap.js';
+
+const tablet = { width: 152, height: 95 };
+
+describe('snapToPoint', () => {
+  it('should snap to the nearest point within the threshold', () => {
+    expect(snapToPoint(48, [0, 50, 100], 2)).toBe(50);
+    expect(snapToPoint(47, [0, 50, 100], 2)).toBe(47);
+  });
+
+  it('should prefer the closest point', () => {
+    expect(snapToPoint(4, [0, 5], 5)).toBe(5);
+  });
+});
+
+describe('findSnap', () => {
+  it('should return the closest anchor and target pair', () => {
+    expect(findSnap([10, 20], [21, 12], 3)).toEqual({ anchor: 20, target: 21, delta: 1 });
+  });
+
+  it('should return null when nothing is within the threshold', () => {
+    expect(findSnap([10], [20], 3)).toBeNull();
+  });
+});
+
+describe('getSnapTargets', () => {
+  it('should include the tablet edges and center lines', () => {
+    expect(getSnapTargets({ tablet })).toEqual({ x: [0, 76, 152], y: [0, 47.5, 95] });
+  });
+
+  it('should include the other zones and the grid lines', () => {
+    const other = { x: 50, y: 40, width: 20, height: 10, rotation: 0 };
+    const { x, y } = getSnapTargets({ tablet, others: [other], gridStep: 50 });
+    expect(x).toEqual([0, 76, 152, 40, 50, 60, 0, 50, 100, 150]);
+    expect(y).toEqual([0, 47.5, 95, 35, 40, 45, 0, 50]);
+  });
+
+  it('should include every other zone', () => {
+    const others = [
+      { x: 50, y: 40, width: 20, height: 10, rotation: 0 },
+      { x: 100, y: 60, width: 10, height: 10, rotation: 0 },
+    ];
+    expect(getSnapTargets({ tablet, others }).x).toEqual([0, 76, 152, 40, 50, 60, 95, 100, 105]);
+  });
+});
+
+describe('snapAreaPosition', () => {
+  const area = { width: 40, height: 20, x: 22, y: 47, rotation: 0 };
+
+  it('should snap an edge to the closest line on each axis', () => {
+    const result = snapAreaPosition(area, getSnapTargets({ tablet }), 3);
+    // Left edge (2 mm) snaps to 0, center (47 mm) snaps to 47.5
+    expect(result).toEqual({ x: 20, y: 47.5, lines: { x: 0, y: 47.5 } });
+  });
+
+  it('should leave an axis alone when nothing is close', () => {
+    const result = snapAreaPosition({ ...area, y: 30 }, getSnapTargets({ tablet }), 1);
+    expect(result.y).toBe(30);
+    expect(result.lines.y).toBeNull();
+  });
+
+  it('should use the bounding box of a rotated area', () => {
+    const rotated = { width: 40, height: 20, x: 11, y: 47.5, rotation: 90 };
+    // Rotated by 90°, the area is 20 mm wide: its left edge is at 1 mm
+    expect(snapAreaPosition(rotated, getSnapTargets({ tablet }), 2).x).toBeCloseTo(10);
+  });
+});
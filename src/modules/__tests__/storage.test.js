@@ -6,6 +6,7 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import {
   loadPrefs,
   savePrefs,
+  hasPrefs,
   updatePref,
   getPref,
   getFavorites,
@@ -74,6 +75,14 @@ describe('Preferences', () => {
     });
   });
 
+  describe('hasPrefs', () => {
+    it('should report whether prefs were saved', () => {
+      expect(hasPrefs()).toBe(false);
+      savePrefs({ tablet: { brand: 'Test' } });
+      expect(hasPrefs()).toBe(true);
+    });
+  });
+
   describe('getPref / updatePref', () => {
     it('should get and update nested prefs', () => {
       updatePref('ui.theme', 'light');
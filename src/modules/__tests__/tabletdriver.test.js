@@ -0,0 +1,64 @@
+/**
+ * Tests for tabletdriver.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildTabletDriverConfig, parseTabletDriverConfig } from '../tabletdriver.js';
+
+const area = { width: 76, height: 47.5, x: 76, y: 47.5, radius: 0, rotation: 0 };
+const display = { width: 1920, height: 1080, x: 960, y: 540 };
+
+describe('buildTabletDriverConfig', () => {
+  it('should emit Area and Rotation commands with two decimals', () => {
+    expect(buildTabletDriverConfig({ area })).toBe('Area 76.00 47.50 76.00 47.50\nRotation 0');
+  });
+
+  it('should emit ScreenArea with a top-left offset when a display is given', () => {
+    const config = buildTabletDriverConfig({
+      area,
+      display: { width: 1920, height: 1080, x: 2880, y: 540 },
+    });
+    expect(config.split('\n')[0]).toBe('ScreenArea 1920 1080 1920 0');
+  });
+
+  it('should keep fractional rotations', () => {
+    expect(buildTabletDriverConfig({ area: { ...area, rotation: -12.5 } })).toContain(
+      'Rotation -12.50'
+    );
+  });
+});
+
+describe('parseTabletDriverConfig', () => {
+  it('should round-trip generated commands', () => {
+    const config = buildTabletDriverConfig({ area: { ...area, rotation: 15 }, display });
+    expect(parseTabletDriverConfig(config)).toEqual({
+      area: { width: 76, height: 47.5, x: 76, y: 47.5, rotation: 15 },
+      display,
+    });
+  });
+
+  it('should read TabletArea and ignore comments and unrelated commands', () => {
+    const config = [
+      '# Wacom CTL-472',
+      'Tablet 056a 037a',
+      'TabletArea 58 45.2 68.9 26.4 # my area',
+      'Smoothing 0',
+    ].join('\r\n');
+
+    expect(parseTabletDriverConfig(config)).toEqual({
+      area: { width: 58, height: 45.2, x: 68.9, y: 26.4, rotation: 0 },
+      display: null,
+    });
+  });
+
+  it('should normalize rotations to -180..180', () => {
+    expect(parseTabletDriverConfig('Area 76 47.5 76 47.5\nRotation 270').area.rotation).toBe(-90);
+  });
+
+  it('should return null without a valid Area command', () => {
+    expect(parseTabletDriverConfig('Rotation 0')).toBeNull();
+    expect(parseTabletDriverConfig('Area 76 47.5')).toBeNull();
+    expect(parseTabletDriverConfig('Area 0 47.5 76 47.5')).toBeNull();
+    expect(parseTabletDriverConfig(null)).toBeNull();
+  });
+});
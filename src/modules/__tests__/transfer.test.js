@@ -0,0 +1,59 @@
+/**
+ * Tests for transfer.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { transferArea } from '../transfer.js';
+
+const small = { width: 152, height: 95 };
+const large = { width: 216, height: 135 };
+const area = { width: 60, height: 40, x: 40, y: 30, radius: 0, rotation: 0 };
+
+describe('transferArea', () => {
+  it('should keep the relative position and the physical size', () => {
+    const result = transferArea(area, small, large);
+
+    expect(result.area).toMatchObject({ width: 60, height: 40 });
+    expect(result.area.x).toBeCloseTo((40 / 152) * 216);
+    expect(result.area.y).toBeCloseTo((30 / 95) * 135);
+    expect(result.fits).toBe(true);
+    expect(result.resized).toBe(false);
+  });
+
+  it('should keep the distance from the chosen corner', () => {
+    const topLeft = transferArea(area, small, large, { mode: 'offset', corner: 'top-left' });
+    const bottomRight = transferArea(area, small, large, {
+      mode: 'offset',
+      corner: 'bottom-right',
+    });
+
+    expect(topLeft.area).toMatchObject({ x: 40, y: 30 });
+    expect(bottomRight.area).toMatchObject({ x: 104, y: 70 });
+  });
+
+  it('should move an area that goes past the edges onto the tablet', () => {
+    const result = transferArea({ ...area, x: 200 }, large, small, {
+      mode: 'offset',
+      corner: 'top-left',
+    });
+
+    expect(result.fits).toBe(false);
+    expect(result.resized).toBe(false);
+    expect(result.transferred.x).toBe(200);
+    expect(result.area).toMatchObject({ width: 60, x: 122 });
+  });
+
+  it('should shrink an area larger than the tablet, keeping its ratio', () => {
+    const result = transferArea(
+      { ...area, width: 200, height: 100, x: 108, y: 67.5 },
+      large,
+      small
+    );
+
+    expect(result.fits).toBe(false);
+    expect(result.resized).toBe(true);
+    expect(result.area.width).toBeCloseTo(152);
+    expect(result.area.height).toBeCloseTo(76);
+    expect(result.area).toMatchObject({ x: 76, y: 47.5 });
+  });
+});
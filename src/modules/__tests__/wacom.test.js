@@ -0,0 +1,53 @@
+/**
+ * Tests for wacom.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { areaToWacom, wacomToArea } from '../wacom.js';
+
+const tablet = { width: 152, height: 95 };
+const resolution = { lpi: 2540, maxX: 15200, maxY: 9500 };
+
+describe('areaToWacom', () => {
+  it('should convert a centered area to counts', () => {
+    const area = { width: 76, height: 47.5, x: 76, y: 47.5 };
+    expect(areaToWacom(area, tablet, resolution)).toEqual({
+      top: 2375,
+      left: 3800,
+      bottom: 7125,
+      right: 11400,
+    });
+  });
+
+  it('should clamp counts to the tablet surface', () => {
+    const area = { width: 152, height: 95, x: 80, y: 47.5 };
+    const counts = areaToWacom(area, tablet, resolution);
+    expect(counts.left).toBe(400);
+    expect(counts.right).toBe(15200);
+  });
+});
+
+describe('wacomToArea', () => {
+  it('should convert counts back to a center-based area', () => {
+    const area = wacomToArea({ top: 0, left: 0, bottom: 9500, right: 15200 }, tablet, resolution);
+    expect(area).toEqual({ width: 152, height: 95, x: 76, y: 47.5 });
+  });
+
+  it('should round-trip an area', () => {
+    const area = { width: 58, height: 45.2, x: 68.9, y: 26.4 };
+    const result = wacomToArea(areaToWacom(area, tablet, resolution), tablet, resolution);
+    expect(result.width).toBeCloseTo(58, 1);
+    expect(result.height).toBeCloseTo(45.2, 1);
+    expect(result.x).toBeCloseTo(68.9, 1);
+    expect(result.y).toBeCloseTo(26.4, 1);
+  });
+
+  it('should reject inverted or incomplete counts', () => {
+    expect(wacomToArea({ top: 0, left: 500, bottom: 100, right: 100 }, tablet, resolution)).toBe(
+      null
+    );
+    expect(wacomToArea({ top: NaN, left: 0, bottom: 100, right: 100 }, tablet, resolution)).toBe(
+      null
+    );
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for zones.js module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createZone,
+  getZoneArea,
+  updateZone,
+  duplicateZone,
+  removeZone,
+  moveZone,
+  getTabletOffset,
+  migrateZones,
+} from '../zones.js';
+import { ZONE_COLORS } from '../../constants/index.js';
+
+const area = { width: 76, height: 47.5, x: 76, y: 47.5, radius: 0, rotation: 0 };
+
+function createZones(count) {
+  const zones = [];
+  for (let index = 0; index < count; index++) {
+    zones.push(createZone({ ...area, x: 10 * (index + 1) }, zones));
+  }
+  return zones;
+}
+
+describe('createZone', () => {
+  it('should name and color zones after the existing ones', () => {
+    const [a, b] = createZones(2);
+
+    expect(a).toMatchObject({ name: 'A', color: ZONE_COLORS[0], visible: true });
+    expect(b).toMatchObject({ name: 'B', color: ZONE_COLORS[1] });
+    expect(a.id).not.toBe(b.id);
+  });
+
+  it('should reuse a freed name and color', () => {
+    const [, b] = createZones(2);
+
+    expect(createZone(area, [b])).toMatchObject({ name: 'A', color: ZONE_COLORS[0] });
+  });
+
+  it('should keep only the area properties', () => {
+    expect(createZone({ ...area, zone: 'A' }).area).toEqual(area);
+  });
+
+  it('should copy the tablet', () => {
+    const tablet = { width: 152, height: 95 };
+    const zone = createZone(area, [], tablet);
+
+    expect(zone.tablet).toEqual(tablet);
+    expect(zone.tablet).not.toBe(tablet);
+    expect(createZone(area).tablet).toBeNull();
+  });
+});
+
+describe('getZoneArea', () => {
+  it('should return a copy of the zone area', () => {
+    const zones = createZones(2);
+    const copy = getZoneArea(zones, zones[1].id);
+    copy.x = 999;
+
+    expect(copy.width).toBe(76);
+    expect(zones[1].area.x).toBe(20);
+  });
+
+  it('should fall back to the first zone', () => {
+    expect(getZoneArea(createZones(2), 'unknown').x).toBe(10);
+  });
+});
+
+describe('updateZone', () => {
+  it('should merge area updates without mutating the list', () => {
+    const zones = createZones(2);
+    const updated = updateZone(zones, zones[1].id, { name: 'Old', area: { x: 50 } });
+
+    expect(updated[1]).toMatchObject({ name: 'Old', area: { x: 50, width: 76 } });
+    expect(updated[0]).toBe(zones[0]);
+    expect(zones[1].area.x).toBe(20);
+  });
+});
+
+describe('duplicateZone', () => {
+  it('should insert a copy right after the zone', () => {
+    const zones = createZones(2);
+    const { zones: duplicated, zone } = duplicateZone(zones, zones[0].id);
+
+    expect(duplicated.map(item => item.name)).toEqual(['A', 'C', 'B']);
+    expect(zone.area).toEqual(zones[0].area);
+    expect(zone.area).not.toBe(zones[0].area);
+  });
+
+  it('should keep the tablet of the copied zone', () => {
+    const zones = [createZone(area, [], { width: 216, height: 135 })];
+
+    expect(duplicateZone(zones, zones[0].id).zone.tablet).toEqual({ width: 216, height: 135 });
+  });
+
+  it('should ignore unknown zones', () => {
+    const zones = createZones(1);
+
+    expect(duplicateZone(zones, 'unknown')).toEqual({ zones, zone: null });
+  });
+});
+
+describe('removeZone', () => {
+  it('should remove the zone', () => {
+    const zones = createZones(2);
+
+    expect(removeZone(zones, zones[0].id)).toEqual([zones[1]]);
+  });
+
+  it('should keep the last zone', () => {
+    const zones = createZones(1);
+
+    expect(removeZone(zones, zones[0].id)).toBe(zones);
+  });
+});
+
+describe('moveZone', () => {
+  it('should move the zone by the offset', () => {
+    const zones = createZones(3);
+
+    expect(moveZone(zones, zones[0].id, 1).map(zone => zone.name)).toEqual(['B', 'A', 'C']);
+    expect(moveZone(zones, zones[2].id, -2).map(zone => zone.name)).toEqual(['C', 'A', 'B']);
+  });
+
+  it('should not move past the ends', () => {
+    const zones = createZones(2);
+
+    expect(moveZone(zones, zones[0].id, -1)).toBe(zones);
+    expect(moveZone(zones, zones[1].id, 1)).toBe(zones);
+  });
+});
+
+describe('getTabletOffset', () => {
+  const reference = { width: 152, height: 95 };
+
+  it('should center the tablets', () => {
+    expect(getTabletOffset({ width: 216, height: 135 }, reference, 'center')).toEqual({
+      x: -32,
+      y: -20,
+    });
+  });
+
+  it('should align the top-left corners', () => {
+    expect(getTabletOffset({ width: 216, height: 135 }, reference, 'top-left')).toEqual({
+      x: 0,
+      y: 0,
+    });
+  });
+});
+
+describe('migrateZones', () => {
+  it('should convert the former A/B shape', () => {
+    const { zones, activeZone } = migrateZones({
+      area,
+      areaB: { ...area, x: 30 },
+      activeZone: 'B',
+    });
+
+    expect(zones.map(zone => zone.name)).toEqual(['A', 'B']);
+    expect(zones[1].area.x).toBe(30);
+    expect(activeZone).toBe(zones[1].id);
+  });
+
+  it('should keep a saved zone list', () => {
+    const zones = createZones(2);
+    const migrated = migrateZones({ zones, activeZone: zones[1].id });
+
+    expect(migrated).toEqual({ zones, activeZone: zones[1].id });
+  });
+
+  it('should drop invalid zone tablets', () => {
+    const zones = createZones(1).map(zone => ({ ...zone, tablet: { width: 0, height: 95 } }));
+
+    expect(migrateZones({ zones }).zones[0].tablet).toBeNull();
+  });
+
+  it('should fall back to the first zone for an unknown active zone', () => {
+    const zones = createZones(2);
+
+    expect(migrateZones({ zones, activeZone: 'A' }).activeZone).toBe(zones[0].id);
+  });
+
+  it('should return null when nothing usable is saved', () => {
+    expect(migrateZones(null)).toBeNull();
+    expect(migrateZones({})).toBeNull();
+    expect(migrateZones({ zones: [], area: { width: 0, height: 10 } })).toBeNull();
+  });
+});
@@ -0,0 +1,353 @@
+/**
+ * Osu!rea - Beatmap Module
+ * Reading osu! beatmaps (.osu): hit objects, slider paths and jumps in osu!pixels
+ * @module beatmap
+ */
+
+/** Hit object type bits */
+const TYPE_CIRCLE = 1;
+const TYPE_SLIDER = 2;
+const TYPE_SPINNER = 8;
+
+/** Maximum distance between two points of a computed slider path (osu!pixels) */
+const PATH_PRECISION = 2;
+
+/**
+ * @typedef {Object} HitObject
+ * @property {'circle'|'slider'|'spinner'} type - Object type
+ * @property {number} x - Start X in osu!pixels
+ * @property {number} y - Start Y in osu!pixels
+ * @property {number} time - Start time in ms
+ * @property {Array<{x: number, y: number}>} path - Slider path (start position only for
+ *   circles and spinners)
+ * @property {{x: number, y: number}} end - Position where the cursor leaves the object
+ */
+
+/**
+ * @typedef {Object} Beatmap
+ * @property {number} mode - Game mode (0 = osu!standard)
+ * @property {string} title - Song title
+ * @property {string} artist - Song artist
+ * @property {string} version - Difficulty name
+ * @property {HitObject[]} hitObjects - Hit objects sorted by time
+ */
+
+/**
+ * Distance between two points
+ * @param {{x: number, y: number}} a - First point
+ * @param {{x: number, y: number}} b - Second point
+ * @returns {number}
+ */
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Number of steps needed to draw a curve around control points
+ * @param {Array<{x: number, y: number}>} points - Control points
+ * @returns {number}
+ */
+function getStepCount(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += distance(points[i - 1], points[i]);
+  }
+  return Math.min(1000, Math.max(1, Math.ceil(length / PATH_PRECISION)));
+}
+
+/**
+ * Points of a Bézier curve (de Casteljau)
+ * @param {Array<{x: number, y: number}>} controls - Control points
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getBezierPoints(controls) {
+  const steps = getStepCount(controls);
+  const points = [];
+
+  for (let step = 0; step <= steps; step++) {
+    const t = step / steps;
+    const work = controls.map(point => ({ ...point }));
+    for (let level = work.length - 1; level > 0; level--) {
+      for (let i = 0; i < level; i++) {
+        work[i].x += (work[i + 1].x - work[i].x) * t;
+        work[i].y += (work[i + 1].y - work[i].y) * t;
+      }
+    }
+    points.push(work[0]);
+  }
+
+  return points;
+}
+
+/**
+ * Points of a Bézier slider: a control point repeated twice starts a new segment
+ * @param {Array<{x: number, y: number}>} controls - Control points
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getBezierPathPoints(controls) {
+  const points = [];
+  let segment = [controls[0]];
+
+  for (let i = 1; i < controls.length; i++) {
+    segment.push(controls[i]);
+    const isLast = i === controls.length - 1;
+    const isRed = !isLast && distance(controls[i], controls[i + 1]) === 0;
+    if (isLast || isRed) {
+      points.push(...getBezierPoints(segment));
+      segment = [];
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Points of a Catmull-Rom slider (used by very old beatmaps)
+ * @param {Array<{x: number, y: number}>} controls - Control points
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getCatmullPoints(controls) {
+  const points = [];
+  const at = index => controls[Math.max(0, Math.min(controls.length - 1, index))];
+
+  for (let i = 0; i < controls.length - 1; i++) {
+    const [p0, p1, p2, p3] = [at(i - 1), at(i), at(i + 1), at(i + 2)];
+    const steps = getStepCount([p1, p2]);
+    for (let step = 0; step <= steps; step++) {
+      const t = step / steps;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const blend = (a, b, c, d) =>
+        0.5 *
+        (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+      points.push({ x: blend(p0.x, p1.x, p2.x, p3.x), y: blend(p0.y, p1.y, p2.y, p3.y) });
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Points of a perfect circle slider, already cut to the slider length
+ * @param {Array<{x: number, y: number}>} controls - Start, passing and end points
+ * @param {number} length - Slider length in osu!pixels
+ * @returns {Array<{x: number, y: number}>|null} - null when the points are aligned
+ */
+function getArcPoints([a, b, c], length) {
+  const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+  if (Math.abs(d) < 1e-6) return null;
+
+  const aSq = a.x * a.x + a.y * a.y;
+  const bSq = b.x * b.x + b.y * b.y;
+  const cSq = c.x * c.x + c.y * c.y;
+  const center = {
+    x: (aSq * (b.y - c.y) + bSq * (c.y - a.y) + cSq * (a.y - b.y)) / d,
+    y: (aSq * (c.x - b.x) + bSq * (a.x - c.x) + cSq * (b.x - a.x)) / d,
+  };
+  const radius = distance(a, center);
+
+  // The arc runs from the start point through the passing point, for the slider length
+  const direction = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x) > 0 ? 1 : -1;
+  const startAngle = Math.atan2(a.y - center.y, a.x - center.x);
+  const sweep = (direction * length) / radius;
+  const steps = Math.min(1000, Math.max(1, Math.ceil(length / PATH_PRECISION)));
+
+  return Array.from({ length: steps + 1 }, (_, step) => {
+    const angle = startAngle + (sweep * step) / steps;
+    return {
+      x: center.x + Math.cos(angle) * radius,
+      y: center.y + Math.sin(angle) * radius,
+    };
+  });
+}
+
+/**
+ * Cut (or extend along its last segment) a path to a given length
+ * @param {Array<{x: number, y: number}>} points - Path points
+ * @param {number} length - Wanted length in osu!pixels
+ * @returns {Array<{x: number, y: number}>}
+ */
+function cutPath(points, length) {
+  const path = [points[0]];
+  let travelled = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const segment = distance(points[i - 1], points[i]);
+    if (segment === 0) continue;
+
+    if (travelled + segment >= length || i === points.length - 1) {
+      const t = (length - travelled) / segment;
+      path.push({
+        x: points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+        y: points[i - 1].y + (points[i].y - points[i - 1].y) * t,
+      });
+      return path;
+    }
+
+    travelled += segment;
+    path.push(points[i]);
+  }
+
+  return path;
+}
+
+/**
+ * Compute the path followed by a slider
+ * @param {{x: number, y: number}} start - Slider head position
+ * @param {string} curveType - B (Bézier), L (linear), P (perfect circle) or C (Catmull)
+ * @param {Array<{x: number, y: number}>} controls - Control points after the head
+ * @param {number} length - Slider length in osu!pixels
+ * @returns {Array<{x: number, y: number}>} - Points from the head to the slider end
+ */
+export function getSliderPath(start, curveType, controls, length) {
+  const points = [start, ...controls];
+  if (points.length < 2 || !(length > 0)) return [start];
+
+  if (curveType === 'P' && points.length === 3) {
+    const arc = getArcPoints(points, length);
+    if (arc) return arc;
+  }
+
+  let curve;
+  if (curveType === 'L') {
+    curve = points;
+  } else if (curveType === 'C') {
+    curve = getCatmullPoints(points);
+  } else {
+    curve = getBezierPathPoints(points);
+  }
+
+  return cutPath(curve, length);
+}
+
+/**
+ * Parse one [HitObjects] line
+ * @param {string} line - "x,y,time,type,hitSound,objectParams,hitSample"
+ * @returns {HitObject|null} - null for malformed lines and osu!mania holds
+ */
+function parseHitObject(line) {
+  const fields = line.split(',');
+  const [x, y, time, typeBits] = fields.slice(0, 4).map(Number);
+  if (![x, y, time, typeBits].every(Number.isFinite)) return null;
+
+  const start = { x, y };
+
+  if (typeBits & TYPE_SLIDER) {
+    const [curveType, ...controlTexts] = (fields[5] || '').split('|');
+    const controls = controlTexts
+      .map(text => text.split(':').map(Number))
+      .filter(([px, py]) => Number.isFinite(px) && Number.isFinite(py))
+      .map(([px, py]) => ({ x: px, y: py }));
+    const slides = parseInt(fields[6], 10) || 1;
+    const path = getSliderPath(start, curveType, controls, parseFloat(fields[7]));
+
+    // The cursor ends on the tail after an odd number of slides, back on the head otherwise
+    return {
+      type: 'slider',
+      x,
+      y,
+      time,
+      path,
+      end: slides % 2 ? path[path.length - 1] : start,
+    };
+  }
+
+  if (typeBits & TYPE_SPINNER) {
+    return { type: 'spinner', x, y, time, path: [start], end: start };
+  }
+
+  if (typeBits & TYPE_CIRCLE) {
+    return { type: 'circle', x, y, time, path: [start], end: start };
+  }
+
+  return null;
+}
+
+/**
+ * Parse an osu! beatmap
+ * @param {string} text - .osu file content
+ * @returns {Beatmap}
+ * @throws {Error} - When the text is not an osu! beatmap
+ */
+export function parseBeatmap(text) {
+  if (typeof text !== 'string' || !/^\uFEFF?\s*osu file format v\d+/.test(text)) {
+    throw new Error('Not an osu! beatmap');
+  }
+
+  const values = {};
+  const hitObjects = [];
+  let section = '';
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('//')) continue;
+
+    const header = line.match(/^\[(\w+)\]$/);
+    if (header) {
+      [, section] = header;
+    } else if (section === 'HitObjects') {
+      const hitObject = parseHitObject(line);
+      if (hitObject) hitObjects.push(hitObject);
+    } else if (['General', 'Metadata'].includes(section)) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        values[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    }
+  }
+
+  return {
+    mode: parseInt(values.Mode, 10) || 0,
+    title: values.Title || '',
+    artist: values.Artist || '',
+    version: values.Version || '',
+    hitObjects: hitObjects.sort((a, b) => a.time - b.time),
+  };
+}
+
+/**
+ * Jumps between consecutive hit objects (spinners excluded)
+ * @param {HitObject[]} hitObjects - Hit objects sorted by time
+ * @returns {Array<{from: {x: number, y: number}, to: {x: number, y: number}, time: number}>}
+ */
+export function getJumps(hitObjects) {
+  const aimed = hitObjects.filter(hitObject => hitObject.type !== 'spinner');
+
+  return aimed.slice(1).map((hitObject, index) => ({
+    from: aimed[index].end,
+    to: { x: hitObject.x, y: hitObject.y },
+    time: hitObject.time,
+  }));
+}
+
+/**
+ * Positions covered by the hit objects, with slider paths sampled at a regular spacing
+ * @param {HitObject[]} hitObjects - Hit objects
+ * @param {number} [spacing=16] - Distance between slider samples in osu!pixels
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function getHitObjectPoints(hitObjects, spacing = 16) {
+  const points = [];
+
+  for (const { path } of hitObjects) {
+    points.push(path[0]);
+
+    // Distance left before the next sample
+    let next = spacing;
+    for (let i = 1; i < path.length; i++) {
+      const segment = distance(path[i - 1], path[i]);
+      let offset = next;
+      while (offset <= segment) {
+        const t = offset / segment;
+        points.push({
+          x: path[i - 1].x + (path[i].x - path[i - 1].x) * t,
+          y: path[i - 1].y + (path[i].y - path[i - 1].y) * t,
+        });
+        offset += spacing;
+      }
+      next = offset - segment;
+    }
+  }
+
+  return points;
+}
@@ -0,0 +1,54 @@
+/**
+ * Osu!rea - Comparison Module
+ * Differences between overlaid zones (size, position, rotation, overlap and sensitivity)
+ * @module comparison
+ */
+
+import { getIntersectionOverUnion, normalizeRotation } from './geometry.js';
+import { getPixelsPerMm } from './screen.js';
+
+/**
+ * Difference between two values, absolute and relative to the reference
+ * @param {number} reference - Reference value
+ * @param {number} value - Compared value
+ * @param {number} [base] - Value the percentage is relative to (the reference by default)
+ * @returns {{mm: number, percent: number}}
+ */
+function getDifference(reference, value, base = reference) {
+  const mm = value - reference;
+  return { mm, percent: base ? (mm / base) * 100 : 0 };
+}
+
+/**
+ * Compare a zone's area with the reference zone's area
+ * Positive differences mean the compared area is larger, further right or down, or rotated
+ * clockwise. Center differences are relative to the tablet size.
+ * @param {Object} reference - Reference area (mm, center coordinates)
+ * @param {Object} area - Compared area (mm, center coordinates)
+ * @param {Object} options
+ * @param {{width: number, height: number}} options.tablet - Tablet dimensions in mm
+ * @param {{width: number, height: number}} options.display - Display area in px
+ * @returns {{width: Object, height: Object, x: Object, y: Object, distance: number,
+ *   rotation: number, iou: number, sensitivity: {x: number, y: number}}} - Differences
+ *   ({mm, percent}), center distance in mm, rotation difference in degrees (-180 to 180),
+ *   overlap (0-1) and px/mm of the compared area over the reference's
+ */
+export function compareAreas(reference, area, { tablet, display }) {
+  const rotation = (area.rotation || 0) - (reference.rotation || 0);
+  const referenceSensitivity = getPixelsPerMm(reference, display);
+  const sensitivity = getPixelsPerMm(area, display);
+
+  return {
+    width: getDifference(reference.width, area.width),
+    height: getDifference(reference.height, area.height),
+    x: getDifference(reference.x, area.x, tablet.width),
+    y: getDifference(reference.y, area.y, tablet.height),
+    distance: Math.hypot(area.x - reference.x, area.y - reference.y),
+    rotation: normalizeRotation(rotation),
+    iou: getIntersectionOverUnion(reference, area),
+    sensitivity: {
+      x: sensitivity.x / referenceSensitivity.x,
+      y: sensitivity.y / referenceSensitivity.y,
+    },
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Osu!rea - Coverage Module
+ * Where the pen actually went: extents, heatmap bins and area suggestions from tablet points
+ * @module coverage
+ */
+
+import { fitAreaToTablet } from './geometry.js';
+import { MIN_AREA_SIZE } from '../constants/index.js';
+
+/**
+ * Convert tablet points to the area's own frame
+ * @param {Array<{x: number, y: number}>} points - Tablet points in mm
+ * @param {Object} area - Area configuration (mm, center coordinates)
+ * @returns {Array<{x: number, y: number}>} - mm from the area's top-left corner, along its axes
+ */
+export function toAreaFrame(points, area) {
+  const angle = ((area.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return points.map(({ x, y }) => {
+    const dx = x - area.x;
+    const dy = y - area.y;
+    return {
+      x: dx * cos + dy * sin + area.width / 2,
+      y: -dx * sin + dy * cos + area.height / 2,
+    };
+  });
+}
+
+/**
+ * Value at a given rank of sorted values (linear interpolation)
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} rank - Rank between 0 and 1
+ * @returns {number}
+ */
+function quantile(sorted, rank) {
+  const index = (sorted.length - 1) * rank;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Extent of a set of points
+ * With a share below 1, the extent keeps the central share of the points on each axis
+ * (0.95 drops the lowest and highest 2.5%), which ignores stray movements.
+ * @param {Array<{x: number, y: number}>} points - Points in mm
+ * @param {number} [share=1] - Share of the points to include (1 = bounding box)
+ * @returns {{left: number, top: number, right: number, bottom: number}|null} - null when empty
+ */
+export function getExtent(points, share = 1) {
+  if (!points.length) return null;
+
+  const xs = points.map(point => point.x).sort((a, b) => a - b);
+  const ys = points.map(point => point.y).sort((a, b) => a - b);
+  const trim = (1 - share) / 2;
+
+  return {
+    left: quantile(xs, trim),
+    top: quantile(ys, trim),
+    right: quantile(xs, 1 - trim),
+    bottom: quantile(ys, 1 - trim),
+  };
+}
+
+/**
+ * Area with the same rotation that covers an extent of the area's frame
+ * By default the area keeps its ratio (smallest area of that ratio covering the extent);
+ * without keepRatio it takes the extent's own size.
+ * @param {{left: number, top: number, right: number, bottom: number}} extent - Extent in the
+ *   area's frame (see toAreaFrame)
+ * @param {Object} area - Current area (mm, center coordinates)
+ * @param {Object} options
+ * @param {Object} options.tablet - Tablet dimensions in mm
+ * @param {number} [options.margin=0] - Extra space on each side, as a share of the extent
+ * @param {boolean} [options.keepRatio=true] - Whether the area keeps its ratio
+ * @returns {Object} - Suggested area, moved onto the tablet and shrunk when it does not fit
+ */
+export function fitAreaToExtent(extent, area, { tablet, margin = 0, keepRatio = true }) {
+  const ratio = area.width / area.height;
+  const extentWidth = Math.max((extent.right - extent.left) * (1 + margin * 2), MIN_AREA_SIZE);
+  const extentHeight = Math.max((extent.bottom - extent.top) * (1 + margin * 2), MIN_AREA_SIZE);
+
+  const width = keepRatio ? Math.max(extentWidth, extentHeight * ratio) : extentWidth;
+  const height = keepRatio ? width / ratio : extentHeight;
+
+  // Center of the extent, back in tablet coordinates
+  const offsetX = (extent.left + extent.right) / 2 - area.width / 2;
+  const offsetY = (extent.top + extent.bottom) / 2 - area.height / 2;
+  const angle = ((area.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  // Never suggest more than the tablet can hold once rotated
+  return fitAreaToTablet(
+    {
+      ...area,
+      width,
+      height,
+      x: area.x + offsetX * cos - offsetY * sin,
+      y: area.y + offsetX * sin + offsetY * cos,
+    },
+    tablet
+  );
+}
+
+/**
+ * @typedef {Object} Heatmap
+ * @property {number} cellSize - Cell size in mm
+ * @property {number} columns - Number of columns
+ * @property {number} rows - Number of rows
+ * @property {Uint32Array} counts - Points per cell, row by row
+ * @property {number} max - Highest cell count
+ */
+
+/**
+ * Bin tablet points into a density grid covering the tablet
+ * Points outside the tablet are ignored.
+ * @param {Array<{x: number, y: number}>} points - Tablet points in mm
+ * @param {Object} tablet - Tablet dimensions in mm
+ * @param {number} [cellSize=1] - Cell size in mm
+ * @returns {Heatmap}
+ */
+export function buildHeatmap(points, tablet, cellSize = 1) {
+  const columns = Math.max(1, Math.ceil(tablet.width / cellSize));
+  const rows = Math.max(1, Math.ceil(tablet.height / cellSize));
+  const counts = new Uint32Array(columns * rows);
+  let max = 0;
+
+  for (const { x, y } of points) {
+    if (x < 0 || y < 0 || x >= tablet.width || y >= tablet.height) continue;
+    const index = Math.floor(y / cellSize) * columns + Math.floor(x / cellSize);
+    counts[index]++;
+    if (counts[index] > max) max = counts[index];
+  }
+
+  return { cellSize, columns, rows, counts, max };
+}
@@ -0,0 +1,368 @@
+/**
+ * Osu!rea - Geometry Module
+ * Pure area geometry used by the driver conversions, the visualizer handles and the controls
+ * @module geometry
+ */
+
+import { clamp } from './utils.js';
+import {
+  MIN_AREA_SIZE,
+  KEYBOARD_NUDGE,
+  KEYBOARD_NUDGE_LARGE,
+  KEYBOARD_ROTATION_STEP,
+  KEYBOARD_ROTATION_STEP_LARGE,
+} from '../constants/index.js';
+
+/**
+ * Direction of each resize handle in the area's own frame: [x, y], -1/0/1 per axis
+ * @constant {Object<string, number[]>}
+ */
+export const RESIZE_HANDLES = {
+  n: [0, -1],
+  ne: [1, -1],
+  e: [1, 0],
+  se: [1, 1],
+  s: [0, 1],
+  sw: [-1, 1],
+  w: [-1, 0],
+  nw: [-1, -1],
+};
+
+/** Tolerance in mm for corners sitting exactly on the tablet edge */
+const BOUNDS_EPSILON = 1e-6;
+
+/**
+ * Wrap a rotation to a 360° range
+ * @param {number} rotation - Rotation in degrees
+ * @param {number} [min=-180] - Start of the range (-180 for Osurea's -180 to 180, 0 for the
+ *   drivers' 0-360)
+ * @returns {number} - Rotation from min (included) to min + 360 (excluded)
+ */
+export function normalizeRotation(rotation, min = -180) {
+  return (((((rotation || 0) - min) % 360) + 360) % 360) + min;
+}
+
+/**
+ * Get the corners of an area after rotation around its center
+ * @param {Object} area - Area configuration (mm, center coordinates)
+ * @returns {Array<{x: number, y: number}>} - Top-left, top-right, bottom-right, bottom-left
+ */
+export function getAreaCorners(area) {
+  const angle = ((area.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const halfW = area.width / 2;
+  const halfH = area.height / 2;
+
+  return [
+    [-halfW, -halfH],
+    [halfW, -halfH],
+    [halfW, halfH],
+    [-halfW, halfH],
+  ].map(([dx, dy]) => ({
+    x: area.x + dx * cos - dy * sin,
+    y: area.y + dx * sin + dy * cos,
+  }));
+}
+
+/**
+ * Get the half size of an area's axis-aligned bounding box once rotated
+ * @param {Object} area - Area configuration (mm)
+ * @returns {{halfWidth: number, halfHeight: number}}
+ */
+export function getRotatedHalfExtents(area) {
+  const angle = ((area.rotation || 0) * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+
+  return {
+    halfWidth: (area.width * cos + area.height * sin) / 2,
+    halfHeight: (area.width * sin + area.height * cos) / 2,
+  };
+}
+
+/**
+ * Area of a polygon (shoelace formula)
+ * @param {Array<{x: number, y: number}>} points - Vertices in order
+ * @returns {number} - Area in mm² (always positive)
+ */
+export function getPolygonArea(points) {
+  let sum = 0;
+  points.forEach((point, index) => {
+    const next = points[(index + 1) % points.length];
+    sum += point.x * next.y - next.x * point.y;
+  });
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Clip a polygon by a convex polygon (Sutherland-Hodgman)
+ * @param {Array<{x: number, y: number}>} subject - Polygon to clip
+ * @param {Array<{x: number, y: number}>} clip - Convex clipping polygon, clockwise on screen
+ *   (as returned by getAreaCorners)
+ * @returns {Array<{x: number, y: number}>} - Part of the subject inside the clip polygon
+ */
+function clipPolygon(subject, clip) {
+  let output = subject;
+
+  clip.forEach((start, index) => {
+    const end = clip[(index + 1) % clip.length];
+    // Positive on the inner side of the edge (y points down, so clockwise is inside)
+    const side = point =>
+      (end.x - start.x) * (point.y - start.y) - (end.y - start.y) * (point.x - start.x);
+    const input = output;
+    output = [];
+
+    input.forEach((current, i) => {
+      const previous = input[(i + input.length - 1) % input.length];
+      const currentSide = side(current);
+      const previousSide = side(previous);
+
+      if (currentSide >= 0 !== previousSide >= 0) {
+        const t = previousSide / (previousSide - currentSide);
+        output.push({
+          x: previous.x + (current.x - previous.x) * t,
+          y: previous.y + (current.y - previous.y) * t,
+        });
+      }
+      if (currentSide >= 0) output.push(current);
+    });
+  });
+
+  return output;
+}
+
+/**
+ * Overlap of two areas as intersection over union, rotation included
+ * Corner radii are ignored: areas are compared as rectangles.
+ * @param {Object} a - First area (mm, center coordinates)
+ * @param {Object} b - Second area (mm, center coordinates)
+ * @returns {number} - 0 (disjoint) to 1 (identical)
+ */
+export function getIntersectionOverUnion(a, b) {
+  const intersection = getPolygonArea(clipPolygon(getAreaCorners(a), getAreaCorners(b)));
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Check whether every corner of an area lies on the tablet's active surface
+ * @param {Object} area - Area configuration (mm, center coordinates)
+ * @param {Object} tablet - Tablet dimensions in mm
+ * @returns {boolean}
+ */
+export function isAreaInBounds(area, tablet) {
+  return getAreaCorners(area).every(
+    ({ x, y }) =>
+      x >= -BOUNDS_EPSILON &&
+      y >= -BOUNDS_EPSILON &&
+      x <= tablet.width + BOUNDS_EPSILON &&
+      y <= tablet.height + BOUNDS_EPSILON
+  );
+}
+
+/**
+ * Clamp an area's center so its rotated bounding box stays on the tablet
+ * An area too large to fit on an axis is centered on that axis.
+ * @param {Object} area - Area configuration (mm, center coordinates)
+ * @param {Object} tablet - Tablet dimensions in mm
+ * @returns {Object} - Area with clamped x/y
+ */
+export function clampAreaToTablet(area, tablet) {
+  const { halfWidth, halfHeight } = getRotatedHalfExtents(area);
+
+  return {
+    ...area,
+    x:
+      halfWidth * 2 > tablet.width
+        ? tablet.width / 2
+        : clamp(area.x, halfWidth, tablet.width - halfWidth),
+    y:
+      halfHeight * 2 > tablet.height
+        ? tablet.height / 2
+        : clamp(area.y, halfHeight, tablet.height - halfHeight),
+  };
+}
+
+/**
+ * Move or rotate an area by one keyboard step, keeping it on the tablet
+ * Positions are rounded to 0.01 mm so repeated 0.1 mm steps do not drift, and the rotation
+ * wraps around within -180 to 180.
+ * @param {Object} area - Area configuration (mm, center coordinates)
+ * @param {{x?: number, y?: number, rotation?: number}} direction - -1, 0 or 1 per property
+ *   (a rotation is applied instead of the move)
+ * @param {Object} tablet - Tablet dimensions in mm
+ * @param {boolean} [large=false] - Whether to use the large steps (Shift)
+ * @returns {Object} - Nudged area
+ */
+export function nudgeArea(area, { x = 0, y = 0, rotation = 0 }, tablet, large = false) {
+  const step = large ? KEYBOARD_NUDGE_LARGE : KEYBOARD_NUDGE;
+  const rotationStep = large ? KEYBOARD_ROTATION_STEP_LARGE : KEYBOARD_ROTATION_STEP;
+
+  const nudged = rotation
+    ? { ...area, rotation: normalizeRotation((area.rotation || 0) + rotation * rotationStep) }
+    : {
+        ...area,
+        x: Math.round((area.x + x * step) * 100) / 100,
+        y: Math.round((area.y + y * step) * 100) / 100,
+      };
+
+  // A rotation can push the corners off the tablet as well
+  return clampAreaToTablet(nudged, tablet);
+}
+
+/**
+ * Largest size with the given ratio that fits on the tablet once rotated
+ * @param {number} ratio - Width / height
+ * @param {number} rotation - Rotation in degrees
+ * @param {Object} tablet - Tablet dimensions in mm
+ * @returns {{width: number, height: number}}
+ */
+export function fitRotatedSize(ratio, rotation, tablet) {
+  const { halfWidth, halfHeight } = getRotatedHalfExtents({ width: ratio, height: 1, rotation });
+  const height = Math.min(tablet.width / (halfWidth * 2), tablet.height / (halfHeight * 2));
+
+  return { width: height * ratio, height };
+}
+
+/**
+ * Move an area onto the tablet, shrinking it (keeping its ratio) when it does not fit once
+ * rotated
+ * @param {Object} area - Area configuration (mm, center coordinates)
+ * @param {Object} tablet - Tablet dimensions in mm
+ * @returns {Object} - Area inside the tablet
+ */
+export function fitAreaToTablet(area, tablet) {
+  const moved = clampAreaToTablet(area, tablet);
+  if (isAreaInBounds(moved, tablet)) return moved;
+
+  const size = fitRotatedSize(area.width / area.height, area.rotation || 0, tablet);
+  return clampAreaToTablet({ ...area, ...size }, tablet);
+}
+
+/**
+ * Resize an area by dragging one of its handles
+ * The pointer delta is projected on the area's rotated axes. The opposite edge or corner stays
+ * in place unless the resize is symmetric, in which case the center stays in place.
+ * @param {Object} start - Area when the resize started (mm, center coordinates)
+ * @param {string} handle - Handle key (see RESIZE_HANDLES)
+ * @param {{x: number, y: number}} delta - Pointer movement since the start, in tablet mm
+ * @param {Object} options
+ * @param {Object} options.tablet - Tablet dimensions in mm
+ * @param {boolean} [options.lockRatio=false] - Keep the starting aspect ratio
+ * @param {boolean} [options.symmetric=false] - Resize around the center
+ * @returns {Object} - Resized area
+ */
+export function resizeArea(start, handle, delta, { tablet, lockRatio = false, symmetric = false }) {
+  const [dirX, dirY] = RESIZE_HANDLES[handle] || [0, 0];
+  const angle = ((start.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  // Pointer movement in the area's frame
+  const localX = delta.x * cos + delta.y * sin;
+  const localY = -delta.x * sin + delta.y * cos;
+  const factor = symmetric ? 2 : 1;
+
+  let width = start.width + dirX * localX * factor;
+  let height = start.height + dirY * localY * factor;
+
+  if (lockRatio) {
+    const ratio = start.width / start.height;
+    if (dirX === 0) {
+      width = height * ratio;
+    } else if (dirY === 0) {
+      height = width / ratio;
+    } else if (width / start.width > height / start.height) {
+      height = width / ratio;
+    } else {
+      width = height * ratio;
+    }
+  }
+
+  // Largest size that keeps an unrotated area on the tablet with its anchor fixed
+  // (rotated areas are fitted afterwards from their corners)
+  const maxWidth = angle
+    ? Infinity
+    : getMaxExtent(start.x, start.width, dirX, symmetric, tablet.width);
+  const maxHeight = angle
+    ? Infinity
+    : getMaxExtent(start.y, start.height, dirY, symmetric, tablet.height);
+
+  if (lockRatio) {
+    const shrink = Math.min(1, maxWidth / width, maxHeight / height);
+    const grow = Math.max(1, MIN_AREA_SIZE / (width * shrink), MIN_AREA_SIZE / (height * shrink));
+    width *= shrink * grow;
+    height *= shrink * grow;
+  } else {
+    width = clamp(width, MIN_AREA_SIZE, Math.max(MIN_AREA_SIZE, maxWidth));
+    height = clamp(height, MIN_AREA_SIZE, Math.max(MIN_AREA_SIZE, maxHeight));
+  }
+
+  // Move the center so the anchor stays put
+  const build = (w, h) => {
+    const shiftX = symmetric ? 0 : (dirX * (w - start.width)) / 2;
+    const shiftY = symmetric ? 0 : (dirY * (h - start.height)) / 2;
+    return {
+      ...start,
+      width: w,
+      height: h,
+      x: start.x + shiftX * cos - shiftY * sin,
+      y: start.y + shiftX * sin + shiftY * cos,
+    };
+  };
+
+  const resized = build(width, height);
+  if (isAreaInBounds(resized, tablet) || !isAreaInBounds(start, tablet)) {
+    return resized;
+  }
+
+  // Rotated corners can still leave the tablet: find the largest fitting step
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 20; i++) {
+    const step = (low + high) / 2;
+    const candidate = build(
+      start.width + (width - start.width) * step,
+      start.height + (height - start.height) * step
+    );
+    if (isAreaInBounds(candidate, tablet)) {
+      low = step;
+    } else {
+      high = step;
+    }
+  }
+
+  return build(
+    start.width + (width - start.width) * low,
+    start.height + (height - start.height) * low
+  );
+}
+
+/**
+ * Largest extent along one axis for a resize anchored on the opposite side
+ * @param {number} center - Starting center on this axis
+ * @param {number} size - Starting size on this axis
+ * @param {number} dir - Handle direction on this axis (-1, 0 or 1)
+ * @param {boolean} symmetric - Whether the resize keeps the center
+ * @param {number} limit - Tablet size on this axis
+ * @returns {number}
+ */
+function getMaxExtent(center, size, dir, symmetric, limit) {
+  if (symmetric || dir === 0) return 2 * Math.min(center, limit - center);
+  return dir > 0 ? limit - (center - size / 2) : center + size / 2;
+}
+
+/**
+ * Pan that keeps a point of the visualizer still while zooming
+ * @param {{x: number, y: number}} pan - Pan before the zoom, in px from the container center
+ * @param {{x: number, y: number}} offset - Still point, in px from the container center
+ * @param {number} ratio - New zoom divided by the old one
+ * @returns {{x: number, y: number}}
+ */
+export function getZoomedPan(pan, offset, ratio) {
+  return {
+    x: offset.x - (offset.x - pan.x) * ratio,
+    y: offset.y - (offset.y - pan.y) * ratio,
+  };
+}
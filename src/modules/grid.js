@@ -0,0 +1,44 @@
+/**
+ * Osu!rea - Grid Module
+ * Spacing of the measured grid and ruler ticks, in tablet mm
+ * @module grid
+ */
+
+import { GRID_STEPS, MIN_GRID_GAP, MIN_RULER_LABEL_GAP } from '../constants/index.js';
+
+/**
+ * Pick the grid steps for a display scale
+ * The wanted spacing is kept while its lines are far enough apart, then the grid coarsens
+ * along GRID_STEPS. Major lines use the next step, labels the first step wide enough for text.
+ * @param {number} spacing - Wanted spacing in mm
+ * @param {number} scale - Display scale in px per mm
+ * @returns {{minor: number, major: number, label: number}} - Steps in mm
+ */
+export function getGridSteps(spacing, scale) {
+  const steps = GRID_STEPS.filter(step => step >= spacing);
+  if (!steps.length) steps.push(spacing);
+
+  const largest = steps[steps.length - 1];
+  const minorIndex = steps.findIndex(step => step * scale >= MIN_GRID_GAP);
+  const minor = minorIndex === -1 ? largest : steps[minorIndex];
+  const major = minorIndex === -1 ? largest : (steps[minorIndex + 1] ?? largest);
+  const label = steps.find(step => step >= major && step * scale >= MIN_RULER_LABEL_GAP);
+
+  return { minor, major, label: label ?? largest };
+}
+
+/**
+ * List the multiples of a step within a range
+ * @param {number} from - Range start in mm
+ * @param {number} to - Range end in mm
+ * @param {number} step - Step in mm
+ * @returns {number[]} - Tick positions in mm
+ */
+export function getRulerTicks(from, to, step) {
+  const ticks = [];
+  // "|| 0" avoids a -0 tick when the range starts just below zero
+  for (let index = Math.ceil(from / step) || 0; index * step <= to; index++) {
+    ticks.push(index * step);
+  }
+  return ticks;
+}
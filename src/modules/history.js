@@ -5,9 +5,16 @@
 
 import { MAX_HISTORY_SIZE } from '../constants/index.js';
 
+/**
+ * @typedef {Object} HistorySnapshot
+ * @property {Object} tablet - Tablet (brand, model, dimensions)
+ * @property {Object[]} zones - Zones (name, color, visibility and area with radius and rotation)
+ * @property {string} activeZone - Active zone id
+ */
+
 /**
  * @typedef {Object} HistoryEntry
- * @property {Object} area - Area state snapshot
+ * @property {HistorySnapshot} snapshot - State snapshot
  * @property {number} timestamp - When this entry was created
  */
 
@@ -21,37 +28,52 @@ let future = [];
 const subscribers = new Set();
 
 /**
- * Create a snapshot of the area state
- * @param {Object} area - Area object
+ * Create a history entry from a state snapshot
+ * @param {HistorySnapshot} snapshot - State snapshot
  * @returns {HistoryEntry}
  */
-function createSnapshot(area) {
+function createEntry(snapshot) {
   return {
-    area: { ...area },
+    snapshot: structuredClone(snapshot),
     timestamp: Date.now(),
   };
 }
 
+/**
+ * Check whether two snapshots describe the same state
+ * Compares every field (rotation, active zone, tablet, ...), not only the area geometry
+ * @param {HistorySnapshot|null} a - First snapshot
+ * @param {HistorySnapshot|null} b - Second snapshot
+ * @returns {boolean}
+ */
+export function isSameSnapshot(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    const valueA = a[key];
+    const valueB = b[key];
+    if (valueA && typeof valueA === 'object') {
+      if (!isSameSnapshot(valueA, valueB)) return false;
+    } else if (valueA !== valueB) {
+      return false;
+    }
+  }
+  return true;
+}
+
 /**
  * Push a new state to the history
- * @param {Object} area - Current area state to save
+ * @param {HistorySnapshot} snapshot - State before the change being recorded
  */
-export function pushState(area) {
+export function pushState(snapshot) {
   // Don't push if the state is the same as the last one
-  if (past.length > 0) {
-    const lastEntry = past[past.length - 1];
-    if (
-      lastEntry.area.x === area.x &&
-      lastEntry.area.y === area.y &&
-      lastEntry.area.width === area.width &&
-      lastEntry.area.height === area.height &&
-      lastEntry.area.radius === area.radius
-    ) {
-      return;
-    }
+  if (past.length > 0 && isSameSnapshot(past[past.length - 1].snapshot, snapshot)) {
+    return;
   }
 
-  past.push(createSnapshot(area));
+  past.push(createEntry(snapshot));
 
   // Limit history size
   if (past.length > MAX_HISTORY_SIZE) {
@@ -66,44 +88,44 @@ export function pushState(area) {
 
 /**
  * Undo the last action
- * @param {Object} currentArea - Current area state before undo
- * @returns {Object|null} - Previous area state or null if can't undo
+ * @param {HistorySnapshot} currentSnapshot - Current state before undo
+ * @returns {HistorySnapshot|null} - Previous state or null if can't undo
  */
-export function undo(currentArea) {
+export function undo(currentSnapshot) {
   if (past.length === 0) {
     return null;
   }
 
   // Save current state to future
-  future.push(createSnapshot(currentArea));
+  future.push(createEntry(currentSnapshot));
 
   // Get previous state
   const previousEntry = past.pop();
 
   notifySubscribers();
 
-  return previousEntry.area;
+  return previousEntry.snapshot;
 }
 
 /**
  * Redo the last undone action
- * @param {Object} currentArea - Current area state before redo
- * @returns {Object|null} - Next area state or null if can't redo
+ * @param {HistorySnapshot} currentSnapshot - Current state before redo
+ * @returns {HistorySnapshot|null} - Next state or null if can't redo
  */
-export function redo(currentArea) {
+export function redo(currentSnapshot) {
   if (future.length === 0) {
     return null;
   }
 
   // Save current state to past
-  past.push(createSnapshot(currentArea));
+  past.push(createEntry(currentSnapshot));
 
   // Get next state
   const nextEntry = future.pop();
 
   notifySubscribers();
 
-  return nextEntry.area;
+  return nextEntry.snapshot;
 }
 
 /**
@@ -176,8 +198,13 @@ function notifySubscribers() {
  */
 export function initKeyboardShortcuts(onUndo, onRedo) {
   const handleKeydown = e => {
+    // Leave text fields their native undo
+    if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+
     // Check for Ctrl/Cmd + Z (Undo)
-    if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
+    if ((e.ctrlKey || e.metaKey) && key === 'z' && !e.shiftKey) {
       e.preventDefault();
       if (canUndo()) {
         onUndo();
@@ -185,8 +212,8 @@ export function initKeyboardShortcuts(onUndo, onRedo) {
     }
     // Check for Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y (Redo)
     else if (
-      ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'z') ||
-      ((e.ctrlKey || e.metaKey) && e.key === 'y')
+      ((e.ctrlKey || e.metaKey) && e.shiftKey && key === 'z') ||
+      ((e.ctrlKey || e.metaKey) && key === 'y')
     ) {
       e.preventDefault();
       if (canRedo()) {
@@ -205,6 +232,7 @@ export function initKeyboardShortcuts(onUndo, onRedo) {
 
 export default {
   pushState,
+  isSameSnapshot,
   undo,
   redo,
   canUndo,
@@ -26,14 +26,28 @@ export {
 export {
   initVisualizer,
   setTablet,
-  setArea,
-  setAreaB,
+  setZones,
   setAreaRadius,
   setAreaRotation,
   setGridVisible,
+  setGridSpacing,
+  setSnapThreshold,
   setComparisonMode,
+  setTabletAlignment,
   setActiveZone,
   getActiveZone,
+  setLockRatio,
+  setPlayfield,
+  setHeatmap,
+  setSuggestedArea,
+  setBeatmapDensity,
+  setRecording,
+  isRecording,
+  getRecordedPoints,
+  clearRecording,
+  zoomBy,
+  resetZoom,
+  getZoom,
   alignArea,
   centerArea,
   getState as getVisualizerState,
@@ -44,6 +58,8 @@ export {
   initTabletSelector,
   setCurrentTablet,
   getCurrentTablet,
+  findTabletByName,
+  getTabletResolution,
   isCustom,
 } from './tablet-selector.js';
 export {
@@ -59,5 +75,62 @@ export {
   prompt,
   alert,
   showRecapModal,
+  updateRecapModal,
   showEditFavoriteModal,
+  showOtdExportModal,
+  showWacomAreaModal,
+  showPlayfieldCalculatorModal,
+  showTransferAreaModal,
+  showDriverConfigModal,
 } from './modal.js';
+export { buildOtdSettings, getOtdTabletName, parseOtdSettings } from './opentabletdriver.js';
+export { areaToWacom, wacomToArea } from './wacom.js';
+export { buildTabletDriverConfig, parseTabletDriverConfig } from './tabletdriver.js';
+export { areaToLazer, lazerToArea, buildLazerConfig, parseLazerConfig } from './lazer.js';
+export {
+  normalizeRotation,
+  resizeArea,
+  RESIZE_HANDLES,
+  getPolygonArea,
+  getIntersectionOverUnion,
+  fitAreaToTablet,
+  getZoomedPan,
+  nudgeArea,
+} from './geometry.js';
+export { compareAreas } from './comparison.js';
+export { transferArea } from './transfer.js';
+export {
+  getPixelsPerMm,
+  getAreaSizeForSensitivity,
+  getRatioMismatch,
+  isRatioMismatched,
+  fitDisplayToMonitor,
+  screenToTablet,
+} from './screen.js';
+export {
+  OSU_PLAYFIELD,
+  getPlayfieldRect,
+  getPlayfieldFraction,
+  getPlayfieldArea,
+  getAreaForPlayfield,
+  playfieldToScreen,
+} from './playfield.js';
+export { parseReplay, parseReplayFrames, OSU_MODE_STANDARD } from './replay.js';
+export { decompressLzma } from './lzma.js';
+export { getGridSteps, getRulerTicks } from './grid.js';
+export { findSnap, snapToPoint, getSnapTargets, snapAreaPosition } from './snap.js';
+export {
+  createZone,
+  findZone,
+  getZoneArea,
+  updateZone,
+  duplicateZone,
+  removeZone,
+  moveZone,
+  getTabletOffset,
+  migrateZones,
+} from './zones.js';
+export { parseBeatmap, getSliderPath, getJumps, getHitObjectPoints } from './beatmap.js';
+export { toAreaFrame, getExtent, fitAreaToExtent, buildHeatmap } from './coverage.js';
+export { notify } from './notifications.js';
+export { encodeShareState, decodeShareState, buildShareUrl, SHARE_VERSION } from './share.js';
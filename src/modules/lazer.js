@@ -0,0 +1,108 @@
+/**
+ * Osu!rea - osu!lazer Module
+ * Conversion between Osurea areas and osu!lazer tablet settings
+ * @module lazer
+ */
+
+import { normalizeRotation } from './geometry.js';
+
+/**
+ * Round a value to two decimals (the precision shown in lazer's tablet settings)
+ * @param {number} value - Value to round
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Convert an area to osu!lazer tablet settings
+ * Lazer stores the area offset as the position of the area's center measured from the
+ * tablet's top-left corner, which is Osurea's x/y convention. Rotation is kept in 0-360.
+ * @param {Object} area - Area configuration (mm, center coordinates)
+ * @returns {{areaSize: {x: number, y: number}, areaOffset: {x: number, y: number}, rotation: number}}
+ */
+export function areaToLazer(area) {
+  return {
+    areaSize: { x: round(area.width), y: round(area.height) },
+    areaOffset: { x: round(area.x), y: round(area.y) },
+    rotation: round(normalizeRotation(area.rotation, 0)),
+  };
+}
+
+/**
+ * Convert osu!lazer tablet settings to an area
+ * @param {Object} settings - Lazer settings as returned by areaToLazer
+ * @returns {Object} - Area (mm, center coordinates, rotation -180 to 180)
+ */
+export function lazerToArea({ areaSize, areaOffset, rotation = 0 }) {
+  return {
+    width: areaSize.x,
+    height: areaSize.y,
+    x: areaOffset.x,
+    y: areaOffset.y,
+    rotation: normalizeRotation(rotation),
+  };
+}
+
+/**
+ * Format lazer settings as a framework.ini style snippet
+ * @param {Object} area - Area configuration (mm, center coordinates)
+ * @returns {string}
+ */
+export function buildLazerConfig(area) {
+  const { areaSize, areaOffset, rotation } = areaToLazer(area);
+  return [
+    `AreaSize = ${areaSize.x}, ${areaSize.y}`,
+    `AreaOffset = ${areaOffset.x}, ${areaOffset.y}`,
+    `Rotation = ${rotation}`,
+  ].join('\n');
+}
+
+/**
+ * Parse lazer tablet settings from a pasted snippet
+ * Accepts "AreaSize = 76, 47.5" pairs, split "AreaSizeX = 76" keys (with or without a
+ * "Tablet" prefix) and the JSON objects of input.json ("AreaSize": { "X": 76, "Y": 47.5 })
+ * @param {string} text - Pasted settings
+ * @returns {Object|null} - Area (mm, center coordinates) or null when size or offset is missing
+ */
+export function parseLazerConfig(text) {
+  if (typeof text !== 'string') return null;
+
+  const values = {};
+  const number = '(-?\\d+(?:\\.\\d+)?)';
+
+  // Pairs: AreaSize = 76, 47.5 / "AreaSize": { "X": 76, "Y": 47.5 }
+  const pairPattern = new RegExp(
+    `(AreaSize|AreaOffset)["']?\\s*[:=]\\s*\\{?\\s*(?:["']?X["']?\\s*:\\s*)?${number}\\s*[,;\\s]\\s*(?:["']?Y["']?\\s*:\\s*)?${number}`,
+    'gi'
+  );
+  for (const [, key, x, y] of text.matchAll(pairPattern)) {
+    values[`${key.toLowerCase()}x`] = parseFloat(x);
+    values[`${key.toLowerCase()}y`] = parseFloat(y);
+  }
+
+  // Split keys: Tablet_AreaSizeX = 76 / AreaOffsetY: 47.5 / Rotation = 0
+  const singlePattern = new RegExp(
+    `(AreaSize[XY]|AreaOffset[XY]|Rotation)["']?\\s*[:=]\\s*${number}`,
+    'gi'
+  );
+  for (const [, key, value] of text.matchAll(singlePattern)) {
+    values[key.toLowerCase()] = parseFloat(value);
+  }
+
+  const { areasizex, areasizey, areaoffsetx, areaoffsety, rotation = 0 } = values;
+  if (
+    ![areasizex, areasizey, areaoffsetx, areaoffsety].every(Number.isFinite) ||
+    areasizex <= 0 ||
+    areasizey <= 0
+  ) {
+    return null;
+  }
+
+  return lazerToArea({
+    areaSize: { x: areasizex, y: areasizey },
+    areaOffset: { x: areaoffsetx, y: areaoffsety },
+    rotation,
+  });
+}
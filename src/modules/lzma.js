@@ -0,0 +1,352 @@
+/**
+ * Osu!rea - LZMA Module
+ * Minimal LZMA ("LZMA alone" / .lzma) decoder used to read replay cursor data in the browser
+ * Follows the reference decoder of the LZMA SDK specification (LzmaSpec, public domain).
+ * @module lzma
+ */
+
+const NUM_STATES = 12;
+const NUM_POS_BITS_MAX = 4;
+const NUM_LEN_TO_POS_STATES = 4;
+const NUM_ALIGN_BITS = 4;
+const START_POS_MODEL_INDEX = 4;
+const END_POS_MODEL_INDEX = 14;
+const NUM_FULL_DISTANCES = 1 << (END_POS_MODEL_INDEX >> 1);
+const MATCH_MIN_LEN = 2;
+const PROB_INIT = 1024;
+const TOP_VALUE = 1 << 24;
+const END_MARKER = 0xffffffff;
+
+/**
+ * Create a probability array initialized to 0.5
+ * @param {number} size - Number of probabilities
+ * @returns {Uint16Array}
+ */
+function createProbs(size) {
+  return new Uint16Array(size).fill(PROB_INIT);
+}
+
+/**
+ * Create the range decoder reading the compressed bytes
+ * @param {Uint8Array} data - Compressed data
+ * @param {number} offset - Offset of the range coder stream
+ * @returns {Object} - Decoder functions
+ */
+function createRangeDecoder(data, offset) {
+  let pos = offset;
+  let range = 0xffffffff;
+  let code = 0;
+
+  const nextByte = () => {
+    if (pos >= data.length) {
+      throw new Error('Unexpected end of LZMA data');
+    }
+    return data[pos++];
+  };
+
+  const normalize = () => {
+    if (range < TOP_VALUE) {
+      range *= 256;
+      code = code * 256 + nextByte();
+    }
+  };
+
+  if (nextByte() !== 0) {
+    throw new Error('Invalid LZMA stream');
+  }
+  for (let i = 0; i < 4; i++) {
+    code = code * 256 + nextByte();
+  }
+  if (code === range) {
+    throw new Error('Invalid LZMA stream');
+  }
+
+  /**
+   * Decode one bit and adapt its probability
+   * @param {Uint16Array} probs - Probability array
+   * @param {number} index - Probability index
+   * @returns {number} - 0 or 1
+   */
+  const decodeBit = (probs, index) => {
+    const prob = probs[index];
+    const bound = (range >>> 11) * prob;
+    let bit;
+
+    if (code < bound) {
+      probs[index] = prob + ((2048 - prob) >>> 5);
+      range = bound;
+      bit = 0;
+    } else {
+      probs[index] = prob - (prob >>> 5);
+      code -= bound;
+      range -= bound;
+      bit = 1;
+    }
+
+    normalize();
+    return bit;
+  };
+
+  return {
+    decodeBit,
+
+    isFinishedOK: () => code === 0,
+
+    /**
+     * Decode bits with a fixed probability of 0.5
+     * @param {number} numBits - Number of bits
+     * @returns {number}
+     */
+    decodeDirectBits(numBits) {
+      let result = 0;
+      for (let i = 0; i < numBits; i++) {
+        range = range >>> 1;
+        let bit = 0;
+        if (code >= range) {
+          code -= range;
+          bit = 1;
+        }
+        normalize();
+        result = result * 2 + bit;
+      }
+      return result;
+    },
+
+    /**
+     * Decode a symbol from a bit tree (most significant bit first)
+     * @param {Uint16Array} probs - Probability array
+     * @param {number} treeOffset - Tree offset in the array
+     * @param {number} numBits - Number of bits
+     * @returns {number}
+     */
+    decodeTree(probs, treeOffset, numBits) {
+      let m = 1;
+      for (let i = 0; i < numBits; i++) {
+        m = (m << 1) + decodeBit(probs, treeOffset + m);
+      }
+      return m - (1 << numBits);
+    },
+
+    /**
+     * Decode a symbol from a bit tree (least significant bit first)
+     * @param {Uint16Array} probs - Probability array
+     * @param {number} treeOffset - Tree offset in the array
+     * @param {number} numBits - Number of bits
+     * @returns {number}
+     */
+    decodeReverseTree(probs, treeOffset, numBits) {
+      let m = 1;
+      let symbol = 0;
+      for (let i = 0; i < numBits; i++) {
+        const bit = decodeBit(probs, treeOffset + m);
+        m = (m << 1) + bit;
+        symbol |= bit << i;
+      }
+      return symbol;
+    },
+  };
+}
+
+/**
+ * Create the probabilities of a match length decoder
+ * @returns {{choice: Uint16Array, low: Uint16Array, mid: Uint16Array, high: Uint16Array}}
+ */
+function createLenProbs() {
+  return {
+    choice: createProbs(2),
+    low: createProbs((1 << NUM_POS_BITS_MAX) << 3),
+    mid: createProbs((1 << NUM_POS_BITS_MAX) << 3),
+    high: createProbs(1 << 8),
+  };
+}
+
+/**
+ * Decode a match length
+ * @param {Object} rc - Range decoder
+ * @param {Object} probs - Length probabilities (see createLenProbs)
+ * @param {number} posState - Position state
+ * @returns {number} - Length minus MATCH_MIN_LEN
+ */
+function decodeLength(rc, probs, posState) {
+  if (rc.decodeBit(probs.choice, 0) === 0) {
+    return rc.decodeTree(probs.low, posState << 3, 3);
+  }
+  if (rc.decodeBit(probs.choice, 1) === 0) {
+    return 8 + rc.decodeTree(probs.mid, posState << 3, 3);
+  }
+  return 16 + rc.decodeTree(probs.high, 0, 8);
+}
+
+/**
+ * Decompress "LZMA alone" data (13-byte header followed by the range coder stream)
+ * This is the format of the cursor data embedded in osu! replays.
+ * @param {Uint8Array} data - Compressed data
+ * @returns {Uint8Array} - Decompressed bytes
+ * @throws {Error} - When the data is not valid LZMA
+ */
+export function decompressLzma(data) {
+  if (!(data instanceof Uint8Array) || data.length < 13) {
+    throw new Error('Invalid LZMA header');
+  }
+
+  // Properties: lc (literal context bits), lp (literal position bits), pb (position bits)
+  let props = data[0];
+  if (props >= 9 * 5 * 5) {
+    throw new Error('Invalid LZMA properties');
+  }
+  const lc = props % 9;
+  props = Math.floor(props / 9);
+  const lp = props % 5;
+  const pb = Math.floor(props / 5);
+
+  // Unpacked size: 8 bytes little endian, all 0xFF when unknown (end marker required)
+  const sizeBytes = data.subarray(5, 13);
+  const sizeKnown = sizeBytes.some(byte => byte !== 0xff);
+  let remaining = sizeKnown
+    ? sizeBytes.reduceRight((size, byte) => size * 256 + byte, 0)
+    : Infinity;
+
+  const rc = createRangeDecoder(data, 13);
+
+  // Output buffer, also used as the dictionary (grown when the size is unknown)
+  let out = new Uint8Array(Math.max(sizeKnown ? remaining : data.length * 4, 256));
+  let outPos = 0;
+
+  const putByte = byte => {
+    if (outPos >= out.length) {
+      const grown = new Uint8Array(out.length * 2);
+      grown.set(out);
+      out = grown;
+    }
+    out[outPos++] = byte;
+  };
+  const getByte = distance => out[outPos - distance];
+
+  const literalProbs = createProbs(0x300 << (lc + lp));
+  const posSlot = createProbs(NUM_LEN_TO_POS_STATES << 6);
+  const posDecoders = createProbs(1 + NUM_FULL_DISTANCES - END_POS_MODEL_INDEX);
+  const align = createProbs(1 << NUM_ALIGN_BITS);
+  const isMatch = createProbs(NUM_STATES << NUM_POS_BITS_MAX);
+  const isRep = createProbs(NUM_STATES);
+  const isRepG0 = createProbs(NUM_STATES);
+  const isRepG1 = createProbs(NUM_STATES);
+  const isRepG2 = createProbs(NUM_STATES);
+  const isRep0Long = createProbs(NUM_STATES << NUM_POS_BITS_MAX);
+  const lenProbs = createLenProbs();
+  const repLenProbs = createLenProbs();
+
+  const pbMask = (1 << pb) - 1;
+  const lpMask = (1 << lp) - 1;
+  let state = 0;
+  let rep0 = 0;
+  let rep1 = 0;
+  let rep2 = 0;
+  let rep3 = 0;
+
+  const decodeLiteral = () => {
+    const prevByte = outPos > 0 ? getByte(1) : 0;
+    const litState = ((outPos & lpMask) << lc) + (prevByte >>> (8 - lc));
+    const offset = 0x300 * litState;
+    let symbol = 1;
+
+    if (state >= 7) {
+      let matchByte = getByte(rep0 + 1);
+      do {
+        const matchBit = (matchByte >>> 7) & 1;
+        matchByte <<= 1;
+        const bit = rc.decodeBit(literalProbs, offset + ((1 + matchBit) << 8) + symbol);
+        symbol = (symbol << 1) | bit;
+        if (matchBit !== bit) break;
+      } while (symbol < 0x100);
+    }
+
+    while (symbol < 0x100) {
+      symbol = (symbol << 1) | rc.decodeBit(literalProbs, offset + symbol);
+    }
+    putByte(symbol - 0x100);
+  };
+
+  const decodeDistance = len => {
+    const lenState = Math.min(len, NUM_LEN_TO_POS_STATES - 1);
+    const slot = rc.decodeTree(posSlot, lenState << 6, 6);
+    if (slot < START_POS_MODEL_INDEX) return slot;
+
+    const numDirectBits = (slot >>> 1) - 1;
+    let dist = (2 | (slot & 1)) * 2 ** numDirectBits;
+    if (slot < END_POS_MODEL_INDEX) {
+      dist += rc.decodeReverseTree(posDecoders, dist - slot, numDirectBits);
+    } else {
+      dist += rc.decodeDirectBits(numDirectBits - NUM_ALIGN_BITS) * 2 ** NUM_ALIGN_BITS;
+      dist += rc.decodeReverseTree(align, 0, NUM_ALIGN_BITS);
+    }
+    return dist;
+  };
+
+  for (;;) {
+    if (remaining === 0 && rc.isFinishedOK()) break;
+
+    const posState = outPos & pbMask;
+
+    if (rc.decodeBit(isMatch, (state << NUM_POS_BITS_MAX) + posState) === 0) {
+      if (remaining === 0) throw new Error('LZMA data exceeds its declared size');
+      decodeLiteral();
+      state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+      remaining--;
+      continue;
+    }
+
+    let len;
+    if (rc.decodeBit(isRep, state) !== 0) {
+      if (remaining === 0 || outPos === 0) throw new Error('Corrupted LZMA data');
+
+      if (rc.decodeBit(isRepG0, state) === 0) {
+        if (rc.decodeBit(isRep0Long, (state << NUM_POS_BITS_MAX) + posState) === 0) {
+          // Short rep: a single byte at rep0
+          state = state < 7 ? 9 : 11;
+          putByte(getByte(rep0 + 1));
+          remaining--;
+          continue;
+        }
+      } else {
+        let dist;
+        if (rc.decodeBit(isRepG1, state) === 0) {
+          dist = rep1;
+        } else {
+          if (rc.decodeBit(isRepG2, state) === 0) {
+            dist = rep2;
+          } else {
+            dist = rep3;
+            rep3 = rep2;
+          }
+          rep2 = rep1;
+        }
+        rep1 = rep0;
+        rep0 = dist;
+      }
+
+      len = decodeLength(rc, repLenProbs, posState);
+      state = state < 7 ? 8 : 11;
+    } else {
+      rep3 = rep2;
+      rep2 = rep1;
+      rep1 = rep0;
+      len = decodeLength(rc, lenProbs, posState);
+      state = state < 7 ? 7 : 10;
+      rep0 = decodeDistance(len);
+
+      if (rep0 === END_MARKER) {
+        if (!rc.isFinishedOK()) throw new Error('Corrupted LZMA data');
+        break;
+      }
+      if (remaining === 0 || rep0 >= outPos) throw new Error('Corrupted LZMA data');
+    }
+
+    len = Math.min(len + MATCH_MIN_LEN, remaining);
+    for (let i = 0; i < len; i++) {
+      putByte(getByte(rep0 + 1));
+    }
+    remaining -= len;
+  }
+
+  return out.slice(0, outPos);
+}
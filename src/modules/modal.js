@@ -6,12 +6,14 @@
 
 import { t } from './i18n.js';
 import { icon } from './icons.js';
+import { escapeHtml, formatNumber } from './utils.js';
+import { TRANSFER_MODES, TRANSFER_CORNERS } from '../constants/index.js';
 
 /**
  * @typedef {Object} ModalOptions
  * @property {string} [title=''] - Modal title
  * @property {string} [message=''] - Modal message
- * @property {'confirm'|'prompt'|'alert'|'edit-favorite'} [type='confirm'] - Modal type
+ * @property {'confirm'|'prompt'|'alert'|'edit-favorite'|'export-otd'|'wacom-area'|'driver-config'|'playfield-calculator'|'coverage'|'transfer-area'|'sensitivity-match'} [type='confirm'] - Modal type
  * @property {string} [inputValue=''] - Default input value (for prompt)
  * @property {string} [inputPlaceholder=''] - Input placeholder (for prompt)
  * @property {string} [confirmText] - Confirm button text
@@ -24,6 +26,17 @@ import { icon } from './icons.js';
 /** @type {HTMLElement|null} */
 let modalContainer = null;
 
+/** Modal types whose Enter key must not submit (multi-field forms) */
+const FORM_MODAL_TYPES = [
+  'edit-favorite',
+  'export-otd',
+  'wacom-area',
+  'driver-config',
+  'playfield-calculator',
+  'transfer-area',
+  'sensitivity-match',
+];
+
 /**
  * Get all focusable elements within a container
  * @param {HTMLElement} container - Container element
@@ -204,7 +217,7 @@ function showModal(options) {
     };
 
     confirmBtn.addEventListener('click', () => {
-      if (type === 'prompt') {
+      if (type === 'prompt' || type === 'driver-config') {
         const value = container.querySelector('#modal-input')?.value;
         close(value);
       } else if (type === 'save-favorite') {
@@ -226,6 +239,34 @@ function showModal(options) {
           radius: parseInt(container.querySelector('#edit-radius')?.value, 10) || 0,
         };
         close(formData);
+      } else if (type === 'export-otd') {
+        // Collect tablet name and display area for the OpenTabletDriver profile
+        const formData = {
+          tabletName: container.querySelector('#export-tablet-name')?.value,
+          width: parseFloat(container.querySelector('#export-display-width')?.value) || 0,
+          height: parseFloat(container.querySelector('#export-display-height')?.value) || 0,
+          x: parseFloat(container.querySelector('#export-display-x')?.value) || 0,
+          y: parseFloat(container.querySelector('#export-display-y')?.value) || 0,
+        };
+        close(formData);
+      } else if (type === 'playfield-calculator') {
+        // Collect wanted playfield size (mm) and playfield scaling (%)
+        close(readPlayfieldCalculatorForm(container));
+      } else if (type === 'transfer-area') {
+        // Collect how the position is carried over
+        close(readTransferAreaForm(container));
+      } else if (type === 'sensitivity-match') {
+        // Collect the reference, its screen (px) and the sensitivity adjustment (%)
+        close(readSensitivityMatchForm(container));
+      } else if (type === 'wacom-area') {
+        // Collect portion area edges in device counts
+        const formData = {
+          top: parseInt(container.querySelector('#wacom-top')?.value, 10),
+          left: parseInt(container.querySelector('#wacom-left')?.value, 10),
+          bottom: parseInt(container.querySelector('#wacom-bottom')?.value, 10),
+          right: parseInt(container.querySelector('#wacom-right')?.value, 10),
+        };
+        close(formData);
       } else {
         close(true);
       }
@@ -241,7 +282,7 @@ function showModal(options) {
     overlay?.addEventListener('click', () => close(null));
 
     const handleKeydown = e => {
-      if (e.key === 'Enter' && type !== 'edit-favorite') {
+      if (e.key === 'Enter' && !FORM_MODAL_TYPES.includes(type)) {
         e.preventDefault();
         if (type === 'prompt') {
           const value = container.querySelector('#modal-input')?.value;
@@ -314,43 +355,108 @@ export async function alert(message, title = '') {
   });
 }
 
+/**
+ * Render the recap rows
+ * @param {Object} data - Recap data
+ * @returns {string}
+ */
+function renderRecap(data) {
+  return `
+    <div class="recap">
+      <div class="recap-item">
+        <span class="recap-label">${t('area.widthMm')}</span>
+        <span class="recap-value">${data.width} mm</span>
+      </div>
+      <div class="recap-item">
+        <span class="recap-label">${t('area.heightMm')}</span>
+        <span class="recap-value">${data.height} mm</span>
+      </div>
+      <div class="recap-item">
+        <span class="recap-label">${t('area.ratio')}</span>
+        <span class="recap-value">${data.ratio}</span>
+      </div>
+      <div class="recap-item">
+        <span class="recap-label">${t('area.surface')}</span>
+        <span class="recap-value">${data.surface} mm²</span>
+      </div>
+      <div class="recap-item">
+        <span class="recap-label">${t('area.coverageX')}</span>
+        <span class="recap-value">${data.coverageX}%</span>
+      </div>
+      <div class="recap-item">
+        <span class="recap-label">${t('area.coverageY')}</span>
+        <span class="recap-value">${data.coverageY}%</span>
+      </div>
+      <div class="recap-item">
+        <span class="recap-label">${t('area.position')}</span>
+        <span class="recap-value">${data.position}</span>
+      </div>
+      ${
+        data.counts
+          ? `
+      <div class="recap-item">
+        <span class="recap-label">${t('wacom.resolutionLabel')}</span>
+        <span class="recap-value">${data.counts.lpi} LPI</span>
+      </div>
+      <div class="recap-item">
+        <span class="recap-label">${t('wacom.countsLabel')}</span>
+        <span class="recap-value">${data.counts.area}</span>
+      </div>`
+          : ''
+      }
+      <div class="recap-item">
+        <span class="recap-label">${t('screen.monitorLabel')}</span>
+        <span class="recap-value">${data.monitor} px</span>
+      </div>
+      <div class="recap-item">
+        <span class="recap-label">${t('screen.displayLabel')}</span>
+        <span class="recap-value">${data.display} px</span>
+      </div>
+      <div class="recap-item">
+        <span class="recap-label">${t('screen.sensitivityX')}</span>
+        <span class="recap-value">${data.sensitivityX}</span>
+      </div>
+      <div class="recap-item">
+        <span class="recap-label">${t('screen.sensitivityY')}</span>
+        <span class="recap-value">${data.sensitivityY}</span>
+      </div>
+      <div class="recap-item">
+        <span class="recap-label">${t('playfield.area')}</span>
+        <span class="recap-value">${data.playfield} mm</span>
+      </div>
+      ${
+        data.largestJump
+          ? `
+      <div class="recap-item">
+        <span class="recap-label">${t('beatmap.largestJump')}</span>
+        <span class="recap-value">${data.largestJump}</span>
+      </div>`
+          : ''
+      }
+      ${
+        data.ratioMismatch ? `<p class="modal-warning recap-warning">${data.ratioMismatch}</p>` : ''
+      }
+    </div>
+  `;
+}
+
+/**
+ * Replace the content of the open recap modal
+ * @param {Object} data - Recap data
+ */
+export function updateRecapModal(data) {
+  const content = document.querySelector('.recap-modal-content');
+  if (content) {
+    content.innerHTML = renderRecap(data);
+  }
+}
+
 /**
  * Show recap modal with area information
  */
 export async function showRecapModal(data) {
   const content = `
-    <div class="recap-modal-content">
-      <div class="recap">
-        <div class="recap-item">
-          <span class="recap-label">${t('area.widthMm')}</span>
-          <span class="recap-value">${data.width} mm</span>
-        </div>
-        <div class="recap-item">
-          <span class="recap-label">${t('area.heightMm')}</span>
-          <span class="recap-value">${data.height} mm</span>
-        </div>
-        <div class="recap-item">
-          <span class="recap-label">${t('area.ratio')}</span>
-          <span class="recap-value">${data.ratio}</span>
-        </div>
-        <div class="recap-item">
-          <span class="recap-label">${t('area.surface')}</span>
-          <span class="recap-value">${data.surface} mm²</span>
-        </div>
-        <div class="recap-item">
-          <span class="recap-label">${t('area.coverageX')}</span>
-          <span class="recap-value">${data.coverageX}%</span>
-        </div>
-        <div class="recap-item">
-          <span class="recap-label">${t('area.coverageY')}</span>
-          <span class="recap-value">${data.coverageY}%</span>
-        </div>
-        <div class="recap-item">
-          <span class="recap-label">${t('area.position')}</span>
-          <span class="recap-value">${data.position}</span>
-        </div>
-      </div>
-    </div>
+    <div class="recap-modal-content">${renderRecap(data)}</div>
   `;
 
   await showModal({
@@ -489,3 +595,551 @@ export async function showEditFavoriteModal(favorite) {
 
   return result;
 }
+
+/**
+ * Show OpenTabletDriver export modal with tablet name and display area fields
+ */
+export async function showOtdExportModal({ tabletName = '', display }) {
+  const content = `
+    <div class="modal-form">
+      <div class="modal-form-section">
+        <div class="input-group">
+          <label for="export-tablet-name">${t('export.tabletName')}</label>
+          <input type="text" id="export-tablet-name" class="input" value="${escapeHtml(tabletName)}" />
+        </div>
+      </div>
+
+      <div class="modal-form-section">
+        <h4>${t('export.displayArea')}</h4>
+        <div class="input-row">
+          <div class="input-group">
+            <label for="export-display-width">${t('export.displayWidth')}</label>
+            <input type="number" id="export-display-width" class="input" value="${
+              display.width
+            }" step="1" min="1" />
+          </div>
+          <div class="input-group">
+            <label for="export-display-height">${t('export.displayHeight')}</label>
+            <input type="number" id="export-display-height" class="input" value="${
+              display.height
+            }" step="1" min="1" />
+          </div>
+        </div>
+
+        <div class="input-row mt-md">
+          <div class="input-group">
+            <label for="export-display-x">${t('export.displayX')}</label>
+            <input type="number" id="export-display-x" class="input" value="${
+              display.x
+            }" step="1" />
+          </div>
+          <div class="input-group">
+            <label for="export-display-y">${t('export.displayY')}</label>
+            <input type="number" id="export-display-y" class="input" value="${
+              display.y
+            }" step="1" />
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  return showModal({
+    type: 'export-otd',
+    title: t('export.otdTitle'),
+    customContent: content,
+    confirmText: t('export.download'),
+    cancelText: t('modal.cancel'),
+  });
+}
+
+/**
+ * Show Wacom portion area modal (counts) for export and import
+ */
+export async function showWacomAreaModal({ counts, resolution, rotation = 0 }) {
+  const field = (id, key) => `
+    <div class="input-group">
+      <label for="wacom-${id}">${t(`wacom.${key}`)}</label>
+      <input type="number" id="wacom-${id}" class="input" value="${counts[id]}" step="1" min="0" />
+    </div>
+  `;
+
+  const content = `
+    <div class="modal-form">
+      <div class="modal-form-section">
+        <p class="modal-message">${t('wacom.help')}</p>
+        ${rotation ? `<p class="modal-warning">${t('wacom.rotationIgnored')}</p>` : ''}
+      </div>
+
+      <div class="modal-form-section">
+        <h4>${t('wacom.portion')} (${t('wacom.resolution', {
+          lpi: Math.round(resolution.lpi),
+          maxX: resolution.maxX,
+          maxY: resolution.maxY,
+        })})</h4>
+        <div class="input-row">
+          ${field('top', 'top')}
+          ${field('left', 'left')}
+        </div>
+        <div class="input-row mt-md">
+          ${field('bottom', 'bottom')}
+          ${field('right', 'right')}
+        </div>
+      </div>
+    </div>
+  `;
+
+  return showModal({
+    type: 'wacom-area',
+    title: t('wacom.title'),
+    customContent: content,
+    confirmText: t('wacom.apply'),
+    cancelText: t('modal.close'),
+  });
+}
+
+/**
+ * Read the playfield calculator fields
+ * @param {HTMLElement} container - Modal container
+ * @returns {{width: number, height: number, scale: number}} - mm, mm, 0-1
+ */
+function readPlayfieldCalculatorForm(container) {
+  return {
+    width: parseFloat(container.querySelector('#playfield-calc-width')?.value) || 0,
+    height: parseFloat(container.querySelector('#playfield-calc-height')?.value) || 0,
+    scale: (parseFloat(container.querySelector('#playfield-calc-scale')?.value) || 100) / 100,
+  };
+}
+
+/**
+ * Show the playfield calculator: wanted playfield size in, full tablet area out
+ * @param {Object} options
+ * @param {{width: number, height: number}} options.playfield - Initial playfield size in mm
+ * @param {number} options.scale - Initial playfield scaling (1 = 100%)
+ * @param {boolean} options.lockRatio - Whether the height follows the locked area ratio
+ * @param {string} options.screen - Screen resolution label
+ * @param {Function} options.calculate - Called with the form values, returns
+ *   {playfield, area, fits} for the preview
+ * @returns {Promise<{width: number, height: number, scale: number}|null>}
+ */
+export async function showPlayfieldCalculatorModal({
+  playfield,
+  scale,
+  lockRatio,
+  screen,
+  calculate,
+}) {
+  const content = `
+    <div class="modal-form">
+      <div class="modal-form-section">
+        <p class="modal-message">${t('playfield.calculatorHelp', { screen })}</p>
+      </div>
+
+      <div class="modal-form-section">
+        <h4>${t('playfield.wanted')}</h4>
+        <div class="input-row">
+          <div class="input-group">
+            <label for="playfield-calc-width">${t('area.widthMm')}</label>
+            <input type="number" id="playfield-calc-width" class="input" value="${
+              playfield.width
+            }" step="0.1" min="1" />
+          </div>
+          <div class="input-group">
+            <label for="playfield-calc-height">${t('area.heightMm')}</label>
+            <input type="number" id="playfield-calc-height" class="input" value="${
+              playfield.height
+            }" step="0.1" min="1" ${lockRatio ? 'disabled' : ''} />
+          </div>
+        </div>
+        ${lockRatio ? `<p class="modal-message mt-md">${t('playfield.heightLocked')}</p>` : ''}
+        <div class="input-row mt-md">
+          <div class="input-group">
+            <label for="playfield-calc-scale">${t('playfield.scale')}</label>
+            <input type="number" id="playfield-calc-scale" class="input" value="${Math.round(
+              scale * 100
+            )}" step="1" min="1" max="100" />
+          </div>
+        </div>
+      </div>
+
+      <div class="modal-form-section" id="playfield-calc-result" aria-live="polite"></div>
+    </div>
+  `;
+
+  const result = showModal({
+    type: 'playfield-calculator',
+    title: t('playfield.calculator'),
+    customContent: content,
+    confirmText: t('playfield.apply'),
+    cancelText: t('modal.close'),
+  });
+
+  // Live preview after modal is rendered
+  setTimeout(() => {
+    const container = document.querySelector('.modal');
+    const resultEl = container?.querySelector('#playfield-calc-result');
+    if (!resultEl) return;
+
+    const updatePreview = () => {
+      const values = readPlayfieldCalculatorForm(container);
+      if (values.width <= 0 || values.height <= 0) return;
+
+      const { playfield: computed, area, fits } = calculate(values);
+      if (lockRatio) {
+        container.querySelector('#playfield-calc-height').value = computed.height.toFixed(1);
+      }
+
+      resultEl.innerHTML = `
+        <h4>${t('playfield.result')}</h4>
+        <p class="modal-message">${area.width.toFixed(1)} × ${area.height.toFixed(
+          1
+        )} mm · ${t('area.position')} ${area.x.toFixed(1)}, ${area.y.toFixed(1)}</p>
+        ${fits ? '' : `<p class="modal-warning">${t('playfield.tooLarge')}</p>`}
+      `;
+    };
+
+    container
+      .querySelectorAll('#playfield-calc-width, #playfield-calc-height, #playfield-calc-scale')
+      .forEach(input => input.addEventListener('input', updatePreview));
+    updatePreview();
+  }, 0);
+
+  return result;
+}
+
+/**
+ * Read the area transfer fields
+ * @param {HTMLElement} container - Modal container
+ * @returns {{mode: string, corner: string}} - See TRANSFER_MODES and TRANSFER_CORNERS
+ */
+function readTransferAreaForm(container) {
+  return {
+    mode: container.querySelector('#transfer-mode')?.value,
+    corner: container.querySelector('#transfer-corner')?.value,
+  };
+}
+
+/**
+ * Draw an area on the new tablet, and where it would have been when it had to be moved
+ * @param {{width: number, height: number}} tablet - New tablet dimensions in mm
+ * @param {{area: Object, transferred: Object, fits: boolean}} result - Transfer result
+ * @returns {string} - SVG markup
+ */
+function buildTransferPreview(tablet, { area, transferred, fits }) {
+  const margin = Math.max(tablet.width, tablet.height) * 0.04;
+  const rect = ({ x, y, width, height, radius = 0, rotation = 0 }, className) =>
+    `<rect class="${className}" x="${x - width / 2}" y="${y - height / 2}" width="${width}" height="${height}" rx="${((radius / 100) * Math.min(width, height)) / 2}" transform="rotate(${rotation} ${x} ${y})" vector-effect="non-scaling-stroke"></rect>`;
+
+  return `
+    <svg class="transfer-preview" viewBox="${-margin} ${-margin} ${tablet.width + margin * 2} ${tablet.height + margin * 2}" role="img" aria-label="${escapeHtml(t('transfer.preview'))}">
+      ${rect({ x: tablet.width / 2, y: tablet.height / 2, ...tablet }, 'transfer-preview-tablet')}
+      ${fits ? '' : rect(transferred, 'transfer-preview-overflow')}
+      ${rect(area, 'transfer-preview-area')}
+    </svg>
+  `;
+}
+
+/**
+ * Show how the active area will be carried over to a newly selected tablet
+ * @param {Object} options
+ * @param {string} options.from - Previous tablet name
+ * @param {string} options.to - New tablet name
+ * @param {{width: number, height: number}} options.tablet - New tablet dimensions in mm
+ * @param {{mode: string, corner: string}} options.values - Initial position mode and corner
+ * @param {Function} options.calculate - Called with the form values, returns the transfer
+ *   result ({area, transferred, fits, resized}, see transferArea) for the preview
+ * @returns {Promise<{mode: string, corner: string}|null>}
+ */
+export async function showTransferAreaModal({ from, to, tablet, values, calculate }) {
+  const options = (items, selected, prefix) =>
+    items
+      .map(
+        item =>
+          `<option value="${item}" ${item === selected ? 'selected' : ''}>${t(`${prefix}.${item}`)}</option>`
+      )
+      .join('');
+
+  const content = `
+    <div class="modal-form">
+      <div class="modal-form-section">
+        <p class="modal-message">${t('transfer.help', { from: escapeHtml(from), to: escapeHtml(to) })}</p>
+      </div>
+
+      <div class="modal-form-section">
+        <div class="input-row">
+          <div class="input-group">
+            <label for="transfer-mode">${t('transfer.position')}</label>
+            <select id="transfer-mode" class="input">
+              ${options(TRANSFER_MODES, values.mode, 'transfer.modes')}
+            </select>
+          </div>
+          <div class="input-group">
+            <label for="transfer-corner">${t('transfer.corner')}</label>
+            <select id="transfer-corner" class="input">
+              ${options(TRANSFER_CORNERS, values.corner, 'transfer.corners')}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div class="modal-form-section" id="transfer-result" aria-live="polite"></div>
+    </div>
+  `;
+
+  const result = showModal({
+    type: 'transfer-area',
+    title: t('transfer.title'),
+    customContent: content,
+    confirmText: t('transfer.apply'),
+  });
+
+  // Live preview after modal is rendered
+  setTimeout(() => {
+    const container = document.querySelector('.modal');
+    const resultEl = container?.querySelector('#transfer-result');
+    if (!resultEl) return;
+
+    const cornerSelect = container.querySelector('#transfer-corner');
+    const updatePreview = () => {
+      const formValues = readTransferAreaForm(container);
+      cornerSelect.disabled = formValues.mode !== 'offset';
+
+      const transfer = calculate(formValues);
+      const { area } = transfer;
+      const size = `${formatNumber(area.width, 1)} × ${formatNumber(area.height, 1)} mm`;
+      let warning = '';
+      if (transfer.resized) {
+        warning = t('transfer.tooLarge', { size });
+      } else if (!transfer.fits) {
+        warning = t('transfer.outOfBounds');
+      }
+
+      resultEl.innerHTML = `
+        <h4>${t('transfer.result')}</h4>
+        ${buildTransferPreview(tablet, transfer)}
+        <p class="modal-message">${size} · ${t('area.position')} ${formatNumber(
+          area.x,
+          1
+        )}, ${formatNumber(area.y, 1)}</p>
+        ${warning ? `<p class="modal-warning">${warning}</p>` : ''}
+      `;
+    };
+
+    container
+      .querySelectorAll('#transfer-mode, #transfer-corner')
+      .forEach(select => select.addEventListener('change', updatePreview));
+    updatePreview();
+  }, 0);
+
+  return result;
+}
+
+/**
+ * Read the sensitivity matcher fields
+ * @param {HTMLElement} container - Modal container
+ * @returns {{reference: string, screen: {width: number, height: number}, adjustment: number}}
+ *   - Reference id, display area the reference is used with (px) and adjustment (%)
+ */
+function readSensitivityMatchForm(container) {
+  return {
+    reference: container.querySelector('#sensitivity-reference')?.value,
+    screen: {
+      width: parseFloat(container.querySelector('#sensitivity-screen-width')?.value) || 0,
+      height: parseFloat(container.querySelector('#sensitivity-screen-height')?.value) || 0,
+    },
+    adjustment: parseFloat(container.querySelector('#sensitivity-adjustment')?.value) || 0,
+  };
+}
+
+/**
+ * Show the sensitivity matcher: reference area in, active area with the same px/mm out
+ * @param {Object} options
+ * @param {Array<{id: string, group: string, label: string}>} options.references - Areas to
+ *   match, grouped by source (zones, favorites, players)
+ * @param {{width: number, height: number}} options.screen - Initial reference display area (px)
+ * @param {{sensitivityX: string, sensitivityY: string}} options.current - Recap metrics of the
+ *   active area (see getRecapData)
+ * @param {Function} options.calculate - Called with the form values, returns
+ *   {pixelsPerMm, area, fits} for the preview
+ * @returns {Promise<{reference: string, screen: Object, adjustment: number}|null>}
+ */
+export async function showSensitivityMatchModal({ references, screen, current, calculate }) {
+  const groups = ['zones', 'favorites', 'players']
+    .map(group => {
+      const items = references.filter(reference => reference.group === group);
+      if (!items.length) return '';
+      return `
+        <optgroup label="${escapeHtml(t(`sensitivityMatch.groups.${group}`))}">
+          ${items.map(({ id, label }) => `<option value="${escapeHtml(id)}">${escapeHtml(label)}</option>`).join('')}
+        </optgroup>
+      `;
+    })
+    .join('');
+
+  const content = `
+    <div class="modal-form">
+      <div class="modal-form-section">
+        <p class="modal-message">${t('sensitivityMatch.help')}</p>
+        <div class="input-group">
+          <label for="sensitivity-reference">${t('sensitivityMatch.reference')}</label>
+          <select id="sensitivity-reference" class="input">${groups}</select>
+        </div>
+      </div>
+
+      <div class="modal-form-section">
+        <h4>${t('sensitivityMatch.referenceScreen')}</h4>
+        <div class="input-row">
+          <div class="input-group">
+            <label for="sensitivity-screen-width">${t('sensitivityMatch.widthPx')}</label>
+            <input type="number" id="sensitivity-screen-width" class="input" value="${Math.round(
+              screen.width
+            )}" step="1" min="1" />
+          </div>
+          <div class="input-group">
+            <label for="sensitivity-screen-height">${t('sensitivityMatch.heightPx')}</label>
+            <input type="number" id="sensitivity-screen-height" class="input" value="${Math.round(
+              screen.height
+            )}" step="1" min="1" />
+          </div>
+        </div>
+        <div class="input-row mt-md">
+          <div class="input-group">
+            <label for="sensitivity-adjustment">${t('sensitivityMatch.adjustment')}</label>
+            <input type="number" id="sensitivity-adjustment" class="input" value="0" step="1" min="-50" max="100" />
+          </div>
+        </div>
+      </div>
+
+      <div class="modal-form-section" id="sensitivity-result" aria-live="polite"></div>
+    </div>
+  `;
+
+  const result = showModal({
+    type: 'sensitivity-match',
+    title: t('sensitivityMatch.title'),
+    customContent: content,
+    confirmText: t('sensitivityMatch.apply'),
+    cancelText: t('modal.close'),
+  });
+
+  // Live preview after modal is rendered
+  setTimeout(() => {
+    const container = document.querySelector('.modal');
+    const resultEl = container?.querySelector('#sensitivity-result');
+    if (!resultEl) return;
+
+    const updatePreview = () => {
+      const values = readSensitivityMatchForm(container);
+      if (values.screen.width <= 0 || values.screen.height <= 0 || values.adjustment <= -100) {
+        return;
+      }
+
+      const { pixelsPerMm, area, fits } = calculate(values);
+      resultEl.innerHTML = `
+        <h4>${t('sensitivityMatch.result')}</h4>
+        <p class="modal-message">${formatNumber(pixelsPerMm.x)} × ${formatNumber(
+          pixelsPerMm.y
+        )} px/mm · ${formatNumber(area.width, 1)} × ${formatNumber(area.height, 1)} mm</p>
+        <p class="modal-message">${t('sensitivityMatch.current', {
+          x: current.sensitivityX,
+          y: current.sensitivityY,
+        })}</p>
+        ${fits ? '' : `<p class="modal-warning">${t('sensitivityMatch.tooLarge')}</p>`}
+      `;
+    };
+
+    container
+      .querySelectorAll(
+        '#sensitivity-screen-width, #sensitivity-screen-height, #sensitivity-adjustment'
+      )
+      .forEach(input => input.addEventListener('input', updatePreview));
+    container.querySelector('#sensitivity-reference').addEventListener('change', updatePreview);
+    updatePreview();
+  }, 0);
+
+  return result;
+}
+
+/**
+ * Show a pen coverage summary (replays or recording) with the suggested area
+ * @param {Object} options
+ * @param {string} options.title - Modal title
+ * @param {Array<{label: string, value: string}>} options.rows - Summary rows
+ * @returns {Promise<boolean>} - Whether the suggested area should be applied
+ */
+export async function showCoverageModal({ title, rows }) {
+  const content = `
+    <div class="modal-form">
+      <div class="modal-form-section">
+        <p class="modal-message">${t('coverage.help')}</p>
+      </div>
+      <div class="recap">
+        ${rows
+          .map(
+            ({ label, value }) => `
+        <div class="recap-item">
+          <span class="recap-label">${label}</span>
+          <span class="recap-value">${escapeHtml(value)}</span>
+        </div>`
+          )
+          .join('')}
+      </div>
+    </div>
+  `;
+
+  const result = await showModal({
+    type: 'coverage',
+    title,
+    customContent: content,
+    confirmText: t('coverage.apply'),
+    cancelText: t('modal.close'),
+  });
+  return result === true;
+}
+
+/**
+ * Show a driver configuration snippet that can be copied, or replaced by a pasted one
+ * @param {Object} options
+ * @param {string} options.title - Modal title
+ * @param {string} options.help - Help text shown above the snippet
+ * @param {string} options.config - Generated configuration text
+ * @param {string} [options.copyLabel] - Label of the copy button
+ * @param {Function} [options.onCopy] - Called with the generated text when the copy button is clicked
+ * @returns {Promise<string|null>} - Text to import, or null when closed
+ */
+export async function showDriverConfigModal({ title, help, config, copyLabel, onCopy }) {
+  const content = `
+    <div class="modal-form">
+      <p class="modal-message">${help}</p>
+      <textarea
+        id="modal-input"
+        class="input textarea code-textarea"
+        rows="6"
+        spellcheck="false"
+      >${escapeHtml(config)}</textarea>
+      ${
+        onCopy
+          ? `<button type="button" class="btn btn-secondary modal-copy-btn" id="driver-config-copy">
+              ${icon('copy')}
+              <span>${escapeHtml(copyLabel || t('driverConfig.copy'))}</span>
+            </button>`
+          : ''
+      }
+    </div>
+  `;
+
+  const result = showModal({
+    type: 'driver-config',
+    title,
+    customContent: content,
+    confirmText: t('driverConfig.apply'),
+    cancelText: t('modal.close'),
+  });
+
+  // Add copy listener after modal is rendered
+  setTimeout(() => {
+    document.querySelector('#driver-config-copy')?.addEventListener('click', () => onCopy(config));
+  }, 0);
+
+  return result;
+}
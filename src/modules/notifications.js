@@ -0,0 +1,48 @@
+/**
+ * Osu!rea - Notifications Module
+ * Short-lived toast messages
+ * @module notifications
+ */
+
+import { icon } from './icons.js';
+import { escapeHtml } from './utils.js';
+
+const NOTIFICATION_ICONS = {
+  success: 'check',
+  error: 'error',
+  warning: 'warning',
+};
+
+let container = null;
+
+/**
+ * Get (or create) the notification container
+ * @returns {HTMLElement}
+ */
+function getContainer() {
+  if (!container || !container.isConnected) {
+    container = document.createElement('div');
+    container.className = 'notification-container';
+    container.setAttribute('role', 'status');
+    container.setAttribute('aria-live', 'polite');
+    document.body.appendChild(container);
+  }
+  return container;
+}
+
+/**
+ * Show a notification
+ * @param {string} message - Message to display
+ * @param {'success'|'error'|'warning'} [type='success'] - Notification type
+ * @param {number} [duration=2500] - Time before the notification is removed (ms)
+ */
+export function notify(message, type = 'success', duration = 2500) {
+  const notification = document.createElement('div');
+  notification.className = `notification ${type}`;
+  notification.innerHTML = `${icon(NOTIFICATION_ICONS[type] || 'info')}<span>${escapeHtml(
+    message
+  )}</span>`;
+
+  getContainer().appendChild(notification);
+  setTimeout(() => notification.remove(), duration);
+}
@@ -0,0 +1,185 @@
+/**
+ * Osu!rea - OpenTabletDriver Module
+ * Conversion between Osurea areas and OpenTabletDriver settings.json profiles
+ * @module opentabletdriver
+ */
+
+import { normalizeRotation } from './geometry.js';
+
+/** Output mode path used by OpenTabletDriver for absolute positioning */
+const ABSOLUTE_MODE_PATH = 'OpenTabletDriver.Desktop.Output.AbsoluteMode';
+
+/** Binding plugin path used for the default pen tip binding */
+const MOUSE_BINDING_PATH = 'OpenTabletDriver.Desktop.Binding.MouseBinding';
+
+/**
+ * Round a value to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Number of decimals to keep
+ * @returns {number}
+ */
+function round(value, decimals = 3) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Check that every listed property is a finite number
+ * @param {Object} source - Object to inspect
+ * @param {string[]} keys - Property names
+ * @returns {boolean}
+ */
+function hasNumbers(source, keys) {
+  return !!source && keys.every(key => Number.isFinite(source[key]));
+}
+
+/**
+ * Get the tablet name to write in an OpenTabletDriver profile
+ * Drops the parenthesized alias Osurea appends to some model names
+ * @param {Object} tablet - Tablet configuration
+ * @returns {string}
+ */
+export function getOtdTabletName(tablet) {
+  if (!tablet || tablet.isCustom) return '';
+  const model = tablet.model.replace(/\s*\(.*\)\s*/g, ' ').trim();
+  return `${tablet.brand} ${model}`;
+}
+
+/**
+ * Build an OpenTabletDriver settings.json object from an area
+ * OpenTabletDriver uses the same center-based X/Y convention as Osurea
+ * @param {Object} options
+ * @param {string} options.tabletName - Tablet name as detected by OpenTabletDriver
+ * @param {Object} options.area - Area configuration (mm, center coordinates)
+ * @param {Object} options.display - Display area (px, center coordinates)
+ * @returns {Object} - Settings object ready to be serialized
+ */
+export function buildOtdSettings({ tabletName, area, display }) {
+  return {
+    Profiles: [
+      {
+        Tablet: tabletName,
+        OutputMode: {
+          Path: ABSOLUTE_MODE_PATH,
+          Settings: [],
+          Enable: true,
+        },
+        Filters: [],
+        AbsoluteModeSettings: {
+          Display: {
+            Width: round(display.width),
+            Height: round(display.height),
+            X: round(display.x),
+            Y: round(display.y),
+            Rotation: 0,
+          },
+          Tablet: {
+            Width: round(area.width),
+            Height: round(area.height),
+            X: round(area.x),
+            Y: round(area.y),
+            Rotation: round(normalizeRotation(area.rotation, 0)),
+          },
+          EnableClipping: true,
+          EnableAreaLimiting: false,
+          LockAspectRatio: false,
+        },
+        RelativeModeSettings: {
+          XSensitivity: 10,
+          YSensitivity: 10,
+          RelativeRotation: 0,
+          RelativeResetDelay: '00:00:00.1000000',
+        },
+        Bindings: {
+          TipActivationThreshold: 1,
+          TipButton: {
+            Path: MOUSE_BINDING_PATH,
+            Settings: [{ Property: 'Button', Value: 'Left' }],
+            Enable: true,
+          },
+          EraserActivationThreshold: 1,
+          EraserButton: null,
+          PenButtons: [null, null],
+          AuxButtons: [],
+          MouseButtons: [],
+          MouseScrollUp: null,
+          MouseScrollDown: null,
+        },
+      },
+    ],
+    LockUsableAreaDisplay: true,
+    LockUsableAreaTablet: true,
+    Tools: [],
+  };
+}
+
+/**
+ * Parse an OpenTabletDriver settings.json file
+ * Supports the profile-based format (0.6+) and the flat legacy format (0.5)
+ * @param {string} text - Raw file content
+ * @returns {{tabletName: string|null, area: Object, display: Object|null}|null} - Imported
+ *   configuration, or null when the file is not a valid OpenTabletDriver settings file
+ */
+export function parseOtdSettings(text) {
+  let settings;
+  try {
+    settings = JSON.parse(text);
+  } catch {
+    return null;
+  }
+
+  if (!settings || typeof settings !== 'object') return null;
+
+  const areaKeys = ['Width', 'Height', 'X', 'Y'];
+
+  // 0.6+ : one profile per tablet, take the first one with an absolute area
+  if (Array.isArray(settings.Profiles)) {
+    const profile = settings.Profiles.find(p =>
+      hasNumbers(p?.AbsoluteModeSettings?.Tablet, areaKeys)
+    );
+    if (!profile) return null;
+
+    const { Tablet, Display } = profile.AbsoluteModeSettings;
+    if (Tablet.Width <= 0 || Tablet.Height <= 0) return null;
+
+    return {
+      tabletName: typeof profile.Tablet === 'string' && profile.Tablet ? profile.Tablet : null,
+      area: {
+        width: Tablet.Width,
+        height: Tablet.Height,
+        x: Tablet.X,
+        y: Tablet.Y,
+        rotation: normalizeRotation(Tablet.Rotation),
+      },
+      display: hasNumbers(Display, areaKeys)
+        ? { width: Display.Width, height: Display.Height, x: Display.X, y: Display.Y }
+        : null,
+    };
+  }
+
+  // 0.5 : flat settings without tablet name
+  if (hasNumbers(settings, ['TabletWidth', 'TabletHeight', 'TabletX', 'TabletY'])) {
+    if (settings.TabletWidth <= 0 || settings.TabletHeight <= 0) return null;
+
+    return {
+      tabletName: null,
+      area: {
+        width: settings.TabletWidth,
+        height: settings.TabletHeight,
+        x: settings.TabletX,
+        y: settings.TabletY,
+        rotation: normalizeRotation(settings.TabletRotation),
+      },
+      display: hasNumbers(settings, ['DisplayWidth', 'DisplayHeight', 'DisplayX', 'DisplayY'])
+        ? {
+            width: settings.DisplayWidth,
+            height: settings.DisplayHeight,
+            x: settings.DisplayX,
+            y: settings.DisplayY,
+          }
+        : null,
+    };
+  }
+
+  return null;
+}
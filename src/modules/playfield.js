@@ -0,0 +1,137 @@
+/**
+ * Osu!rea - Playfield Module
+ * osu! gameplay field geometry on screen and on the tablet
+ * @module playfield
+ */
+
+/**
+ * osu! playfield size in osu!pixels
+ * @constant {Object}
+ */
+export const OSU_PLAYFIELD = { width: 512, height: 384 };
+
+/** Screen height in osu!pixels (the playfield sits in a 640×480 4:3 region) */
+const OSU_SCREEN_HEIGHT = 480;
+
+/** osu!stable draws the playfield 8 osu!pixels below the screen center */
+const OSU_PLAYFIELD_OFFSET_Y = 8;
+
+/**
+ * Playfield rectangle on the monitor
+ * @param {Object} monitor - Monitor resolution (px)
+ * @param {number} [scale=1] - Playfield scaling (1 = 100%)
+ * @returns {{width: number, height: number, x: number, y: number}} - px, center coordinates
+ */
+export function getPlayfieldRect(monitor, scale = 1) {
+  const pixelsPerOsuPixel = monitor.height / OSU_SCREEN_HEIGHT;
+
+  return {
+    width: OSU_PLAYFIELD.width * pixelsPerOsuPixel * scale,
+    height: OSU_PLAYFIELD.height * pixelsPerOsuPixel * scale,
+    x: monitor.width / 2,
+    y: monitor.height / 2 + OSU_PLAYFIELD_OFFSET_Y * pixelsPerOsuPixel * scale,
+  };
+}
+
+/**
+ * Playfield position relative to the display area
+ * Values are fractions of the display size, so they also locate the playfield inside the
+ * tablet area mapped to that display (0-1 when the playfield lies within the display).
+ * @param {Object} display - Display area (px, center coordinates)
+ * @param {Object} monitor - Monitor resolution (px)
+ * @param {number} [scale=1] - Playfield scaling
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+export function getPlayfieldFraction(display, monitor, scale = 1) {
+  const playfield = getPlayfieldRect(monitor, scale);
+  const displayLeft = display.x - display.width / 2;
+  const displayTop = display.y - display.height / 2;
+
+  return {
+    left: (playfield.x - playfield.width / 2 - displayLeft) / display.width,
+    top: (playfield.y - playfield.height / 2 - displayTop) / display.height,
+    width: playfield.width / display.width,
+    height: playfield.height / display.height,
+  };
+}
+
+/**
+ * Part of the tablet area that covers the playfield
+ * @param {Object} area - Area configuration (mm, center coordinates)
+ * @param {Object} display - Display area (px, center coordinates)
+ * @param {Object} monitor - Monitor resolution (px)
+ * @param {number} [scale=1] - Playfield scaling
+ * @returns {{width: number, height: number, x: number, y: number}} - mm, tablet coordinates
+ */
+export function getPlayfieldArea(area, display, monitor, scale = 1) {
+  const fraction = getPlayfieldFraction(display, monitor, scale);
+
+  // Offset of the playfield center from the area center, in the area's own frame
+  const offsetX = (fraction.left + fraction.width / 2 - 0.5) * area.width;
+  const offsetY = (fraction.top + fraction.height / 2 - 0.5) * area.height;
+
+  const angle = ((area.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return {
+    width: fraction.width * area.width,
+    height: fraction.height * area.height,
+    x: area.x + offsetX * cos - offsetY * sin,
+    y: area.y + offsetX * sin + offsetY * cos,
+  };
+}
+
+/**
+ * Tablet area needed to get a given playfield size (inverse of getPlayfieldArea)
+ * @param {{width: number, height: number}} playfield - Wanted playfield size in mm
+ * @param {Object} display - Display area (px, center coordinates)
+ * @param {Object} monitor - Monitor resolution (px)
+ * @param {Object} [options]
+ * @param {number} [options.scale=1] - Playfield scaling
+ * @param {{x: number, y: number}} [options.center] - Wanted playfield center in tablet mm
+ * @param {number} [options.rotation=0] - Area rotation in degrees
+ * @returns {{width: number, height: number, x: number, y: number}} - Area (mm, center
+ *   coordinates)
+ */
+export function getAreaForPlayfield(
+  playfield,
+  display,
+  monitor,
+  { scale = 1, center = { x: 0, y: 0 }, rotation = 0 } = {}
+) {
+  const fraction = getPlayfieldFraction(display, monitor, scale);
+  const width = playfield.width / fraction.width;
+  const height = playfield.height / fraction.height;
+
+  // Move the area so the playfield center lands on the requested point
+  const offsetX = (fraction.left + fraction.width / 2 - 0.5) * width;
+  const offsetY = (fraction.top + fraction.height / 2 - 0.5) * height;
+
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return {
+    width,
+    height,
+    x: center.x - (offsetX * cos - offsetY * sin),
+    y: center.y - (offsetX * sin + offsetY * cos),
+  };
+}
+
+/**
+ * Screen position of a point given in osu!pixels (replay and beatmap coordinates)
+ * @param {{x: number, y: number}} point - Playfield point (osu!pixels)
+ * @param {Object} monitor - Monitor resolution (px)
+ * @param {number} [scale=1] - Playfield scaling
+ * @returns {{x: number, y: number}} - Screen point (px)
+ */
+export function playfieldToScreen(point, monitor, scale = 1) {
+  const playfield = getPlayfieldRect(monitor, scale);
+
+  return {
+    x: playfield.x + (point.x / OSU_PLAYFIELD.width - 0.5) * playfield.width,
+    y: playfield.y + (point.y / OSU_PLAYFIELD.height - 0.5) * playfield.height,
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * Osu!rea - Replay Module
+ * Reading osu! replay (.osr) files: header fields and cursor frames
+ * @module replay
+ */
+
+import { decompressLzma } from './lzma.js';
+
+/**
+ * osu!standard game mode (the only mode where replay frames are cursor positions)
+ * @constant {number}
+ */
+export const OSU_MODE_STANDARD = 0;
+
+/** Time delta of the frame holding the RNG seed at the end of the replay data */
+const SEED_FRAME_DELTA = -12345;
+
+/**
+ * @typedef {Object} ReplayFrame
+ * @property {number} time - Time in ms since the start of the replay
+ * @property {number} x - Cursor X in osu!pixels (0-512 inside the playfield)
+ * @property {number} y - Cursor Y in osu!pixels (0-384 inside the playfield)
+ * @property {number} keys - Pressed keys bit field
+ */
+
+/**
+ * @typedef {Object} Replay
+ * @property {number} mode - Game mode (0 = osu!standard)
+ * @property {number} version - Game version that created the replay
+ * @property {string} beatmapHash - Beatmap MD5 hash
+ * @property {string} player - Player name
+ * @property {number} mods - Mods bit field
+ * @property {ReplayFrame[]} frames - Cursor frames
+ */
+
+/**
+ * Create a little-endian reader over replay bytes
+ * @param {Uint8Array} bytes - File content
+ * @returns {Object} - Reader functions
+ */
+function createReader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 0;
+
+  const ensure = size => {
+    if (pos + size > bytes.length) {
+      throw new Error('Unexpected end of replay file');
+    }
+  };
+
+  const reader = {
+    byte() {
+      ensure(1);
+      return view.getUint8(pos++);
+    },
+    short() {
+      ensure(2);
+      const value = view.getUint16(pos, true);
+      pos += 2;
+      return value;
+    },
+    int() {
+      ensure(4);
+      const value = view.getInt32(pos, true);
+      pos += 4;
+      return value;
+    },
+    long() {
+      ensure(8);
+      const value = view.getUint32(pos, true) + view.getUint32(pos + 4, true) * 2 ** 32;
+      pos += 8;
+      return value;
+    },
+    bytes(size) {
+      ensure(size);
+      const value = bytes.subarray(pos, pos + size);
+      pos += size;
+      return value;
+    },
+    uleb128() {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = reader.byte();
+        result += (byte & 0x7f) * 2 ** shift;
+        shift += 7;
+      } while (byte & 0x80);
+      return result;
+    },
+    // osu! strings: 0x00 (empty) or 0x0b, ULEB128 length and UTF-8 bytes
+    string() {
+      const marker = reader.byte();
+      if (marker === 0x00) return '';
+      if (marker !== 0x0b) throw new Error('Invalid string in replay file');
+      return new TextDecoder().decode(reader.bytes(reader.uleb128()));
+    },
+  };
+
+  return reader;
+}
+
+/**
+ * Parse the decompressed replay data ("w|x|y|z," frames, w = ms since the previous frame)
+ * The RNG seed frame and the off-screen frames osu! writes at the start are skipped.
+ * @param {string} text - Decompressed frame data
+ * @returns {ReplayFrame[]}
+ */
+export function parseReplayFrames(text) {
+  const frames = [];
+  let time = 0;
+
+  for (const entry of text.split(',')) {
+    const [delta, x, y, keys] = entry.split('|').map(Number);
+    if (![delta, x, y].every(Number.isFinite) || delta === SEED_FRAME_DELTA) continue;
+
+    time += delta;
+    if (x === 256 && y === -500) continue;
+
+    frames.push({ time, x, y, keys: keys || 0 });
+  }
+
+  return frames;
+}
+
+/**
+ * Parse an osu! replay file
+ * @param {ArrayBuffer|Uint8Array} buffer - .osr file content
+ * @returns {Replay}
+ * @throws {Error} - When the file is not a valid replay
+ */
+export function parseReplay(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const reader = createReader(bytes);
+
+  const mode = reader.byte();
+  if (mode > 3) throw new Error('Invalid replay game mode');
+
+  const version = reader.int();
+  const beatmapHash = reader.string();
+  const player = reader.string();
+  reader.string(); // replay hash
+
+  // Judgements (300, 100, 50, geki, katu, miss), score, max combo, perfect flag
+  for (let i = 0; i < 6; i++) reader.short();
+  reader.int();
+  reader.short();
+  reader.byte();
+
+  const mods = reader.int();
+  reader.string(); // life bar graph
+  reader.long(); // timestamp
+
+  const length = reader.int();
+  if (length <= 0) throw new Error('Replay has no cursor data');
+
+  const data = decompressLzma(reader.bytes(length));
+
+  return {
+    mode,
+    version,
+    beatmapHash,
+    player,
+    mods,
+    frames: parseReplayFrames(new TextDecoder().decode(data)),
+  };
+}
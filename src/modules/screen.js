@@ -0,0 +1,100 @@
+/**
+ * Osu!rea - Screen Module
+ * Mapping between the tablet area (mm) and the display area (px)
+ * @module screen
+ */
+
+import { clamp } from './utils.js';
+import { RATIO_TOLERANCE } from '../constants/index.js';
+
+/**
+ * Screen pixels covered by one millimetre of pen travel
+ * @param {Object} area - Area configuration (mm)
+ * @param {Object} display - Display area (px)
+ * @returns {{x: number, y: number}} - Horizontal and vertical px/mm
+ */
+export function getPixelsPerMm(area, display) {
+  return {
+    x: display.width / area.width,
+    y: display.height / area.height,
+  };
+}
+
+/**
+ * Area size giving a wanted sensitivity on a display area (inverse of getPixelsPerMm)
+ * @param {{x: number, y: number}} pixelsPerMm - Wanted horizontal and vertical px/mm
+ * @param {Object} display - Display area (px)
+ * @returns {{width: number, height: number}} - Area size (mm)
+ */
+export function getAreaSizeForSensitivity(pixelsPerMm, display) {
+  return {
+    width: display.width / pixelsPerMm.x,
+    height: display.height / pixelsPerMm.y,
+  };
+}
+
+/**
+ * Relative difference between the area ratio and the display ratio
+ * A non-zero value means the mapping stretches one axis (0.05 = 5% distortion)
+ * @param {Object} area - Area configuration (mm)
+ * @param {Object} display - Display area (px)
+ * @returns {number}
+ */
+export function getRatioMismatch(area, display) {
+  const areaRatio = area.width / area.height;
+  const displayRatio = display.width / display.height;
+  return Math.abs(areaRatio / displayRatio - 1);
+}
+
+/**
+ * Check whether the area ratio distorts the mapped screen ratio
+ * @param {Object} area - Area configuration (mm)
+ * @param {Object} display - Display area (px)
+ * @param {number} [tolerance=RATIO_TOLERANCE] - Accepted relative difference
+ * @returns {boolean}
+ */
+export function isRatioMismatched(area, display, tolerance = RATIO_TOLERANCE) {
+  return getRatioMismatch(area, display) > tolerance;
+}
+
+/**
+ * Keep a display area within the monitor
+ * The size is capped to the monitor and the center moved so the display stays on screen.
+ * @param {Object} display - Display area (px, center coordinates)
+ * @param {Object} monitor - Monitor resolution (px)
+ * @returns {Object} - Display area
+ */
+export function fitDisplayToMonitor(display, monitor) {
+  const width = Math.min(display.width, monitor.width);
+  const height = Math.min(display.height, monitor.height);
+
+  return {
+    width,
+    height,
+    x: clamp(display.x, width / 2, monitor.width - width / 2),
+    y: clamp(display.y, height / 2, monitor.height - height / 2),
+  };
+}
+
+/**
+ * Tablet position that moves the cursor to a screen point
+ * Points outside the display area map outside the tablet area.
+ * @param {{x: number, y: number}} point - Screen point (px)
+ * @param {Object} area - Area configuration (mm, center coordinates)
+ * @param {Object} display - Display area (px, center coordinates)
+ * @returns {{x: number, y: number}} - Tablet point (mm)
+ */
+export function screenToTablet(point, area, display) {
+  // Offset from the area center, in the area's own frame
+  const offsetX = ((point.x - display.x) / display.width) * area.width;
+  const offsetY = ((point.y - display.y) / display.height) * area.height;
+
+  const angle = ((area.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return {
+    x: area.x + offsetX * cos - offsetY * sin,
+    y: area.y + offsetX * sin + offsetY * cos,
+  };
+}
@@ -0,0 +1,237 @@
+/**
+ * Osu!rea - Share Module
+ * Serialization of the app state into a compact, versioned URL hash
+ * @module share
+ */
+
+import { MAX_ZONES, MAX_ZONE_NAME_LENGTH, ZONE_COLORS } from '../constants/index.js';
+
+/**
+ * Current share format version
+ * Bump when the payload layout changes and keep decoding older versions
+ * (1: fixed zones A and B, 2: list of named, colored zones, optionally on their own tablet)
+ */
+export const SHARE_VERSION = 2;
+
+const HASH_KEY = 's';
+
+/**
+ * Round to two decimals to keep links short (0.01 mm is below any driver's precision)
+ * @param {number} value - Value to round
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Encode a UTF-8 string as base64url
+ * @param {string} text - Text to encode
+ * @returns {string}
+ */
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string to UTF-8 text
+ * @param {string} encoded - base64url string
+ * @returns {string}
+ */
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Pack an area as [width, height, x, y, radius, rotation]
+ * @param {Object} area - Area configuration
+ * @returns {number[]}
+ */
+function packArea(area) {
+  return [area.width, area.height, area.x, area.y, area.radius || 0, area.rotation || 0].map(round);
+}
+
+/**
+ * Unpack an area packed by packArea
+ * @param {*} packed - Packed area
+ * @returns {Object|null}
+ */
+function unpackArea(packed) {
+  if (!Array.isArray(packed) || packed.length < 4) return null;
+
+  const [width, height, x, y, radius = 0, rotation = 0] = packed;
+  if (![width, height, x, y, radius, rotation].every(Number.isFinite)) return null;
+  if (width <= 0 || height <= 0) return null;
+
+  return { width, height, x, y, radius, rotation };
+}
+
+/**
+ * Pack a tablet as [brand, model, width, height, isCustom]
+ * @param {Object} tablet - Tablet (catalog or custom)
+ * @returns {Array}
+ */
+function packTablet(tablet) {
+  return [
+    tablet.brand,
+    tablet.model,
+    round(tablet.width),
+    round(tablet.height),
+    tablet.isCustom ? 1 : 0,
+  ];
+}
+
+/**
+ * Unpack a tablet packed by packTablet
+ * @param {*} packed - Packed tablet
+ * @returns {Object|null}
+ */
+function unpackTablet(packed) {
+  if (!Array.isArray(packed)) return null;
+
+  const [brand, model, width, height, isCustom] = packed;
+  if (typeof brand !== 'string' || typeof model !== 'string') return null;
+  if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) {
+    return null;
+  }
+
+  return { brand, model, width, height, isCustom: isCustom === 1 };
+}
+
+/**
+ * Check whether two tablets pack the same way
+ * @param {Object} a - Tablet
+ * @param {Object} b - Tablet
+ * @returns {boolean}
+ */
+function isSameTablet(a, b) {
+  return JSON.stringify(packTablet(a)) === JSON.stringify(packTablet(b));
+}
+
+/**
+ * Pack a zone as [name, color, packed area], followed by 0 when it is hidden
+ * A zone on another tablet than the shared one also gets its visibility (1 or 0) and its
+ * packed tablet.
+ * @param {Object} zone - Zone
+ * @param {Object} tablet - Shared tablet
+ * @returns {Array}
+ */
+function packZone({ name, color, visible, area, tablet: zoneTablet }, tablet) {
+  const packed = [name, color, packArea(area)];
+  if (zoneTablet && !isSameTablet(zoneTablet, tablet)) {
+    packed.push(visible === false ? 0 : 1, packTablet(zoneTablet));
+  } else if (visible === false) {
+    packed.push(0);
+  }
+  return packed;
+}
+
+/**
+ * Unpack a zone packed by packZone
+ * @param {*} packed - Packed zone
+ * @param {number} index - Zone position (for the default name and color)
+ * @param {Object} tablet - Shared tablet (for zones without their own)
+ * @returns {Object|null} - Zone without id
+ */
+function unpackZone(packed, index, tablet) {
+  if (!Array.isArray(packed)) return null;
+
+  const [name, color, area, visible, zoneTablet] = packed;
+  const unpacked = unpackArea(area);
+  if (!unpacked) return null;
+
+  const unpackedTablet = zoneTablet === undefined ? { ...tablet } : unpackTablet(zoneTablet);
+  if (!unpackedTablet) return null;
+
+  return {
+    name:
+      typeof name === 'string' && name.trim()
+        ? name.trim().slice(0, MAX_ZONE_NAME_LENGTH)
+        : String.fromCharCode(65 + index),
+    color: /^#[\da-f]{6}$/i.test(color) ? color : ZONE_COLORS[index % ZONE_COLORS.length],
+    visible: visible !== 0,
+    area: unpacked,
+    tablet: unpackedTablet,
+  };
+}
+
+/**
+ * Encode the shareable part of the app state
+ * @param {Object} state - App state
+ * @param {Object} state.tablet - Tablet (catalog or custom) of the active zone
+ * @param {Object[]} state.zones - Zones (name, color, visibility, area and tablet)
+ * @param {boolean} state.comparisonMode - Whether comparison mode is enabled
+ * @returns {string} - Hash value, without the leading "#"
+ */
+export function encodeShareState({ tablet, zones, comparisonMode }) {
+  const payload = {
+    t: packTablet(tablet),
+    z: zones.map(zone => packZone(zone, tablet)),
+  };
+
+  if (comparisonMode) {
+    payload.c = 1;
+  }
+
+  return `${HASH_KEY}=${SHARE_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * Decode a hash produced by encodeShareState (or by the first version, with zones A and B)
+ * @param {string} hash - URL hash, with or without the leading "#"
+ * @returns {{tablet: Object, zones: Object[], comparisonMode: boolean}|null} - Shared state
+ *   (zones without ids, each with its tablet), or null when the hash is missing, malformed or
+ *   from an unknown version
+ */
+export function decodeShareState(hash) {
+  if (typeof hash !== 'string') return null;
+
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const value = params.get(HASH_KEY);
+  const match = value?.match(/^(\d+)\.([\w-]+)$/);
+  const version = Number(match?.[1]);
+  if (!match || version < 1 || version > SHARE_VERSION) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(match[2]));
+  } catch {
+    return null;
+  }
+  const tablet = unpackTablet(payload?.t);
+  if (!tablet) return null;
+
+  // Version 1 stored zone A (required) and zone B (optional) as packed areas
+  const packedZones =
+    version === 1
+      ? [payload.a, payload.b].filter(Boolean).map(area => [null, null, area])
+      : payload.z;
+  if (!Array.isArray(packedZones)) return null;
+
+  const zones = packedZones
+    .slice(0, MAX_ZONES)
+    .map((zone, index) => unpackZone(zone, index, tablet));
+  if (!zones.length || zones.includes(null)) return null;
+
+  return {
+    tablet,
+    zones,
+    comparisonMode: payload.c === 1,
+  };
+}
+
+/**
+ * Build a full share link for the given state
+ * @param {Object} state - App state (see encodeShareState)
+ * @param {string} [baseUrl=window.location.href] - Page URL; any existing hash is replaced
+ * @returns {string}
+ */
+export function buildShareUrl(state, baseUrl = window.location.href) {
+  return `${baseUrl.split('#')[0]}#${encodeShareState(state)}`;
+}
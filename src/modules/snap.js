@@ -0,0 +1,89 @@
+/**
+ * Osu!rea - Snap Module
+ * Magnetic snapping of values and dragged areas to alignment targets
+ * @module snap
+ */
+
+import { getRotatedHalfExtents } from './geometry.js';
+import { getRulerTicks } from './grid.js';
+
+/**
+ * Find the anchor closest to one of the targets
+ * @param {number[]} anchors - Values that can snap
+ * @param {number[]} targets - Values they snap to
+ * @param {number} threshold - Maximum distance between an anchor and its target
+ * @returns {{anchor: number, target: number, delta: number}|null} - Closest pair (delta moves
+ *   the anchor onto the target), or null when nothing is within the threshold
+ */
+export function findSnap(anchors, targets, threshold) {
+  let best = null;
+
+  for (const anchor of anchors) {
+    for (const target of targets) {
+      const delta = target - anchor;
+      if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+        best = { anchor, target, delta };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Snap value to nearest snap point if within threshold
+ * @param {number} value - Current value
+ * @param {number[]} snapPoints - Array of snap points
+ * @param {number} threshold - Distance threshold for snapping
+ * @returns {number} - Snapped value or original
+ */
+export function snapToPoint(value, snapPoints, threshold = 5) {
+  return findSnap([value], snapPoints, threshold)?.target ?? value;
+}
+
+/**
+ * Get the lines a dragged area can snap to
+ * @param {Object} options
+ * @param {{width: number, height: number}} options.tablet - Tablet dimensions in mm
+ * @param {Object[]} [options.others] - Areas of the other shown zones (their edges and centers)
+ * @param {number} [options.gridStep] - Grid step in mm (no grid lines when omitted)
+ * @returns {{x: number[], y: number[]}} - Vertical (x) and horizontal (y) lines in mm
+ */
+export function getSnapTargets({ tablet, others = [], gridStep }) {
+  const x = [0, tablet.width / 2, tablet.width];
+  const y = [0, tablet.height / 2, tablet.height];
+
+  for (const other of others) {
+    const { halfWidth, halfHeight } = getRotatedHalfExtents(other);
+    x.push(other.x - halfWidth, other.x, other.x + halfWidth);
+    y.push(other.y - halfHeight, other.y, other.y + halfHeight);
+  }
+
+  if (gridStep) {
+    x.push(...getRulerTicks(0, tablet.width, gridStep));
+    y.push(...getRulerTicks(0, tablet.height, gridStep));
+  }
+
+  return { x, y };
+}
+
+/**
+ * Snap an area so one of its edges or its center lines up with a target on each axis
+ * Edges are those of the rotated area's bounding box.
+ * @param {Object} area - Area at the dragged position (mm, center coordinates)
+ * @param {{x: number[], y: number[]}} targets - Lines to snap to (see getSnapTargets)
+ * @param {number} threshold - Snapping distance in mm
+ * @returns {{x: number, y: number, lines: {x: number|null, y: number|null}}} - Snapped center
+ *   and the line snapped to on each axis
+ */
+export function snapAreaPosition(area, targets, threshold) {
+  const { halfWidth, halfHeight } = getRotatedHalfExtents(area);
+  const snapX = findSnap([area.x - halfWidth, area.x, area.x + halfWidth], targets.x, threshold);
+  const snapY = findSnap([area.y - halfHeight, area.y, area.y + halfHeight], targets.y, threshold);
+
+  return {
+    x: area.x + (snapX?.delta ?? 0),
+    y: area.y + (snapY?.delta ?? 0),
+    lines: { x: snapX?.target ?? null, y: snapY?.target ?? null },
+  };
+}
@@ -119,6 +119,18 @@ export function loadPrefs() {
   return { ...DEFAULT_PREFS };
 }
 
+/**
+ * Check whether preferences have already been saved
+ * @returns {boolean}
+ */
+export function hasPrefs() {
+  try {
+    return localStorage.getItem(PREFS_KEY) !== null;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Save preferences to localStorage
  * @param {object} prefs
@@ -59,6 +59,30 @@ function filterTablets(query) {
   );
 }
 
+/**
+ * Get the catalog entry for a brand and model
+ * @param {string} brand - Brand name
+ * @param {string} model - Model name
+ * @returns {Object|undefined} - Tablet entry from tablets.json
+ */
+function getCatalogEntry(brand, model) {
+  return tablets.find(tablet => tablet.brand === brand && tablet.model === model);
+}
+
+/**
+ * Extract model codes (tokens containing a digit) from a tablet name
+ * Parenthesized aliases are ignored so "CTL-472 Small (One by Wacom S)" yields ["ctl-472"]
+ * @param {string} name - Tablet model or full name
+ * @returns {string[]} - Lowercase model codes
+ */
+function getModelCodes(name) {
+  return name
+    .replace(/\(.*?\)/g, ' ')
+    .toLowerCase()
+    .split(/[\s_/]+/)
+    .filter(token => /\d/.test(token));
+}
+
 /**
  * Render brands list
  * @param {Array} [filteredTablets=tablets] - Filtered tablets array
@@ -129,6 +153,7 @@ function renderModels(brand) {
   modelsList.querySelectorAll('.tablet-model-item').forEach(btn => {
     btn.addEventListener('click', () => {
       selectTablet({
+        ...getCatalogEntry(brand, btn.dataset.model),
         brand,
         model: btn.dataset.model,
         width: parseFloat(btn.dataset.width),
@@ -244,6 +269,7 @@ function renderSearchResults(filtered) {
   modelsList.querySelectorAll('.tablet-model-item').forEach(btn => {
     btn.addEventListener('click', () => {
       selectTablet({
+        ...getCatalogEntry(btn.dataset.brand, btn.dataset.model),
         brand: btn.dataset.brand,
         model: btn.dataset.model,
         width: parseFloat(btn.dataset.width),
@@ -345,6 +371,7 @@ export async function initTabletSelector(container, onChange = null) {
  */
 export function setCurrentTablet(tablet) {
   selectedTablet = tablet;
+  isCustomMode = !!tablet?.isCustom;
 
   if (tablet) {
     selectedBrand = tablet.brand;
@@ -367,6 +394,57 @@ export function getCurrentTablet() {
   return selectedTablet;
 }
 
+/**
+ * Find a known tablet from a driver-reported name (e.g. "Wacom CTL-472")
+ * Matches on brand and model code so naming differences between drivers are tolerated
+ * @param {string|null} name - Tablet name reported by a driver
+ * @returns {Object|null} - Tablet configuration or null when unknown
+ */
+export function findTabletByName(name) {
+  if (!name) return null;
+
+  const lowerName = name.toLowerCase();
+  const codes = getModelCodes(name);
+
+  const match = tablets.find(tablet => {
+    if (!lowerName.includes(tablet.brand.toLowerCase())) return false;
+    return getModelCodes(tablet.model).some(code => codes.includes(code));
+  });
+
+  return match ? { ...match, isCustom: false } : null;
+}
+
+/**
+ * Get the digitizer resolution of a tablet
+ * Tablets saved before resolution data existed are looked up in the catalog
+ * @param {Object|null} tablet - Tablet configuration
+ * @returns {{lpi: number, maxX: number, maxY: number}|null} - Resolution in lines per
+ *   inch and maximum X/Y counts, or null when unknown
+ */
+export function getTabletResolution(tablet) {
+  if (!tablet || tablet.isCustom) return null;
+
+  let source = tablet;
+  if (!tablet.lpi && !tablet.maxX) {
+    source =
+      getCatalogEntry(tablet.brand, tablet.model) ||
+      findTabletByName(`${tablet.brand} ${tablet.model}`);
+    // Catalog match must describe the same physical surface
+    if (!source || source.width !== tablet.width || source.height !== tablet.height) {
+      return null;
+    }
+  }
+
+  const lpi = source.lpi || (source.maxX ? (source.maxX / tablet.width) * 25.4 : 0);
+  if (!lpi) return null;
+
+  return {
+    lpi,
+    maxX: source.maxX || Math.round((tablet.width * lpi) / 25.4),
+    maxY: source.maxY || Math.round((tablet.height * lpi) / 25.4),
+  };
+}
+
 /**
  * Check if custom mode is active
  * @returns {boolean}
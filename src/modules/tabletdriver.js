@@ -0,0 +1,90 @@
+/**
+ * Osu!rea - TabletDriver Module
+ * Conversion between Osurea areas and legacy TabletDriver (hawku) config.txt commands
+ * @module tabletdriver
+ */
+
+import { normalizeRotation } from './geometry.js';
+
+/**
+ * Format a number the way TabletDriver's GUI writes its commands
+ * @param {number} value - Value to format
+ * @returns {string}
+ */
+function formatValue(value) {
+  return (Math.round(value * 100) / 100).toFixed(2);
+}
+
+/**
+ * Build the TabletDriver command block for an area
+ * Area uses center-based X/Y in mm (same as Osurea), ScreenArea uses a top-left offset in px
+ * @param {Object} options
+ * @param {Object} options.area - Area configuration (mm, center coordinates)
+ * @param {Object} [options.display] - Display area (px, center coordinates)
+ * @returns {string} - Commands, one per line
+ */
+export function buildTabletDriverConfig({ area, display }) {
+  const lines = [];
+
+  if (display) {
+    lines.push(
+      `ScreenArea ${Math.round(display.width)} ${Math.round(display.height)} ${Math.round(
+        display.x - display.width / 2
+      )} ${Math.round(display.y - display.height / 2)}`
+    );
+  }
+
+  lines.push(
+    `Area ${formatValue(area.width)} ${formatValue(area.height)} ${formatValue(
+      area.x
+    )} ${formatValue(area.y)}`
+  );
+  lines.push(`Rotation ${formatValue(area.rotation || 0).replace(/\.00$/, '')}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse TabletDriver commands (a full config.txt or a pasted excerpt)
+ * @param {string} text - Command text
+ * @returns {{area: Object, display: Object|null}|null} - Imported configuration, or null
+ *   when no valid Area/TabletArea command is found
+ */
+export function parseTabletDriverConfig(text) {
+  if (typeof text !== 'string') return null;
+
+  let area = null;
+  let display = null;
+  let rotation = 0;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    // Strip comments and split "Command arg1 arg2 ..."
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const [command, ...args] = line.split(/\s+/);
+    const values = args.map(Number);
+    const name = command.toLowerCase();
+
+    if ((name === 'area' || name === 'tabletarea') && values.length >= 4) {
+      const [width, height, x, y] = values;
+      if ([width, height, x, y].every(Number.isFinite) && width > 0 && height > 0) {
+        area = { width, height, x, y };
+      }
+    } else if (name === 'screenarea' && values.length >= 2) {
+      const [width, height, left = 0, top = 0] = values;
+      if ([width, height, left, top].every(Number.isFinite) && width > 0 && height > 0) {
+        display = { width, height, x: left + width / 2, y: top + height / 2 };
+      }
+    } else if (name === 'rotation' && Number.isFinite(values[0])) {
+      rotation = normalizeRotation(values[0]);
+    }
+  }
+
+  if (!area) return null;
+
+  return {
+    area: { ...area, rotation },
+    display,
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Osu!rea - Transfer Module
+ * Carry an area over to another tablet, keeping its physical size
+ * @module transfer
+ */
+
+import { clampAreaToTablet, fitRotatedSize, isAreaInBounds } from './geometry.js';
+
+/**
+ * Position of an area's center on the new tablet
+ * @param {Object} area - Area on the previous tablet (mm, center coordinates)
+ * @param {{width: number, height: number}} from - Previous tablet dimensions in mm
+ * @param {{width: number, height: number}} to - New tablet dimensions in mm
+ * @param {'proportional'|'offset'} mode - Same position relative to the tablet size, or same
+ *   distance from the corner
+ * @param {string} corner - Corner kept in offset mode (see TRANSFER_CORNERS)
+ * @returns {{x: number, y: number}}
+ */
+function getTransferredPosition(area, from, to, mode, corner) {
+  if (mode === 'proportional') {
+    return { x: (area.x / from.width) * to.width, y: (area.y / from.height) * to.height };
+  }
+
+  return {
+    x: corner.endsWith('right') ? to.width - (from.width - area.x) : area.x,
+    y: corner.startsWith('bottom') ? to.height - (from.height - area.y) : area.y,
+  };
+}
+
+/**
+ * Move an area to another tablet with the same physical size
+ * An area that does not fit is moved onto the tablet, and shrunk (keeping its ratio) when it
+ * is larger than the tablet.
+ * @param {Object} area - Area on the previous tablet (mm, center coordinates)
+ * @param {{width: number, height: number}} from - Previous tablet dimensions in mm
+ * @param {{width: number, height: number}} to - New tablet dimensions in mm
+ * @param {Object} [options]
+ * @param {'proportional'|'offset'} [options.mode='proportional'] - How the position is kept
+ * @param {string} [options.corner='top-left'] - Corner kept in offset mode
+ * @returns {{area: Object, transferred: Object, fits: boolean, resized: boolean}} - Area to
+ *   apply, area at the transferred position before fitting, whether it fitted as is and
+ *   whether it had to be shrunk
+ */
+export function transferArea(area, from, to, { mode = 'proportional', corner = 'top-left' } = {}) {
+  const transferred = { ...area, ...getTransferredPosition(area, from, to, mode, corner) };
+  const fits = isAreaInBounds(transferred, to);
+
+  const moved = fits ? transferred : clampAreaToTablet(transferred, to);
+  if (isAreaInBounds(moved, to)) return { area: moved, transferred, fits, resized: false };
+
+  const size = fitRotatedSize(area.width / area.height, area.rotation || 0, to);
+  return {
+    area: clampAreaToTablet({ ...transferred, ...size }, to),
+    transferred,
+    fits,
+    resized: true,
+  };
+}
@@ -130,3 +130,55 @@ export function generateId() {
     return v.toString(16);
   });
 }
+
+/**
+ * Trigger a browser download for generated text content
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} [mimeType='application/json'] - MIME type of the content
+ */
+export function downloadFile(content, filename, mimeType = 'application/json') {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Copy text to the clipboard
+ * Falls back to a hidden textarea when the async Clipboard API is unavailable
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} - Whether the copy succeeded
+ */
+export async function copyToClipboard(text) {
+  if (navigator.clipboard?.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch {
+      // Permission denied or insecure context, try the fallback below
+    }
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch {
+    copied = false;
+  }
+  textarea.remove();
+  return copied;
+}
@@ -5,11 +5,30 @@
  */
 
 import { icon } from './icons.js';
-import { throttle } from './utils.js';
+import { t } from './i18n.js';
+import { clamp, escapeHtml, formatNumber, throttle } from './utils.js';
+import { getGridSteps, getRulerTicks } from './grid.js';
+import { getSnapTargets, snapAreaPosition } from './snap.js';
+import { createZone, findZone, getTabletOffset } from './zones.js';
+import {
+  RESIZE_HANDLES,
+  resizeArea,
+  clampAreaToTablet,
+  getRotatedHalfExtents,
+  isAreaInBounds,
+  getZoomedPan,
+  nudgeArea,
+} from './geometry.js';
 import {
   MAX_VISUALIZER_SCALE,
+  MIN_VISUALIZER_ZOOM,
+  MAX_VISUALIZER_ZOOM,
+  VISUALIZER_ZOOM_STEP,
   VISUALIZER_PADDING,
+  RULER_SIZE,
+  DEFAULT_SNAP_THRESHOLD,
   RESIZE_THROTTLE_DELAY,
+  DEFAULT_AREA,
 } from '../constants/index.js';
 
 /**
@@ -17,43 +36,88 @@ import {
  * @property {Object} tablet - Tablet dimensions
  * @property {number} tablet.width - Tablet width in mm
  * @property {number} tablet.height - Tablet height in mm
- * @property {Object} area - Active area configuration
- * @property {number} area.width - Area width in mm
- * @property {number} area.height - Area height in mm
- * @property {number} area.x - Center X position in mm
- * @property {number} area.y - Center Y position in mm
- * @property {number} area.radius - Corner radius percentage
- * @property {number} area.rotation - Rotation angle in degrees
- * @property {Object} areaB - Zone B area configuration (comparison mode)
- * @property {boolean} comparisonMode - Whether comparison mode is enabled
- * @property {string} activeZone - Active zone ('A' or 'B')
- * @property {number} scale - Current display scale
+ * @property {Object[]} zones - Zones (id, name, color, visibility, area and tablet, see
+ *   zones.js)
+ * @property {boolean} comparisonMode - Whether the other visible zones are drawn
+ * @property {string} activeZone - Id of the zone edited by the controls
+ * @property {'center'|'top-left'} alignment - How the tablets of other zones are aligned with
+ *   the active zone's tablet
+ * @property {Object} layout - Box around the drawn tablets in active tablet mm (left, top,
+ *   right, bottom), fitted in the container
+ * @property {number} scale - Current display scale (px per mm, zoom included)
+ * @property {number} zoom - Zoom level (1 = whole tablet fits the container)
+ * @property {Object} pan - Offset of the tablet center from the container center in px
+ * @property {Object|null} panning - Active middle-drag pan (starting pointer and pan)
+ * @property {Object|null} pinch - Active two-finger pinch (starting distance, center, zoom, pan)
  * @property {boolean} isDragging - Whether area is being dragged
- * @property {Object} dragOffset - Drag offset coordinates
+ * @property {Object} dragOffset - Pointer offset from the dragged area's center in mm
  * @property {boolean} gridVisible - Whether grid is visible
+ * @property {number} gridSpacing - Wanted grid spacing in mm (coarsened when zoomed out)
+ * @property {boolean} guides - Whether the guide lines of the active area are shown
+ * @property {number} snapThreshold - Snapping distance of dragged areas in px (0 disables it)
+ * @property {Object|null} snapLines - Lines the dragged area snapped to ({x, y} in mm, null
+ *   on an axis that did not snap)
+ * @property {boolean} lockRatio - Whether resizing keeps the aspect ratio
+ * @property {Object|null} playfield - osu! playfield as fractions of the area, null when hidden
+ * @property {Object|null} resize - Active handle resize (handle, starting area and pointer)
+ * @property {Object|null} heatmap - Pen density grid over the tablet (see buildHeatmap)
+ * @property {Object|null} suggestedArea - Area suggested from the pen coverage
+ * @property {Object|null} beatmap - Beatmap density grid over the playfield and the playfield
+ *   position as fractions of the area
+ * @property {Object|null} recording - Pen recording (strokes of tablet mm samples, the stroke
+ *   being drawn and whether input is still recorded), null without recording
  */
 
 // DOM element references (cached)
 let container = null;
 let tabletBoundary = null;
-let areaRectangle = null;
-let areaRectangleB = null;
+// Area rectangle of each zone, by zone id
+const zoneElements = new Map();
+// Outlines of the other zones' tablets
+let zoneTabletsElement = null;
 let gridElement = null;
+let guidesElement = null;
+let rulerHorizontal = null;
+let rulerVertical = null;
+let rulerCorner = null;
 let contextMenu = null;
+let heatmapCanvas = null;
+let suggestedOutline = null;
+let trailElement = null;
+let trailFrame = null;
+let announcer = null;
 
 // Cached container dimensions
 let cachedContainerRect = null;
 
+const defaultZone = createZone(DEFAULT_AREA);
+
 const state = {
   tablet: { width: 152, height: 95 },
-  area: { width: 76, height: 47.5, x: 76, y: 47.5, radius: 0, rotation: 0 },
-  areaB: { width: 76, height: 47.5, x: 76, y: 47.5, radius: 0, rotation: 0 },
+  zones: [defaultZone],
   comparisonMode: false,
-  activeZone: 'A',
+  activeZone: defaultZone.id,
+  alignment: 'center',
+  layout: { left: 0, top: 0, right: 152, bottom: 95 },
   scale: 1,
+  zoom: 1,
+  pan: { x: 0, y: 0 },
+  panning: null,
+  pinch: null,
   isDragging: false,
   dragOffset: { x: 0, y: 0 },
   gridVisible: true,
+  gridSpacing: 5,
+  guides: false,
+  snapThreshold: DEFAULT_SNAP_THRESHOLD,
+  snapLines: null,
+  lockRatio: true,
+  resize: null,
+  playfield: null,
+  heatmap: null,
+  suggestedArea: null,
+  beatmap: null,
+  recording: null,
 };
 
 let onAreaChange = null;
@@ -65,6 +129,74 @@ function invalidateCache() {
   cachedContainerRect = null;
 }
 
+/**
+ * Get the zone edited by the controls (the first zone when the active id is unknown)
+ * @returns {Object}
+ */
+function getActiveZoneEntry() {
+  return findZone(state.zones, state.activeZone) ?? state.zones[0];
+}
+
+/**
+ * Check whether a zone is drawn: the active zone always is, the other visible zones only
+ * in comparison mode
+ * @param {Object} zone - Zone
+ * @returns {boolean}
+ */
+function isZoneShown(zone) {
+  return zone === getActiveZoneEntry() || (state.comparisonMode && zone.visible);
+}
+
+/**
+ * Get the tablet a zone's area is on (zones without one are on the active tablet)
+ * @param {Object} zone - Zone
+ * @returns {{width: number, height: number}}
+ */
+function getZoneTablet(zone) {
+  return zone.tablet ?? state.tablet;
+}
+
+/**
+ * Get the top-left corner of a zone's tablet in active tablet mm
+ * @param {Object} zone - Zone
+ * @returns {{x: number, y: number}}
+ */
+function getZoneOffset(zone) {
+  return getTabletOffset(getZoneTablet(zone), state.tablet, state.alignment);
+}
+
+/**
+ * Get the box around the active tablet and the tablets of the other shown zones
+ * @returns {{left: number, top: number, right: number, bottom: number}} - Edges in active
+ *   tablet mm
+ */
+function getLayoutBounds() {
+  const bounds = { left: 0, top: 0, right: state.tablet.width, bottom: state.tablet.height };
+
+  state.zones.filter(isZoneShown).forEach(zone => {
+    const { width, height } = getZoneTablet(zone);
+    const { x, y } = getZoneOffset(zone);
+    bounds.left = Math.min(bounds.left, x);
+    bounds.top = Math.min(bounds.top, y);
+    bounds.right = Math.max(bounds.right, x + width);
+    bounds.bottom = Math.max(bounds.bottom, y + height);
+  });
+
+  return bounds;
+}
+
+/**
+ * Offset of the active tablet's center from the center of the drawn tablets
+ * @returns {{x: number, y: number}} - Offset in px
+ */
+function getLayoutShift() {
+  const { left, top, right, bottom } = state.layout;
+  return {
+    x: (state.tablet.width - left - right) * (state.scale / 2),
+    y: (state.tablet.height - top - bottom) * (state.scale / 2),
+  };
+}
+
 /**
  * Get container rect (cached)
  * @returns {DOMRect|null}
@@ -78,7 +210,7 @@ function getContainerRect() {
 }
 
 /**
- * Calculate scale to fit tablet in container
+ * Calculate scale to fit the drawn tablets in container, times the zoom level
  * @returns {number} - Scale factor
  */
 function calculateScale() {
@@ -90,10 +222,11 @@ function calculateScale() {
   const availableWidth = containerRect.width - VISUALIZER_PADDING * 2;
   const availableHeight = containerRect.height - VISUALIZER_PADDING * 2;
 
-  const scaleX = availableWidth / state.tablet.width;
-  const scaleY = availableHeight / state.tablet.height;
+  const { left, top, right, bottom } = state.layout;
+  const scaleX = availableWidth / (right - left);
+  const scaleY = availableHeight / (bottom - top);
 
-  return Math.min(scaleX, scaleY, MAX_VISUALIZER_SCALE);
+  return Math.min(scaleX, scaleY, MAX_VISUALIZER_SCALE) * state.zoom;
 }
 
 /**
@@ -102,6 +235,7 @@ function calculateScale() {
 function updateTabletDisplay() {
   if (!tabletBoundary) return;
 
+  state.layout = getLayoutBounds();
   state.scale = calculateScale();
 
   const displayWidth = state.tablet.width * state.scale;
@@ -109,101 +243,651 @@ function updateTabletDisplay() {
 
   tabletBoundary.style.width = `${displayWidth}px`;
   tabletBoundary.style.height = `${displayHeight}px`;
+
+  // Pan no further than an edge of the tablet reaching the container center
+  state.pan = {
+    x: clamp(state.pan.x, -displayWidth / 2, displayWidth / 2),
+    y: clamp(state.pan.y, -displayHeight / 2, displayHeight / 2),
+  };
+  const shift = getLayoutShift();
+  tabletBoundary.style.transform = `translate(calc(-50% + ${state.pan.x + shift.x}px), calc(-50% + ${state.pan.y + shift.y}px))`;
+
+  updateGridDisplay();
 }
 
 /**
- * Update area rectangle display
+ * Position of the tablet's top-left corner (inside its border) in the container
+ * @param {DOMRect} rect - Container rect
+ * @returns {{x: number, y: number}} - px from the container's top-left corner
  */
-function updateAreaDisplay() {
-  if (!areaRectangle || !tabletBoundary) return;
+function getTabletOrigin(rect) {
+  const shift = getLayoutShift();
+  return {
+    x:
+      rect.width / 2 +
+      state.pan.x +
+      shift.x -
+      (state.tablet.width * state.scale) / 2 +
+      tabletBoundary.clientLeft,
+    y:
+      rect.height / 2 +
+      state.pan.y +
+      shift.y -
+      (state.tablet.height * state.scale) / 2 +
+      tabletBoundary.clientTop,
+  };
+}
 
-  const { width, height, x, y, radius, rotation } = state.area;
+/**
+ * Edges and center of the active area's bounding box (rotation included)
+ * @returns {{x: number[], y: number[]}} - Start, center and end on each axis, in tablet mm
+ */
+function getGuidePositions() {
+  const activeArea = getActiveZoneEntry().area;
+  const { halfWidth, halfHeight } = getRotatedHalfExtents(activeArea);
+
+  return {
+    x: [activeArea.x - halfWidth, activeArea.x, activeArea.x + halfWidth],
+    y: [activeArea.y - halfHeight, activeArea.y, activeArea.y + halfHeight],
+  };
+}
+
+/**
+ * Build the content of a ruler
+ * @param {boolean} vertical - Whether the ruler runs along the left edge
+ * @param {number} length - Ruler length in px
+ * @param {number} origin - Position of the tablet's 0 mm along the ruler in px
+ * @param {number[]} [guides] - Active area start, center and end in mm, to highlight
+ * @returns {string} - SVG markup
+ */
+function buildRuler(vertical, length, origin, guides) {
   const { scale } = state;
+  const { minor, major, label } = getGridSteps(state.gridSpacing, scale);
+  const from = -origin / scale;
+  const to = (length - origin) / scale;
+  const at = mm => (origin + mm * scale).toFixed(1);
+
+  // Ticks grow from the ruler's inner edge, labelled ones cross the whole ruler
+  const tick = (mm, size) =>
+    vertical ? `M${RULER_SIZE} ${at(mm)}h${-size}` : `M${at(mm)} ${RULER_SIZE}v${-size}`;
+  const text = (mm, value, className = 'ruler-label') =>
+    vertical
+      ? `<text class="${className}" x="11" y="${at(mm)}" dx="-3" transform="rotate(-90 11 ${at(mm)})">${value}</text>`
+      : `<text class="${className}" x="${at(mm)}" y="11" dx="3">${value}</text>`;
+
+  const ticks = getRulerTicks(from, to, minor)
+    .map(mm => tick(mm, mm % label === 0 ? RULER_SIZE : mm % major === 0 ? 8 : 4))
+    .join('');
+  const labels = getRulerTicks(from, to, label)
+    .map(mm => text(mm, mm))
+    .join('');
+
+  let guideMarks = '';
+  if (guides) {
+    const [start, center, end] = guides;
+    const band = vertical
+      ? `<rect class="ruler-guide-band" x="0" y="${at(start)}" width="${RULER_SIZE}" height="${((end - start) * scale).toFixed(1)}"></rect>`
+      : `<rect class="ruler-guide-band" x="${at(start)}" y="0" width="${((end - start) * scale).toFixed(1)}" height="${RULER_SIZE}"></rect>`;
+    guideMarks = `${band}<path class="ruler-guide" d="${tick(center, RULER_SIZE)}"></path>${text(
+      center,
+      center.toFixed(1),
+      'ruler-guide-label'
+    )}`;
+  }
+
+  return `<path class="ruler-ticks" d="${ticks}"></path>${labels}${guideMarks}`;
+}
+
+/**
+ * Update the guide lines and the rulers
+ * The guides mark the active area's edges and center while it is dragged or resized.
+ */
+function updateGuidesDisplay() {
+  const rect = getContainerRect();
+  if (!guidesElement || !rulerHorizontal || !rulerVertical || !rect) return;
+
+  const origin = getTabletOrigin(rect);
+  const guides = state.guides ? getGuidePositions() : null;
+
+  guidesElement.classList.toggle('hidden', !guides);
+  if (guides) {
+    guidesElement.querySelectorAll('.guide-line').forEach(line => {
+      const { axis, index } = line.dataset;
+      const value = guides[axis][index];
+      const snapped = state.snapLines?.[axis];
+      line.style[axis === 'x' ? 'left' : 'top'] = `${origin[axis] + value * state.scale}px`;
+      line.classList.toggle('snapped', snapped != null && Math.abs(snapped - value) < 1e-6);
+    });
+  }
+
+  rulerHorizontal.innerHTML = buildRuler(
+    false,
+    rect.width - RULER_SIZE,
+    origin.x - RULER_SIZE,
+    guides?.x
+  );
+  rulerVertical.innerHTML = buildRuler(
+    true,
+    rect.height - RULER_SIZE,
+    origin.y - RULER_SIZE,
+    guides?.y
+  );
+}
+
+/**
+ * Update the measured grid (aligned with the tablet's top-left corner) and the rulers
+ */
+function updateGridDisplay() {
+  const rect = getContainerRect();
+  if (!gridElement || !tabletBoundary || !rect) return;
+
+  const { minor, major } = getGridSteps(state.gridSpacing, state.scale);
+  const origin = getTabletOrigin(rect);
+
+  gridElement.style.setProperty('--grid-minor', `${minor * state.scale}px`);
+  gridElement.style.setProperty('--grid-major', `${major * state.scale}px`);
+  gridElement.style.setProperty('--grid-x', `${origin.x}px`);
+  gridElement.style.setProperty('--grid-y', `${origin.y}px`);
+
+  updateGuidesDisplay();
+}
+
+/**
+ * Show or hide the guide lines of the active area
+ * @param {boolean} visible - Whether the guides are shown
+ */
+function setGuidesVisible(visible) {
+  state.guides = visible;
+  state.snapLines = null;
+  updateGuidesDisplay();
+}
+
+/**
+ * Snap a dragged position to the tablet, the other shown zones and the visible grid
+ * @param {number} x - Dragged center X in mm
+ * @param {number} y - Dragged center Y in mm
+ * @returns {{x: number, y: number, lines: Object}} - Snapped center and the lines snapped to
+ */
+function snapPosition(x, y) {
+  const activeZone = getActiveZoneEntry();
+  const targets = getSnapTargets({
+    tablet: state.tablet,
+    others: state.zones
+      .filter(zone => zone !== activeZone && isZoneShown(zone))
+      .map(zone => {
+        const offset = getZoneOffset(zone);
+        return { ...zone.area, x: zone.area.x + offset.x, y: zone.area.y + offset.y };
+      }),
+    gridStep: state.gridVisible ? getGridSteps(state.gridSpacing, state.scale).minor : null,
+  });
+
+  // The threshold is in screen pixels, so snapping feels the same at any zoom
+  return snapAreaPosition({ ...activeZone.area, x, y }, targets, state.snapThreshold / state.scale);
+}
+
+/**
+ * Redraw everything positioned with the display scale
+ */
+function updateScaledDisplay() {
+  updateTabletDisplay();
+  updateAreaDisplay();
+  updateSuggestedAreaDisplay();
+}
+
+/**
+ * Share the zoom level (for the zoom controls)
+ */
+function emitZoomChange() {
+  window.dispatchEvent(new CustomEvent('visualizer-zoom', { detail: { zoom: state.zoom } }));
+}
+
+/**
+ * Zoom while keeping a point of the visualizer still
+ * @param {number} zoom - Wanted zoom level
+ * @param {{x: number, y: number}} [anchor] - Client point that stays still (the container
+ *   center by default)
+ * @param {{x: number, y: number}} [pan] - Pan the anchor offset applies to (the current one
+ *   by default)
+ */
+function zoomAt(zoom, anchor, pan = state.pan) {
+  const rect = getContainerRect();
+  if (!rect) return;
+
+  const next = clamp(zoom, MIN_VISUALIZER_ZOOM, MAX_VISUALIZER_ZOOM);
+  const offset = anchor
+    ? { x: anchor.x - (rect.left + rect.width / 2), y: anchor.y - (rect.top + rect.height / 2) }
+    : { x: 0, y: 0 };
+
+  state.pan = getZoomedPan(pan, offset, next / state.zoom);
+  state.zoom = next;
+  updateScaledDisplay();
+}
+
+/**
+ * Zoom with the mouse wheel (trackpad pinches arrive as wheel events with ctrlKey)
+ * @param {WheelEvent} e - Wheel event
+ */
+function handleWheel(e) {
+  e.preventDefault();
+
+  const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+  const factor = Math.exp(-pixels * (e.ctrlKey ? 0.01 : 0.002));
+  zoomAt(state.zoom * factor, { x: e.clientX, y: e.clientY });
+  emitZoomChange();
+}
+
+/**
+ * Start panning with the middle mouse button
+ * @param {MouseEvent} e - Mouse event
+ */
+function handlePanStart(e) {
+  if (e.button !== 1) return;
+
+  // Also prevents the browser's autoscroll
+  e.preventDefault();
+  state.panning = { x: e.clientX, y: e.clientY, pan: { ...state.pan } };
+  container.classList.add('panning');
+
+  document.addEventListener('mousemove', handlePanMove);
+  document.addEventListener('mouseup', handlePanEnd);
+}
+
+/**
+ * Pan with the middle mouse button
+ * @param {MouseEvent} e - Mouse event
+ */
+function handlePanMove(e) {
+  if (!state.panning) return;
+
+  const { x, y, pan } = state.panning;
+  state.pan = { x: pan.x + e.clientX - x, y: pan.y + e.clientY - y };
+  updateTabletDisplay();
+}
+
+/**
+ * Stop panning
+ */
+function handlePanEnd() {
+  state.panning = null;
+  container.classList.remove('panning');
+
+  document.removeEventListener('mousemove', handlePanMove);
+  document.removeEventListener('mouseup', handlePanEnd);
+}
+
+/**
+ * Distance and center of a two-finger touch
+ * @param {TouchList} touches - Active touches
+ * @returns {{distance: number, center: {x: number, y: number}}}
+ */
+function getPinchGeometry([first, second]) {
+  return {
+    distance: Math.hypot(second.clientX - first.clientX, second.clientY - first.clientY),
+    center: {
+      x: (first.clientX + second.clientX) / 2,
+      y: (first.clientY + second.clientY) / 2,
+    },
+  };
+}
+
+/**
+ * Start a pinch zoom when a second finger touches the visualizer
+ * @param {TouchEvent} e - Touch event
+ */
+function handlePinchStart(e) {
+  if (e.touches.length !== 2) return;
+
+  // The first finger may have grabbed the area: the gesture is a zoom instead
+  if (state.isDragging) handleDragEnd();
+
+  state.pinch = { ...getPinchGeometry(e.touches), zoom: state.zoom, pan: { ...state.pan } };
+}
+
+/**
+ * Zoom and pan with two fingers
+ * @param {TouchEvent} e - Touch event
+ */
+function handlePinchMove(e) {
+  if (!state.pinch || e.touches.length !== 2) return;
+
+  e.preventDefault();
+  const { distance, center } = getPinchGeometry(e.touches);
+  const { pinch } = state;
+
+  // Zoom around the starting center, then follow the fingers (a move is not scaled)
+  state.zoom = pinch.zoom;
+  zoomAt(pinch.zoom * (distance / pinch.distance), pinch.center, pinch.pan);
+  state.pan = {
+    x: state.pan.x + center.x - pinch.center.x,
+    y: state.pan.y + center.y - pinch.center.y,
+  };
+  updateTabletDisplay();
+}
+
+/**
+ * End the pinch when a finger is lifted
+ * @param {TouchEvent} e - Touch event
+ */
+function handlePinchEnd(e) {
+  if (!state.pinch || e.touches.length >= 2) return;
+
+  state.pinch = null;
+  emitZoomChange();
+}
+
+/**
+ * Update the area rectangle of a zone
+ * @param {Object} zone - Zone
+ */
+function updateZoneDisplay(zone) {
+  const rectangle = zoneElements.get(zone.id);
+  if (!rectangle || !tabletBoundary) return;
+
+  const active = zone === getActiveZoneEntry();
+  rectangle.classList.toggle('hidden', !isZoneShown(zone));
+  rectangle.style.setProperty('--zone-color', zone.color);
+
+  const { width, height, x, y, radius, rotation } = zone.area;
+  const { scale } = state;
+  const offset = getZoneOffset(zone);
 
   // Calculate pixel dimensions
   const displayWidth = width * scale;
   const displayHeight = height * scale;
 
-  // Position relative to tablet boundary (x, y are center coordinates)
-  const left = (x - width / 2) * scale;
-  const top = (y - height / 2) * scale;
+  // Position relative to tablet boundary (x, y are center coordinates on the zone's tablet)
+  const left = (offset.x + x - width / 2) * scale;
+  const top = (offset.y + y - height / 2) * scale;
 
-  areaRectangle.style.width = `${displayWidth}px`;
-  areaRectangle.style.height = `${displayHeight}px`;
-  areaRectangle.style.left = `${left}px`;
-  areaRectangle.style.top = `${top}px`;
+  rectangle.style.width = `${displayWidth}px`;
+  rectangle.style.height = `${displayHeight}px`;
+  rectangle.style.left = `${left}px`;
+  rectangle.style.top = `${top}px`;
 
   // Calculate border-radius: 50% of smallest dimension at 100%
   const maxRadius = Math.min(width, height) / 2;
   const actualRadius = (radius / 100) * maxRadius * scale;
-  areaRectangle.style.borderRadius = `${actualRadius}px`;
+  rectangle.style.borderRadius = `${actualRadius}px`;
 
   // Apply rotation
-  areaRectangle.style.transform = `rotate(${rotation || 0}deg)`;
+  rectangle.style.transform = `rotate(${rotation || 0}deg)`;
+
+  // Warn when a corner leaves the tablet's active surface
+  rectangle.classList.toggle('out-of-bounds', !isAreaInBounds(zone.area, getZoneTablet(zone)));
 
-  // Update active/inactive state in comparison mode
-  if (state.comparisonMode) {
-    areaRectangle.classList.toggle('inactive', state.activeZone !== 'A');
+  // Only the edited zone receives the pointer and the keyboard
+  rectangle.classList.toggle('active', active);
+  rectangle.classList.toggle('inactive', !active);
+  rectangle.tabIndex = active ? 0 : -1;
+}
+
+/**
+ * Update the outlines of the tablets the other shown zones are on
+ * Tablets with the active tablet's size are not outlined (they are drawn by its boundary).
+ */
+function updateZoneTabletsDisplay() {
+  if (!zoneTabletsElement) return;
+
+  const outlines = new Map();
+  state.zones.filter(isZoneShown).forEach(zone => {
+    const tablet = getZoneTablet(zone);
+    if (tablet.width === state.tablet.width && tablet.height === state.tablet.height) return;
+
+    const key = `${tablet.width}x${tablet.height}`;
+    if (!outlines.has(key)) outlines.set(key, { tablet, offset: getZoneOffset(zone), names: [] });
+    outlines.get(key).names.push(zone.name);
+  });
+
+  const { scale } = state;
+  zoneTabletsElement.innerHTML = [...outlines.values()]
+    .map(({ tablet, offset, names }) => {
+      const size = `${formatNumber(tablet.width, 1)} × ${formatNumber(tablet.height, 1)} mm`;
+      const label = `${names.join(', ')} · ${tablet.model || size}`;
+      return `
+        <div class="zone-tablet" style="left: ${offset.x * scale}px; top: ${offset.y * scale}px; width: ${tablet.width * scale}px; height: ${tablet.height * scale}px" title="${escapeHtml(size)}">
+          <span class="zone-tablet-label">${escapeHtml(label)}</span>
+        </div>
+      `;
+    })
+    .join('');
+}
+
+/**
+ * Update the area rectangles of all zones and the tablets they are on
+ */
+function updateAreaDisplay() {
+  updateZoneTabletsDisplay();
+  state.zones.forEach(updateZoneDisplay);
+}
+
+/**
+ * Redraw the zones, and everything scaled when the drawn tablets changed
+ */
+function updateZonesLayout() {
+  const bounds = getLayoutBounds();
+  const changed = ['left', 'top', 'right', 'bottom'].some(
+    edge => bounds[edge] !== state.layout[edge]
+  );
+
+  if (changed) {
+    updateScaledDisplay();
   } else {
-    areaRectangle.classList.remove('inactive');
+    updateAreaDisplay();
   }
 }
 
 /**
- * Update area rectangle B display (comparison mode)
+ * Update the osu! playfield overlays drawn inside the area rectangles
  */
-function updateAreaBDisplay() {
-  if (!areaRectangleB || !tabletBoundary) return;
+function updatePlayfieldDisplay() {
+  if (!container) return;
+
+  container.querySelectorAll('.playfield-overlay').forEach(overlay => {
+    overlay.classList.toggle('hidden', !state.playfield);
+    if (!state.playfield) return;
+
+    const { left, top, width, height } = state.playfield;
+    overlay.style.left = `${left * 100}%`;
+    overlay.style.top = `${top * 100}%`;
+    overlay.style.width = `${width * 100}%`;
+    overlay.style.height = `${height * 100}%`;
+  });
+}
 
-  if (!state.comparisonMode) {
-    areaRectangleB.classList.add('hidden');
-    return;
-  }
+/**
+ * Color of a heatmap cell, from cool (few samples) to hot (most samples)
+ * @param {number} intensity - Relative density (0-1)
+ * @returns {number[]} - RGBA components
+ */
+function getHeatColor(intensity) {
+  const hue = 220 * (1 - intensity);
+  const chroma = 1 - Math.abs(((hue / 60) % 2) - 1);
+  const sector = Math.floor(hue / 60);
+  const rgb = [
+    [1, chroma, 0],
+    [chroma, 1, 0],
+    [0, 1, chroma],
+    [0, chroma, 1],
+  ][Math.min(sector, 3)];
+
+  return [...rgb.map(value => Math.round(value * 255)), Math.round(90 + intensity * 165)];
+}
 
-  areaRectangleB.classList.remove('hidden');
+/**
+ * Draw a density grid on a canvas (one canvas pixel per cell, stretched by CSS)
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Object} heatmap - Density grid (see buildHeatmap)
+ */
+function drawHeatmap(canvas, { columns, rows, counts, max }) {
+  const context = canvas.getContext('2d');
+  if (!context) return;
+
+  canvas.width = columns;
+  canvas.height = rows;
+  const image = context.createImageData(columns, rows);
+
+  counts.forEach((count, index) => {
+    if (!count) return;
+    // Square root keeps sparse cells visible next to the hot spots
+    image.data.set(getHeatColor(Math.sqrt(count / max)), index * 4);
+  });
 
-  const { width, height, x, y, radius, rotation } = state.areaB;
-  const { scale } = state;
+  context.putImageData(image, 0, 0);
+}
 
-  // Calculate pixel dimensions
-  const displayWidth = width * scale;
-  const displayHeight = height * scale;
+/**
+ * Update the pen density heatmap drawn over the tablet
+ */
+function updateHeatmapDisplay() {
+  if (!heatmapCanvas) return;
 
-  // Position relative to tablet boundary (x, y are center coordinates)
-  const left = (x - width / 2) * scale;
-  const top = (y - height / 2) * scale;
+  heatmapCanvas.classList.toggle('hidden', !state.heatmap);
+  if (state.heatmap) drawHeatmap(heatmapCanvas, state.heatmap);
+}
 
-  areaRectangleB.style.width = `${displayWidth}px`;
-  areaRectangleB.style.height = `${displayHeight}px`;
-  areaRectangleB.style.left = `${left}px`;
-  areaRectangleB.style.top = `${top}px`;
+/**
+ * Update the beatmap density overlays drawn over the playfield inside the area rectangles
+ */
+function updateBeatmapDisplay() {
+  if (!container) return;
+
+  container.querySelectorAll('.beatmap-overlay').forEach(canvas => {
+    canvas.classList.toggle('hidden', !state.beatmap);
+    if (!state.beatmap) return;
+
+    const { left, top, width, height } = state.beatmap.playfield;
+    canvas.style.left = `${left * 100}%`;
+    canvas.style.top = `${top * 100}%`;
+    canvas.style.width = `${width * 100}%`;
+    canvas.style.height = `${height * 100}%`;
+    drawHeatmap(canvas, state.beatmap.heatmap);
+  });
+}
 
-  // Calculate border-radius
-  const maxRadius = Math.min(width, height) / 2;
-  const actualRadius = (radius / 100) * maxRadius * scale;
-  areaRectangleB.style.borderRadius = `${actualRadius}px`;
+/**
+ * Update the outline of the suggested area
+ */
+function updateSuggestedAreaDisplay() {
+  if (!suggestedOutline) return;
 
-  // Apply rotation
-  areaRectangleB.style.transform = `rotate(${rotation || 0}deg)`;
+  suggestedOutline.classList.toggle('hidden', !state.suggestedArea);
+  if (!state.suggestedArea) return;
+
+  const { width, height, x, y, rotation } = state.suggestedArea;
+  const { scale } = state;
 
-  // Update active state
-  areaRectangleB.classList.toggle('active', state.activeZone === 'B');
+  suggestedOutline.style.width = `${width * scale}px`;
+  suggestedOutline.style.height = `${height * scale}px`;
+  suggestedOutline.style.left = `${(x - width / 2) * scale}px`;
+  suggestedOutline.style.top = `${(y - height / 2) * scale}px`;
+  suggestedOutline.style.transform = `rotate(${rotation || 0}deg)`;
 }
 
 /**
- * Clamp area position within tablet bounds
+ * Clamp the active area position within tablet bounds (rotation included)
  */
 function clampPosition(x, y) {
-  const { width: areaW, height: areaH } = state.area;
-  const { width: tabletW, height: tabletH } = state.tablet;
+  return clampAreaToTablet({ ...getActiveZoneEntry().area, x, y }, state.tablet);
+}
 
-  const halfW = areaW / 2;
-  const halfH = areaH / 2;
+/**
+ * Get the pointer position of a mouse or touch event in tablet mm
+ * @param {MouseEvent|TouchEvent} e - Pointer event
+ * @returns {{x: number, y: number}}
+ */
+function getTabletPoint(e) {
+  const { clientX, clientY } = e.touches?.[0] ?? e;
+  const tabletRect = tabletBoundary.getBoundingClientRect();
 
+  // Areas are positioned from the inner edge of the tablet border
   return {
-    x: Math.max(halfW, Math.min(tabletW - halfW, x)),
-    y: Math.max(halfH, Math.min(tabletH - halfH, y)),
+    x: (clientX - tabletRect.left - tabletBoundary.clientLeft) / state.scale,
+    y: (clientY - tabletRect.top - tabletBoundary.clientTop) / state.scale,
+  };
+}
+
+/**
+ * Notify listeners that the active area was changed from the visualizer
+ */
+function emitAreaChange() {
+  const { id, area } = getActiveZoneEntry();
+  if (onAreaChange) {
+    onAreaChange({ ...area }, id);
+  }
+
+  window.dispatchEvent(
+    new CustomEvent('area-changed', {
+      detail: { ...area, zone: id },
+    })
+  );
+}
+
+/**
+ * Handle resize start on one of the area handles
+ */
+function handleResizeStart(e) {
+  if (e.button !== undefined && e.button !== 0) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+
+  const activeZone = getActiveZoneEntry();
+  zoneElements.get(activeZone.id)?.classList.add('resizing');
+
+  state.resize = {
+    handle: e.currentTarget.dataset.handle,
+    startArea: { ...activeZone.area },
+    startPoint: getTabletPoint(e),
   };
+  setGuidesVisible(true);
+
+  document.addEventListener('mousemove', handleResizeMove);
+  document.addEventListener('mouseup', handleResizeEnd);
+  document.addEventListener('touchmove', handleResizeMove, { passive: false });
+  document.addEventListener('touchend', handleResizeEnd);
+}
+
+/**
+ * Handle resize move (Shift resizes around the center)
+ */
+function handleResizeMove(e) {
+  if (!state.resize) return;
+
+  e.preventDefault();
+
+  const { handle, startArea, startPoint } = state.resize;
+  const point = getTabletPoint(e);
+
+  const resized = resizeArea(
+    startArea,
+    handle,
+    { x: point.x - startPoint.x, y: point.y - startPoint.y },
+    { tablet: state.tablet, lockRatio: state.lockRatio, symmetric: e.shiftKey }
+  );
+
+  const activeZone = getActiveZoneEntry();
+  activeZone.area = resized;
+  updateZoneDisplay(activeZone);
+  updateGuidesDisplay();
+}
+
+/**
+ * Handle resize end
+ */
+function handleResizeEnd() {
+  if (!state.resize) return;
+
+  state.resize = null;
+  setGuidesVisible(false);
+
+  zoneElements.get(getActiveZoneEntry().id)?.classList.remove('resizing');
+
+  document.removeEventListener('mousemove', handleResizeMove);
+  document.removeEventListener('mouseup', handleResizeEnd);
+  document.removeEventListener('touchmove', handleResizeMove);
+  document.removeEventListener('touchend', handleResizeEnd);
+
+  emitAreaChange();
 }
 
 /**
@@ -215,17 +899,17 @@ function handleDragStart(e) {
   e.preventDefault();
   state.isDragging = true;
 
-  const activeRect = state.activeZone === 'A' ? areaRectangle : areaRectangleB;
+  const { id, area } = getActiveZoneEntry();
+  const activeRect = zoneElements.get(id);
   activeRect.classList.add('dragging');
 
-  const rect = activeRect.getBoundingClientRect();
-  const clientX = e.clientX || e.touches?.[0]?.clientX;
-  const clientY = e.clientY || e.touches?.[0]?.clientY;
+  // preventDefault keeps the click from focusing the area, which the arrow keys need
+  activeRect.focus({ preventScroll: true });
 
-  state.dragOffset = {
-    x: clientX - (rect.left + rect.width / 2),
-    y: clientY - (rect.top + rect.height / 2),
-  };
+  // Offset in tablet mm, so the drag does not depend on the zoom or pan
+  const point = getTabletPoint(e);
+  state.dragOffset = { x: point.x - area.x, y: point.y - area.y };
+  setGuidesVisible(true);
 
   document.addEventListener('mousemove', handleDragMove);
   document.addEventListener('mouseup', handleDragEnd);
@@ -241,28 +925,27 @@ function handleDragMove(e) {
 
   e.preventDefault();
 
-  const clientX = e.clientX || e.touches?.[0]?.clientX;
-  const clientY = e.clientY || e.touches?.[0]?.clientY;
-
-  const tabletRect = tabletBoundary.getBoundingClientRect();
+  const point = getTabletPoint(e);
+  let x = point.x - state.dragOffset.x;
+  let y = point.y - state.dragOffset.y;
 
-  // Calculate new position in tablet coordinates
-  const relativeX = (clientX - state.dragOffset.x - tabletRect.left) / state.scale;
-  const relativeY = (clientY - state.dragOffset.y - tabletRect.top) / state.scale;
+  // Magnetic alignment (Alt disables it)
+  state.snapLines = null;
+  if (state.snapThreshold > 0 && !e.altKey) {
+    const snapped = snapPosition(x, y);
+    ({ x, y } = snapped);
+    state.snapLines = snapped.lines;
+  }
 
   // Clamp to bounds
-  const clamped = clampPosition(relativeX, relativeY);
+  const clamped = clampPosition(x, y);
 
   // Update the active zone
-  if (state.activeZone === 'A') {
-    state.area.x = clamped.x;
-    state.area.y = clamped.y;
-    updateAreaDisplay();
-  } else {
-    state.areaB.x = clamped.x;
-    state.areaB.y = clamped.y;
-    updateAreaBDisplay();
-  }
+  const activeZone = getActiveZoneEntry();
+  activeZone.area.x = clamped.x;
+  activeZone.area.y = clamped.y;
+  updateZoneDisplay(activeZone);
+  updateGuidesDisplay();
 }
 
 /**
@@ -272,9 +955,9 @@ function handleDragEnd() {
   if (!state.isDragging) return;
 
   state.isDragging = false;
+  setGuidesVisible(false);
 
-  const activeRect = state.activeZone === 'A' ? areaRectangle : areaRectangleB;
-  activeRect.classList.remove('dragging');
+  zoneElements.get(getActiveZoneEntry().id)?.classList.remove('dragging');
 
   document.removeEventListener('mousemove', handleDragMove);
   document.removeEventListener('mouseup', handleDragEnd);
@@ -282,17 +965,62 @@ function handleDragEnd() {
   document.removeEventListener('touchend', handleDragEnd);
 
   // Notify change with active zone info
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  if (onAreaChange) {
-    onAreaChange({ ...activeArea }, state.activeZone);
-  }
+  emitAreaChange();
+}
 
-  // Dispatch event
-  window.dispatchEvent(
-    new CustomEvent('area-changed', {
-      detail: { ...activeArea, zone: state.activeZone },
-    })
-  );
+/**
+ * Announce a keyboard change to screen readers
+ * @param {string} message - Announcement
+ */
+function announce(message) {
+  if (announcer) announcer.textContent = message;
+}
+
+/**
+ * Move (arrow keys) or rotate (bracket keys) the focused area, Shift for larger steps
+ * Changes are emitted like a drag, so they are saved and can be undone the same way.
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleAreaKeyDown(e) {
+  const zone = getActiveZoneEntry();
+  if (e.currentTarget.dataset.zone !== zone.id || e.ctrlKey || e.metaKey || e.altKey) return;
+
+  const activeArea = zone.area;
+  const directions = {
+    ArrowLeft: { x: -1 },
+    ArrowRight: { x: 1 },
+    ArrowUp: { y: -1 },
+    ArrowDown: { y: 1 },
+    // Shift turns the brackets into braces on most layouts
+    '[': { rotation: -1 },
+    '{': { rotation: -1 },
+    ']': { rotation: 1 },
+    '}': { rotation: 1 },
+  };
+  const direction = directions[e.key];
+  if (!direction) return;
+
+  Object.assign(activeArea, nudgeArea(activeArea, direction, state.tablet, e.shiftKey));
+  const message = direction.rotation
+    ? t('keyboard.rotation', { rotation: activeArea.rotation })
+    : t('keyboard.position', { x: activeArea.x.toFixed(1), y: activeArea.y.toFixed(1) });
+
+  e.preventDefault();
+  updateZoneDisplay(zone);
+  emitAreaChange();
+  announce(message);
+}
+
+/**
+ * Label the area rectangles for screen readers (in the current language)
+ */
+function updateAreaLabels() {
+  zoneElements.forEach((rectangle, id) => {
+    rectangle.setAttribute(
+      'aria-label',
+      t('keyboard.area', { zone: findZone(state.zones, id)?.name })
+    );
+  });
 }
 
 /**
@@ -344,13 +1072,11 @@ function hideContextMenu() {
  * Align area to a specific position
  */
 export function alignArea(position) {
-  const activeArea = state.activeZone === 'A' ? state.area : state.areaB;
-  const { width: areaW, height: areaH } = activeArea;
+  const activeZone = getActiveZoneEntry();
+  const activeArea = activeZone.area;
+  const { halfWidth: halfW, halfHeight: halfH } = getRotatedHalfExtents(activeArea);
   const { width: tabletW, height: tabletH } = state.tablet;
 
-  const halfW = areaW / 2;
-  const halfH = areaH / 2;
-
   const positions = {
     'top-left': { x: halfW, y: halfH },
     top: { x: tabletW / 2, y: halfH },
@@ -365,25 +1091,11 @@ export function alignArea(position) {
 
   const newPos = positions[position];
   if (newPos) {
-    if (state.activeZone === 'A') {
-      state.area.x = newPos.x;
-      state.area.y = newPos.y;
-      updateAreaDisplay();
-    } else {
-      state.areaB.x = newPos.x;
-      state.areaB.y = newPos.y;
-      updateAreaBDisplay();
-    }
+    activeArea.x = newPos.x;
+    activeArea.y = newPos.y;
+    updateZoneDisplay(activeZone);
 
-    if (onAreaChange) {
-      onAreaChange({ ...activeArea, x: newPos.x, y: newPos.y }, state.activeZone);
-    }
-
-    window.dispatchEvent(
-      new CustomEvent('area-changed', {
-        detail: { ...activeArea, x: newPos.x, y: newPos.y, zone: state.activeZone },
-      })
-    );
+    emitAreaChange();
   }
 
   hideContextMenu();
@@ -433,6 +1145,193 @@ function createContextMenu() {
   return menu;
 }
 
+/**
+ * Build the resize handle markup of an area rectangle
+ * @returns {string}
+ */
+function createResizeHandles() {
+  return Object.keys(RESIZE_HANDLES)
+    .map(
+      handle => `<div class="resize-handle resize-handle-${handle}" data-handle="${handle}"></div>`
+    )
+    .join('');
+}
+
+/**
+ * Build the guide line markup (start, center and end of the active area on each axis)
+ * @returns {string}
+ */
+function createGuideLines() {
+  return ['x', 'y']
+    .flatMap(axis =>
+      [0, 1, 2].map(
+        index =>
+          `<div class="guide-line guide-${axis}${index === 1 ? ' guide-center' : ''}" data-axis="${axis}" data-index="${index}"></div>`
+      )
+    )
+    .join('');
+}
+
+/**
+ * Start dragging a zone's rectangle (only the active zone can be dragged)
+ * @param {MouseEvent|TouchEvent} e - Pointer event
+ */
+function handleZonePointerDown(e) {
+  if (e.currentTarget.dataset.zone !== getActiveZoneEntry().id) return;
+  handleDragStart(e);
+}
+
+/**
+ * Create the area rectangle of a zone
+ * @param {string} id - Zone id
+ * @returns {HTMLElement}
+ */
+function createZoneElement(id) {
+  const rectangle = document.createElement('div');
+  rectangle.className = 'area-rectangle';
+  rectangle.dataset.zone = id;
+  rectangle.setAttribute('role', 'group');
+  rectangle.setAttribute('aria-keyshortcuts', 'ArrowLeft ArrowRight ArrowUp ArrowDown [ ]');
+  rectangle.innerHTML = `
+    <div class="playfield-overlay hidden"></div>
+    <canvas class="beatmap-overlay hidden"></canvas>
+    ${createResizeHandles()}
+  `;
+
+  rectangle.addEventListener('mousedown', handleZonePointerDown);
+  rectangle.addEventListener('touchstart', handleZonePointerDown, { passive: false });
+
+  // Keyboard nudges and rotation of the focused area
+  rectangle.addEventListener('keydown', handleAreaKeyDown);
+
+  // Resize handles (only the active zone receives pointer events)
+  rectangle.querySelectorAll('.resize-handle').forEach(handle => {
+    handle.addEventListener('mousedown', handleResizeStart);
+    handle.addEventListener('touchstart', handleResizeStart, { passive: false });
+  });
+
+  return rectangle;
+}
+
+/**
+ * Create, remove and order the area rectangles to match the zones, then redraw them
+ * Rectangles come right after the zone tablet outlines, in zone order.
+ */
+function renderZones() {
+  if (!tabletBoundary) return;
+
+  const ids = new Set(state.zones.map(zone => zone.id));
+  zoneElements.forEach((rectangle, id) => {
+    if (ids.has(id)) return;
+    rectangle.remove();
+    zoneElements.delete(id);
+  });
+
+  let created = false;
+  let previous = null;
+  state.zones.forEach(zone => {
+    let rectangle = zoneElements.get(zone.id);
+    if (!rectangle) {
+      rectangle = createZoneElement(zone.id);
+      zoneElements.set(zone.id, rectangle);
+      created = true;
+    }
+
+    // Moving a rectangle that is already in place would make it lose the focus
+    const expected = (previous ?? zoneTabletsElement).nextSibling;
+    if (expected !== rectangle) tabletBoundary.insertBefore(rectangle, expected);
+    previous = rectangle;
+  });
+
+  if (created) {
+    updatePlayfieldDisplay();
+    updateBeatmapDisplay();
+  }
+  updateAreaLabels();
+  updateZonesLayout();
+}
+
+/**
+ * Redraw the recorded pen trail (at most once per frame)
+ */
+function scheduleTrailUpdate() {
+  if (!trailElement || trailFrame) return;
+
+  trailFrame = requestAnimationFrame(() => {
+    trailFrame = null;
+    const strokes = state.recording?.strokes ?? [];
+    const path = strokes
+      .filter(stroke => stroke.length)
+      .map(stroke => `M${stroke.map(({ x, y }) => `${x.toFixed(2)} ${y.toFixed(2)}`).join('L')}`)
+      .join('');
+    trailElement.querySelector('path').setAttribute('d', path);
+  });
+}
+
+/**
+ * Update the trail size to the tablet (the trail is drawn in tablet mm)
+ */
+function updateTrailDisplay() {
+  if (!trailElement) return;
+
+  trailElement.classList.toggle('hidden', !state.recording);
+  trailElement.setAttribute('viewBox', `0 0 ${state.tablet.width} ${state.tablet.height}`);
+}
+
+/**
+ * Record a pen sample, ignoring hover (no pressure) and positions off the tablet
+ * @param {PointerEvent} e - Pointer event
+ */
+function recordPenSample(e) {
+  if (!(e.pressure > 0)) return;
+
+  const { x, y } = getTabletPoint(e);
+  if (x < 0 || y < 0 || x > state.tablet.width || y > state.tablet.height) return;
+
+  state.recording.stroke.push({ x, y, pressure: e.pressure, time: e.timeStamp });
+  scheduleTrailUpdate();
+}
+
+/**
+ * Start a recorded stroke when the pen touches the tablet boundary
+ * @param {PointerEvent} e - Pointer event
+ */
+function handlePenDown(e) {
+  if (!state.recording?.active || e.pointerType !== 'pen') return;
+
+  // Keep the pen from dragging the area or scrolling the page
+  e.preventDefault();
+  tabletBoundary.setPointerCapture?.(e.pointerId);
+
+  state.recording.stroke = [];
+  state.recording.strokes.push(state.recording.stroke);
+  recordPenSample(e);
+}
+
+/**
+ * Record pen samples, including the ones the browser coalesced into this event
+ * @param {PointerEvent} e - Pointer event
+ */
+function handlePenMove(e) {
+  if (!state.recording?.stroke || e.pointerType !== 'pen') return;
+
+  const samples = e.getCoalescedEvents?.() ?? [];
+  (samples.length ? samples : [e]).forEach(recordPenSample);
+}
+
+/**
+ * End the stroke and share the recording
+ * @param {PointerEvent} e - Pointer event
+ */
+function handlePenUp(e) {
+  if (!state.recording?.stroke || e.pointerType !== 'pen') return;
+
+  state.recording.stroke = null;
+  window.dispatchEvent(
+    new CustomEvent('pen-recorded', { detail: { points: getRecordedPoints() } })
+  );
+}
+
 /**
  * Initialize visualizer
  * @param {HTMLElement} containerEl - Container element
@@ -446,49 +1345,56 @@ export function initVisualizer(containerEl, onChange = null) {
   container.innerHTML = `
     <div class="visualizer-grid" id="visualizer-grid"></div>
     <div class="tablet-boundary" id="tablet-boundary">
-      <div class="area-rectangle" id="area-rectangle"></div>
-      <div class="area-rectangle-b hidden" id="area-rectangle-b"></div>
+      <div class="zone-tablets" id="zone-tablets" aria-hidden="true"></div>
+      <canvas class="heatmap-canvas hidden" id="heatmap-canvas"></canvas>
+      <svg class="recording-trail hidden" id="recording-trail" preserveAspectRatio="none">
+        <path vector-effect="non-scaling-stroke"></path>
+      </svg>
+      <div class="suggested-area hidden" id="suggested-area"></div>
     </div>
+    <div class="visualizer-guides hidden" id="visualizer-guides">${createGuideLines()}</div>
+    <svg class="visualizer-ruler ruler-horizontal" id="ruler-horizontal" aria-hidden="true"></svg>
+    <svg class="visualizer-ruler ruler-vertical" id="ruler-vertical" aria-hidden="true"></svg>
+    <div class="visualizer-ruler ruler-corner"></div>
+    <div class="sr-only" id="visualizer-announcer" aria-live="polite"></div>
     <div class="visualizer-loading hidden" id="visualizer-loading">
       <div class="spinner"></div>
     </div>
   `;
 
   tabletBoundary = container.querySelector('#tablet-boundary');
-  areaRectangle = container.querySelector('#area-rectangle');
-  areaRectangleB = container.querySelector('#area-rectangle-b');
+  zoneTabletsElement = container.querySelector('#zone-tablets');
   gridElement = container.querySelector('#visualizer-grid');
+  guidesElement = container.querySelector('#visualizer-guides');
+  rulerHorizontal = container.querySelector('#ruler-horizontal');
+  rulerVertical = container.querySelector('#ruler-vertical');
+  rulerCorner = container.querySelector('.ruler-corner');
+  heatmapCanvas = container.querySelector('#heatmap-canvas');
+  suggestedOutline = container.querySelector('#suggested-area');
+  trailElement = container.querySelector('#recording-trail');
+  announcer = container.querySelector('#visualizer-announcer');
 
   // Create context menu
   contextMenu = createContextMenu();
 
-  // Event listeners for Zone A
-  areaRectangle.addEventListener('mousedown', e => {
-    if (state.comparisonMode && state.activeZone !== 'A') return;
-    handleDragStart(e);
-  });
-  areaRectangle.addEventListener(
-    'touchstart',
-    e => {
-      if (state.comparisonMode && state.activeZone !== 'A') return;
-      handleDragStart(e);
-    },
-    { passive: false }
-  );
-
-  // Event listeners for Zone B
-  areaRectangleB.addEventListener('mousedown', e => {
-    if (state.activeZone !== 'B') return;
-    handleDragStart(e);
-  });
-  areaRectangleB.addEventListener(
-    'touchstart',
-    e => {
-      if (state.activeZone !== 'B') return;
-      handleDragStart(e);
-    },
-    { passive: false }
-  );
+  // Area rectangles (one per zone) and their screen reader labels
+  zoneElements.clear();
+  renderZones();
+  window.addEventListener('locale-changed', updateAreaLabels);
+
+  // Pen recording (pointer events report pressure and pointer type)
+  tabletBoundary.addEventListener('pointerdown', handlePenDown);
+  tabletBoundary.addEventListener('pointermove', handlePenMove);
+  tabletBoundary.addEventListener('pointerup', handlePenUp);
+  tabletBoundary.addEventListener('pointercancel', handlePenUp);
+
+  // Zoom (wheel, pinch) and pan (middle button)
+  container.addEventListener('wheel', handleWheel, { passive: false });
+  container.addEventListener('mousedown', handlePanStart);
+  container.addEventListener('touchstart', handlePinchStart, { passive: true });
+  container.addEventListener('touchmove', handlePinchMove, { passive: false });
+  container.addEventListener('touchend', handlePinchEnd);
+  container.addEventListener('touchcancel', handlePinchEnd);
 
   container.addEventListener('contextmenu', handleContextMenu);
 
@@ -502,9 +1408,7 @@ export function initVisualizer(containerEl, onChange = null) {
   // Handle resize with throttle for performance
   const throttledResize = throttle(() => {
     invalidateCache();
-    updateTabletDisplay();
-    updateAreaDisplay();
-    updateAreaBDisplay();
+    updateScaledDisplay();
   }, RESIZE_THROTTLE_DELAY);
 
   const resizeObserver = new ResizeObserver(throttledResize);
@@ -513,7 +1417,7 @@ export function initVisualizer(containerEl, onChange = null) {
   // Initial display
   updateTabletDisplay();
   updateAreaDisplay();
-  updateAreaBDisplay();
+  updateTrailDisplay();
 }
 
 /**
@@ -522,85 +1426,213 @@ export function initVisualizer(containerEl, onChange = null) {
 export function setTablet(width, height) {
   state.tablet.width = width;
   state.tablet.height = height;
-  updateTabletDisplay();
-  updateAreaDisplay();
-}
-
-/**
- * Update area properties
- */
-export function setArea(area) {
-  state.area = { ...state.area, ...area };
-  updateAreaDisplay();
+  updateScaledDisplay();
+  updateTrailDisplay();
 }
 
 /**
- * Update area B properties (comparison mode)
+ * Update the zones (added, removed, reordered, renamed or with a new area)
+ * @param {Object[]} zones - Zones (see zones.js), at least one
  */
-export function setAreaB(area) {
-  state.areaB = { ...state.areaB, ...area };
-  updateAreaBDisplay();
+export function setZones(zones) {
+  state.zones = zones.map(zone => ({ ...zone, area: { ...zone.area } }));
+  renderZones();
 }
 
 /**
  * Set area radius
  */
 export function setAreaRadius(radius) {
-  if (state.activeZone === 'A') {
-    state.area.radius = radius;
-    updateAreaDisplay();
-  } else {
-    state.areaB.radius = radius;
-    updateAreaBDisplay();
-  }
+  const activeZone = getActiveZoneEntry();
+  activeZone.area.radius = radius;
+  updateZoneDisplay(activeZone);
 }
 
 /**
  * Set area rotation
  */
 export function setAreaRotation(rotation) {
-  if (state.activeZone === 'A') {
-    state.area.rotation = rotation;
-    updateAreaDisplay();
-  } else {
-    state.areaB.rotation = rotation;
-    updateAreaBDisplay();
-  }
+  const activeZone = getActiveZoneEntry();
+  activeZone.area.rotation = rotation;
+  updateZoneDisplay(activeZone);
 }
 
 /**
- * Enable/disable comparison mode
+ * Enable/disable comparison mode (draw the other visible zones)
  */
 export function setComparisonMode(enabled) {
   state.comparisonMode = enabled;
-  updateAreaDisplay();
-  updateAreaBDisplay();
+  updateZonesLayout();
 }
 
 /**
- * Set active zone ('A' or 'B')
+ * Set the zone edited by the controls
+ * @param {string} id - Zone id
  */
-export function setActiveZone(zone) {
-  state.activeZone = zone;
-  updateAreaDisplay();
-  updateAreaBDisplay();
+export function setActiveZone(id) {
+  state.activeZone = id;
+  updateZonesLayout();
 }
 
 /**
- * Get current active zone
+ * Set how the tablets of zones on other tablets are aligned with the active zone's tablet
+ * @param {'center'|'top-left'} alignment - Tablet alignment
+ */
+export function setTabletAlignment(alignment) {
+  state.alignment = alignment;
+  updateZonesLayout();
+}
+
+/**
+ * Get the id of the zone edited by the controls
+ * @returns {string}
  */
 export function getActiveZone() {
-  return state.activeZone;
+  return getActiveZoneEntry().id;
 }
 
 /**
- * Toggle grid visibility
+ * Toggle grid and ruler visibility
  */
 export function setGridVisible(visible) {
   state.gridVisible = visible;
-  if (gridElement) {
-    gridElement.classList.toggle('hidden', !visible);
+  [gridElement, rulerHorizontal, rulerVertical, rulerCorner].forEach(element => {
+    element?.classList.toggle('hidden', !visible);
+  });
+}
+
+/**
+ * Set the snapping distance of dragged areas
+ * @param {number} threshold - Distance in px (0 disables snapping)
+ */
+export function setSnapThreshold(threshold) {
+  state.snapThreshold = threshold;
+}
+
+/**
+ * Set the grid spacing
+ * @param {number} spacing - Spacing in mm (coarsened when its lines get too close)
+ */
+export function setGridSpacing(spacing) {
+  state.gridSpacing = spacing;
+  updateGridDisplay();
+}
+
+/**
+ * Show the osu! playfield inside the areas
+ * @param {Object|null} playfield - Playfield position as fractions of the area (see
+ *   getPlayfieldFraction), or null to hide the overlay
+ */
+export function setPlayfield(playfield) {
+  state.playfield = playfield;
+  updatePlayfieldDisplay();
+}
+
+/**
+ * Show a pen density heatmap over the tablet
+ * @param {Object|null} heatmap - Density grid (see buildHeatmap), or null to hide it
+ */
+export function setHeatmap(heatmap) {
+  state.heatmap = heatmap;
+  updateHeatmapDisplay();
+}
+
+/**
+ * Show a beatmap's hit object density over the playfield inside the areas
+ * @param {Object|null} heatmap - Density grid over the playfield (see buildHeatmap), or null
+ *   to hide the overlay
+ * @param {Object} [playfield] - Playfield position as fractions of the area (see
+ *   getPlayfieldFraction)
+ */
+export function setBeatmapDensity(heatmap, playfield) {
+  state.beatmap = heatmap ? { heatmap, playfield } : null;
+  updateBeatmapDisplay();
+}
+
+/**
+ * Start or stop recording pen movements over the tablet
+ * Starting discards the previous recording; stopping keeps it until clearRecording.
+ * @param {boolean} enabled - Whether pen input is recorded
+ */
+export function setRecording(enabled) {
+  if (enabled) {
+    state.recording = { strokes: [], stroke: null, active: true };
+  } else if (state.recording) {
+    state.recording.stroke = null;
+    state.recording.active = false;
   }
+
+  tabletBoundary?.classList.toggle('recording', enabled);
+  updateTrailDisplay();
+  scheduleTrailUpdate();
+}
+
+/**
+ * Check whether pen movements are being recorded
+ * @returns {boolean}
+ */
+export function isRecording() {
+  return Boolean(state.recording?.active);
+}
+
+/**
+ * Get the recorded pen samples
+ * @returns {Array<{x: number, y: number, pressure: number, time: number}>} - Tablet mm
+ */
+export function getRecordedPoints() {
+  return state.recording ? state.recording.strokes.flat() : [];
+}
+
+/**
+ * Discard the recording and hide its trail
+ */
+export function clearRecording() {
+  state.recording = null;
+  tabletBoundary?.classList.remove('recording');
+  updateTrailDisplay();
+}
+
+/**
+ * Outline an area suggested from the pen coverage
+ * @param {Object|null} area - Suggested area (mm, center coordinates), or null to hide it
+ */
+export function setSuggestedArea(area) {
+  state.suggestedArea = area ? { ...area } : null;
+  updateSuggestedAreaDisplay();
+}
+
+/**
+ * Keep (or not) the aspect ratio when resizing with the handles
+ */
+export function setLockRatio(locked) {
+  state.lockRatio = locked;
+}
+
+/**
+ * Zoom in or out by steps around the container center
+ * @param {number} steps - Number of steps (negative to zoom out)
+ */
+export function zoomBy(steps) {
+  zoomAt(state.zoom * VISUALIZER_ZOOM_STEP ** steps);
+  emitZoomChange();
+}
+
+/**
+ * Fit the whole tablet in the visualizer again (zoom 1, no pan)
+ */
+export function resetZoom() {
+  state.zoom = 1;
+  state.pan = { x: 0, y: 0 };
+  updateScaledDisplay();
+  emitZoomChange();
+}
+
+/**
+ * Get the zoom level
+ * @returns {number} - 1 when the whole tablet fits
+ */
+export function getZoom() {
+  return state.zoom;
 }
 
 /**
@@ -609,8 +1641,7 @@ export function setGridVisible(visible) {
 export function getState() {
   return {
     tablet: { ...state.tablet },
-    area: { ...state.area },
-    areaB: { ...state.areaB },
+    zones: state.zones.map(zone => ({ ...zone, area: { ...zone.area } })),
     comparisonMode: state.comparisonMode,
     activeZone: state.activeZone,
   };
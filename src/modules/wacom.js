@@ -0,0 +1,70 @@
+/**
+ * Osu!rea - Wacom Module
+ * Conversion between Osurea areas (mm) and Wacom Tablet Preferences areas (device counts)
+ * @module wacom
+ */
+
+import { clamp } from './utils.js';
+
+/**
+ * @typedef {Object} WacomArea
+ * @property {number} top - Top edge in counts
+ * @property {number} left - Left edge in counts
+ * @property {number} bottom - Bottom edge in counts
+ * @property {number} right - Right edge in counts
+ */
+
+/**
+ * @typedef {Object} TabletResolution
+ * @property {number} lpi - Lines per inch
+ * @property {number} maxX - Maximum X count
+ * @property {number} maxY - Maximum Y count
+ */
+
+/**
+ * Convert an area to Wacom counts
+ * Wacom's portion area is axis-aligned, so rotation is ignored
+ * @param {Object} area - Area configuration (mm, center coordinates)
+ * @param {Object} tablet - Tablet dimensions in mm
+ * @param {TabletResolution} resolution - Tablet resolution
+ * @returns {WacomArea}
+ */
+export function areaToWacom(area, tablet, resolution) {
+  const countsX = resolution.maxX / tablet.width;
+  const countsY = resolution.maxY / tablet.height;
+
+  return {
+    top: clamp(Math.round((area.y - area.height / 2) * countsY), 0, resolution.maxY),
+    left: clamp(Math.round((area.x - area.width / 2) * countsX), 0, resolution.maxX),
+    bottom: clamp(Math.round((area.y + area.height / 2) * countsY), 0, resolution.maxY),
+    right: clamp(Math.round((area.x + area.width / 2) * countsX), 0, resolution.maxX),
+  };
+}
+
+/**
+ * Convert Wacom counts to an area
+ * @param {WacomArea} counts - Wacom portion area
+ * @param {Object} tablet - Tablet dimensions in mm
+ * @param {TabletResolution} resolution - Tablet resolution
+ * @returns {Object|null} - Area (mm, center coordinates) or null when the counts are invalid
+ */
+export function wacomToArea(counts, tablet, resolution) {
+  const top = clamp(counts.top, 0, resolution.maxY);
+  const left = clamp(counts.left, 0, resolution.maxX);
+  const bottom = clamp(counts.bottom, 0, resolution.maxY);
+  const right = clamp(counts.right, 0, resolution.maxX);
+
+  if (![top, left, bottom, right].every(Number.isFinite) || right <= left || bottom <= top) {
+    return null;
+  }
+
+  const mmX = tablet.width / resolution.maxX;
+  const mmY = tablet.height / resolution.maxY;
+
+  return {
+    width: (right - left) * mmX,
+    height: (bottom - top) * mmY,
+    x: ((left + right) / 2) * mmX,
+    y: ((top + bottom) / 2) * mmY,
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * Osu!rea - Zones Module
+ * Named, colored areas overlaid in comparison mode
+ * Functions never mutate the zone list they receive, so the store can compare lists.
+ * @module zones
+ */
+
+import { DEFAULT_AREA, ZONE_COLORS } from '../constants/index.js';
+import { generateId } from './utils.js';
+
+/**
+ * @typedef {Object} Zone
+ * @property {string} id - Unique identifier
+ * @property {string} name - Name shown in the zone selector
+ * @property {string} color - CSS color of the zone
+ * @property {boolean} visible - Whether the zone is drawn in comparison mode
+ * @property {Object} area - Area (mm, center coordinates, radius and rotation)
+ * @property {Object|null} tablet - Tablet the area is on (null until the store gives it the
+ *   current tablet)
+ */
+
+/**
+ * Keep only the area properties (saved areas may carry older fields)
+ * @param {Object} area - Area
+ * @returns {Object}
+ */
+function toArea(area) {
+  const { x, y, width, height, radius, rotation } = { ...DEFAULT_AREA, ...area };
+  return { x, y, width, height, radius, rotation };
+}
+
+/**
+ * First letter (A, B, C, ...) not used as a zone name
+ * @param {Zone[]} zones - Existing zones
+ * @returns {string}
+ */
+function getNextZoneName(zones) {
+  const names = new Set(zones.map(zone => zone.name));
+  for (let index = 0; index < 26; index++) {
+    const name = String.fromCharCode(65 + index);
+    if (!names.has(name)) return name;
+  }
+  return String(zones.length + 1);
+}
+
+/**
+ * First palette color not used by a zone (cycling when all are taken)
+ * @param {Zone[]} zones - Existing zones
+ * @returns {string}
+ */
+function getNextZoneColor(zones) {
+  const colors = new Set(zones.map(zone => zone.color));
+  return (
+    ZONE_COLORS.find(color => !colors.has(color)) ?? ZONE_COLORS[zones.length % ZONE_COLORS.length]
+  );
+}
+
+/**
+ * Create a zone named and colored after the existing ones
+ * @param {Object} area - Zone area
+ * @param {Zone[]} [zones] - Existing zones
+ * @param {Object|null} [tablet] - Tablet the area is on
+ * @returns {Zone}
+ */
+export function createZone(area, zones = [], tablet = null) {
+  return {
+    id: generateId(),
+    name: getNextZoneName(zones),
+    color: getNextZoneColor(zones),
+    visible: true,
+    area: toArea(area),
+    tablet: tablet ? { ...tablet } : null,
+  };
+}
+
+/**
+ * Find a zone by id
+ * @param {Zone[]} zones - Zones
+ * @param {string} id - Zone id
+ * @returns {Zone|undefined}
+ */
+export function findZone(zones, id) {
+  return zones.find(zone => zone.id === id);
+}
+
+/**
+ * Get the area of a zone, falling back to the first zone when the id is unknown
+ * @param {Zone[]} zones - Zones
+ * @param {string} id - Zone id
+ * @returns {Object} - Area (copy)
+ */
+export function getZoneArea(zones, id) {
+  return { ...(findZone(zones, id) ?? zones[0]).area };
+}
+
+/**
+ * Update a zone (area updates are merged into its area)
+ * @param {Zone[]} zones - Zones
+ * @param {string} id - Zone id
+ * @param {Partial<Zone>} updates - Zone property updates
+ * @returns {Zone[]} - Updated zones
+ */
+export function updateZone(zones, id, { area, ...updates }) {
+  return zones.map(zone =>
+    zone.id === id
+      ? { ...zone, ...updates, area: area ? { ...zone.area, ...area } : zone.area }
+      : zone
+  );
+}
+
+/**
+ * Add a copy of a zone right after it
+ * @param {Zone[]} zones - Zones
+ * @param {string} id - Id of the zone to copy
+ * @returns {{zones: Zone[], zone: Zone|null}} - Updated zones and the copy (null when the
+ *   id is unknown)
+ */
+export function duplicateZone(zones, id) {
+  const index = zones.findIndex(zone => zone.id === id);
+  if (index === -1) return { zones, zone: null };
+
+  const zone = createZone(zones[index].area, zones, zones[index].tablet);
+  return { zones: [...zones.slice(0, index + 1), zone, ...zones.slice(index + 1)], zone };
+}
+
+/**
+ * Remove a zone (the last zone is always kept)
+ * @param {Zone[]} zones - Zones
+ * @param {string} id - Zone id
+ * @returns {Zone[]} - Remaining zones
+ */
+export function removeZone(zones, id) {
+  if (zones.length <= 1) return zones;
+  return zones.filter(zone => zone.id !== id);
+}
+
+/**
+ * Move a zone in the list
+ * @param {Zone[]} zones - Zones
+ * @param {string} id - Zone id
+ * @param {number} offset - Positions to move by (negative moves towards the start)
+ * @returns {Zone[]} - Reordered zones
+ */
+export function moveZone(zones, id, offset) {
+  const index = zones.findIndex(zone => zone.id === id);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= zones.length) return zones;
+
+  const moved = [...zones];
+  moved.splice(target, 0, ...moved.splice(index, 1));
+  return moved;
+}
+
+/**
+ * Position of a zone's tablet relative to the reference tablet, when both are drawn at the
+ * same physical scale and aligned by their centers or top-left corners
+ * @param {{width: number, height: number}} tablet - Zone tablet (mm)
+ * @param {{width: number, height: number}} reference - Reference (active zone) tablet (mm)
+ * @param {'center'|'top-left'} alignment - Tablet alignment
+ * @returns {{x: number, y: number}} - Top-left corner of the tablet in reference tablet mm
+ */
+export function getTabletOffset(tablet, reference, alignment) {
+  if (alignment === 'top-left') return { x: 0, y: 0 };
+  return {
+    x: (reference.width - tablet.width) / 2,
+    y: (reference.height - tablet.height) / 2,
+  };
+}
+
+/**
+ * Check that a saved zone list is usable
+ * @param {*} zones - Saved zones
+ * @returns {boolean}
+ */
+function isValidZoneList(zones) {
+  return (
+    Array.isArray(zones) &&
+    zones.length > 0 &&
+    zones.every(
+      zone =>
+        zone &&
+        typeof zone.id === 'string' &&
+        typeof zone.name === 'string' &&
+        zone.area?.width > 0 &&
+        zone.area?.height > 0
+    )
+  );
+}
+
+/**
+ * Read the zones of saved preferences, migrating the former fixed A/B shape
+ * (area, areaB and activeZone 'A' | 'B') to a zone list
+ * @param {Object} saved - Saved preferences
+ * @returns {{zones: Zone[], activeZone: string}|null} - null when nothing usable is saved
+ */
+export function migrateZones(saved) {
+  if (!saved) return null;
+
+  if (isValidZoneList(saved.zones)) {
+    const zones = saved.zones.map((zone, index) => ({
+      ...zone,
+      color: zone.color || ZONE_COLORS[index % ZONE_COLORS.length],
+      visible: zone.visible !== false,
+      area: toArea(zone.area),
+      tablet: zone.tablet?.width > 0 && zone.tablet?.height > 0 ? zone.tablet : null,
+    }));
+    return {
+      zones,
+      activeZone: findZone(zones, saved.activeZone) ? saved.activeZone : zones[0].id,
+    };
+  }
+
+  if (!(saved.area?.width > 0 && saved.area?.height > 0)) return null;
+
+  const zones = [createZone(saved.area)];
+  if (saved.areaB?.width > 0 && saved.areaB?.height > 0) {
+    zones.push(createZone(saved.areaB, zones));
+  }
+  return {
+    zones,
+    activeZone: saved.activeZone === 'B' && zones[1] ? zones[1].id : zones[0].id,
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * Tests for the centralized store
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  getState,
+  getActiveArea,
+  setState,
+  setActiveAreaState,
+  subscribe,
+  resetState,
+  initializeState,
+} from '../index.js';
+
+describe('store', () => {
+  beforeEach(() => {
+    resetState();
+  });
+
+  it('should start with a single zone', () => {
+    const state = getState();
+
+    expect(state.zones).toHaveLength(1);
+    expect(state.zones[0]).toMatchObject({ name: 'A', visible: true, area: { width: 76 } });
+    expect(state.comparisonMode).toBe(false);
+    expect(state.activeZone).toBe(state.zones[0].id);
+  });
+
+  it('should merge monitor updates', () => {
+    setState({ monitor: { width: 2560 } });
+
+    expect(getState().monitor).toMatchObject({ width: 2560, height: 1080 });
+  });
+
+  it('should update the area of the active zone', () => {
+    const zoneA = getState().zones[0];
+    const zoneB = { ...zoneA, id: 'b', name: 'B', area: { ...zoneA.area } };
+    setState({ zones: [zoneA, zoneB], activeZone: 'b' });
+    setActiveAreaState({ width: 50 });
+
+    expect(getState().zones[1].area.width).toBe(50);
+    expect(getState().zones[0].area.width).toBe(76);
+    expect(getActiveArea().width).toBe(50);
+  });
+
+  it('should notify subscribers with the changed keys', () => {
+    const callback = vi.fn();
+    const unsubscribe = subscribe(callback);
+
+    setState({ comparisonMode: true });
+    setActiveAreaState({ x: 20 });
+    unsubscribe();
+
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(callback.mock.calls[0][1]).toEqual(['comparisonMode']);
+    expect(callback.mock.calls[1][1]).toEqual(['zones']);
+  });
+
+  it('should not notify when nothing changes', () => {
+    const callback = vi.fn();
+    const unsubscribe = subscribe(callback);
+    const { zones, activeZone } = getState();
+
+    setState({ activeZone, zones });
+    setActiveAreaState({ x: zones[0].area.x });
+    unsubscribe();
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should return copies of the state', () => {
+    getState().zones[0].area.x = 999;
+
+    expect(getState().zones[0].area.x).not.toBe(999);
+  });
+
+  it('should initialize from saved prefs', () => {
+    const area = { x: 40, y: 30, width: 60, height: 40, radius: 0, rotation: 0 };
+    initializeState({
+      tablet: { brand: 'Custom', model: 'Custom', width: 200, height: 150, isCustom: true },
+      zones: [
+        { id: 'a', name: 'A', color: '#52b788', visible: true, area },
+        { id: 'b', name: 'B', color: '#f4a261', visible: false, area: { ...area, x: 80 } },
+      ],
+      comparisonMode: true,
+      activeZone: 'b',
+      monitor: { width: 2560, height: 1440 },
+      display: { width: 2560 },
+    });
+    const state = getState();
+
+    expect(state.tablet.width).toBe(200);
+    expect(state.zones.map(zone => zone.id)).toEqual(['a', 'b']);
+    expect(getActiveArea().x).toBe(80);
+    expect(state.comparisonMode).toBe(true);
+    expect(state.activeZone).toBe('b');
+    expect(state.monitor).toEqual({ width: 2560, height: 1440 });
+    expect(state.display).toMatchObject({ width: 2560, height: 1080 });
+  });
+
+  it('should fall back to the first zone for an unknown active zone', () => {
+    const area = { x: 40, y: 30, width: 60, height: 40, radius: 0, rotation: 0 };
+    initializeState({
+      zones: [{ id: 'a', name: 'A', color: '#52b788', visible: true, area }],
+      activeZone: 'B',
+    });
+
+    expect(getState().activeZone).toBe('a');
+  });
+
+  it('should keep the tablet of each zone', () => {
+    const small = { brand: 'Wacom', model: 'CTL-472', width: 152, height: 95, isCustom: false };
+    const large = { brand: 'Wacom', model: 'PTH-860', width: 311, height: 216, isCustom: false };
+    const zoneA = getState().zones[0];
+    setState({ tablet: small });
+    setState({ zones: [...getState().zones, { ...zoneA, id: 'b', name: 'B', tablet: null }] });
+
+    // Zones without a tablet are on the current one, a new tablet goes to the active zone
+    expect(getState().zones[1].tablet).toEqual(small);
+    setState({ activeZone: 'b' });
+    setState({ tablet: large });
+    expect(getState().zones.map(zone => zone.tablet.model)).toEqual(['CTL-472', 'PTH-860']);
+
+    // Switching zones makes the zone's tablet current
+    setState({ activeZone: zoneA.id });
+    expect(getState().tablet).toEqual(small);
+  });
+
+  it('should give saved zones without a tablet the saved tablet', () => {
+    const area = { x: 40, y: 30, width: 60, height: 40, radius: 0, rotation: 0 };
+    const tablet = { brand: 'Custom', model: 'Custom', width: 200, height: 150, isCustom: true };
+    initializeState({
+      tablet,
+      zones: [{ id: 'a', name: 'A', color: '#52b788', visible: true, area }],
+      tabletAlignment: 'top-left',
+    });
+
+    expect(getState().zones[0].tablet).toEqual(tablet);
+    expect(getState().tabletAlignment).toBe('top-left');
+  });
+});
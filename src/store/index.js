@@ -4,7 +4,16 @@
  * @module store
  */
 
-import { DEFAULT_AREA } from '../constants/index.js';
+import {
+  DEFAULT_AREA,
+  DEFAULT_DISPLAY,
+  DEFAULT_MONITOR,
+  GRID_SPACINGS,
+  DEFAULT_SNAP_THRESHOLD,
+  MAX_SNAP_THRESHOLD,
+  TABLET_ALIGNMENTS,
+} from '../constants/index.js';
+import { createZone, findZone, getZoneArea, updateZone } from '../modules/zones.js';
 
 /**
  * @typedef {Object} Tablet
@@ -22,28 +31,97 @@ import { DEFAULT_AREA } from '../constants/index.js';
  * @property {number} width - Area width in mm
  * @property {number} height - Area height in mm
  * @property {number} radius - Corner radius percentage (0-100)
- * @property {number} rotation - Rotation angle in degrees (0-360)
+ * @property {number} rotation - Rotation angle in degrees (-180 to 180)
+ */
+
+/**
+ * @typedef {Object} Zone
+ * @property {string} id - Unique identifier
+ * @property {string} name - Name shown in the zone selector
+ * @property {string} color - CSS color of the zone
+ * @property {boolean} visible - Whether the zone is drawn in comparison mode
+ * @property {Area} area - Zone area
+ * @property {Tablet|null} tablet - Tablet the area is on
+ */
+
+/**
+ * @typedef {Object} Display
+ * @property {number} width - Display area width in px
+ * @property {number} height - Display area height in px
+ * @property {number} x - Center X position in px
+ * @property {number} y - Center Y position in px
+ */
+
+/**
+ * @typedef {Object} Monitor
+ * @property {number} width - Screen resolution width in px
+ * @property {number} height - Screen resolution height in px
  */
 
 /**
  * @typedef {Object} AppState
- * @property {Tablet|null} tablet - Current tablet configuration
- * @property {Area} area - Current area configuration
+ * @property {Tablet|null} tablet - Tablet of the active zone
+ * @property {Zone[]} zones - Zones, in display order (at least one)
+ * @property {boolean} comparisonMode - Whether the other visible zones are overlaid
+ * @property {string} activeZone - Id of the zone edited by the controls
+ * @property {'center'|'top-left'} tabletAlignment - How the tablets of zones on different
+ *   tablets are aligned
  * @property {boolean} lockRatio - Whether aspect ratio is locked
  * @property {boolean} showGrid - Whether grid is visible
+ * @property {number} gridSpacing - Grid spacing in mm (one of GRID_SPACINGS)
+ * @property {number} snapThreshold - Snapping distance of dragged areas in px (0 disables it)
+ * @property {boolean} showPlayfield - Whether the osu! playfield overlay is visible
+ * @property {number} playfieldScale - osu! playfield scaling (1 = 100%)
+ * @property {Monitor} monitor - Screen resolution
+ * @property {Display} display - Display area (portion of the monitor the area is mapped to)
  */
 
+/** Keys holding objects that are merged rather than replaced by setState */
+const MERGED_KEYS = ['monitor', 'display'];
+
+/**
+ * Create the default state
+ * @returns {AppState}
+ */
+function createDefaultState() {
+  const zone = createZone(DEFAULT_AREA);
+  return {
+    tablet: null,
+    zones: [zone],
+    comparisonMode: false,
+    activeZone: zone.id,
+    tabletAlignment: 'center',
+    lockRatio: true,
+    showGrid: true,
+    gridSpacing: 5,
+    snapThreshold: DEFAULT_SNAP_THRESHOLD,
+    showPlayfield: false,
+    playfieldScale: 1,
+    monitor: { ...DEFAULT_MONITOR },
+    display: { ...DEFAULT_DISPLAY },
+  };
+}
+
 /** @type {AppState} */
-const state = {
-  tablet: null,
-  area: { ...DEFAULT_AREA },
-  lockRatio: true,
-  showGrid: true,
-};
+const state = createDefaultState();
 
 /** @type {Set<Function>} */
 const subscribers = new Set();
 
+/**
+ * Deep equality for state values (plain objects and arrays are compared key by key)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const keysA = Object.keys(a);
+  return keysA.length === Object.keys(b).length && keysA.every(key => isSameValue(a[key], b[key]));
+}
+
 /**
  * Get the current state (immutable copy)
  * @returns {AppState} - Current state
@@ -51,9 +129,22 @@ const subscribers = new Set();
 export function getState() {
   return {
     tablet: state.tablet ? { ...state.tablet } : null,
-    area: { ...state.area },
+    zones: state.zones.map(zone => ({
+      ...zone,
+      area: { ...zone.area },
+      tablet: zone.tablet ? { ...zone.tablet } : null,
+    })),
+    comparisonMode: state.comparisonMode,
+    activeZone: state.activeZone,
+    tabletAlignment: state.tabletAlignment,
     lockRatio: state.lockRatio,
     showGrid: state.showGrid,
+    gridSpacing: state.gridSpacing,
+    snapThreshold: state.snapThreshold,
+    showPlayfield: state.showPlayfield,
+    playfieldScale: state.playfieldScale,
+    monitor: { ...state.monitor },
+    display: { ...state.display },
   };
 }
 
@@ -67,38 +158,73 @@ export function getStateProperty(key) {
   return currentState[key];
 }
 
+/**
+ * Get the area of the active zone
+ * @returns {Area}
+ */
+export function getActiveArea() {
+  return getZoneArea(state.zones, state.activeZone);
+}
+
+/**
+ * Keep the tablet and the zones' tablets in sync
+ * Each zone carries its own tablet and the tablet key is the active zone's: a new tablet goes to
+ * the active zone, switching zones makes that zone's tablet current. Zones without a tablet
+ * (added or saved before zones carried one) get the current tablet.
+ * @param {Partial<AppState>} updates - State updates
+ * @returns {Partial<AppState>} - Updates including the synced tablet and zones
+ */
+function withZoneTablets(updates) {
+  const zones = updates.zones ?? state.zones;
+  const active = findZone(zones, updates.activeZone ?? state.activeZone) ?? zones[0];
+  const tablet = 'tablet' in updates ? updates.tablet : (active.tablet ?? state.tablet);
+  if (!tablet) return updates;
+
+  return {
+    ...updates,
+    tablet,
+    zones: zones.map(zone => (zone === active || !zone.tablet ? { ...zone, tablet } : zone)),
+  };
+}
+
 /**
  * Update state with partial updates
+ * Subscribers are only notified when a value actually changes
  * @param {Partial<AppState>} updates - Partial state updates
  */
 export function setState(updates) {
-  let hasChanged = false;
+  const changedKeys = [];
+  if ('tablet' in updates || 'zones' in updates || 'activeZone' in updates) {
+    updates = withZoneTablets(updates);
+  }
 
   for (const key in updates) {
-    if (key === 'tablet') {
-      state.tablet = updates.tablet ? { ...updates.tablet } : null;
-      hasChanged = true;
-    } else if (key === 'area') {
-      state.area = { ...state.area, ...updates.area };
-      hasChanged = true;
-    } else if (key in state) {
-      state[key] = updates[key];
-      hasChanged = true;
+    if (!(key in state)) continue;
+
+    let value = updates[key];
+    if (MERGED_KEYS.includes(key)) {
+      value = { ...state[key], ...value };
+    } else if (key === 'tablet') {
+      value = value ? { ...value } : null;
+    }
+
+    if (!isSameValue(state[key], value)) {
+      state[key] = value;
+      changedKeys.push(key);
     }
   }
 
-  if (hasChanged) {
-    notifySubscribers();
+  if (changedKeys.length > 0) {
+    notifySubscribers(changedKeys);
   }
 }
 
 /**
- * Update only the area state
+ * Update the area of the active zone
  * @param {Partial<Area>} areaUpdates - Area property updates
  */
-export function setAreaState(areaUpdates) {
-  state.area = { ...state.area, ...areaUpdates };
-  notifySubscribers();
+export function setActiveAreaState(areaUpdates) {
+  setState({ zones: updateZone(state.zones, state.activeZone, { area: areaUpdates }) });
 }
 
 /**
@@ -106,13 +232,12 @@ export function setAreaState(areaUpdates) {
  * @param {Tablet|null} tablet - New tablet configuration
  */
 export function setTabletState(tablet) {
-  state.tablet = tablet ? { ...tablet } : null;
-  notifySubscribers();
+  setState({ tablet });
 }
 
 /**
  * Subscribe to state changes
- * @param {Function} callback - Function to call on state change
+ * @param {Function} callback - Called with (state, changedKeys) on state change
  * @returns {Function} - Unsubscribe function
  */
 export function subscribe(callback) {
@@ -126,12 +251,13 @@ export function subscribe(callback) {
 
 /**
  * Notify all subscribers of state change
+ * @param {Array<keyof AppState>} changedKeys - Keys that changed
  */
-function notifySubscribers() {
+function notifySubscribers(changedKeys) {
   const currentState = getState();
   subscribers.forEach(callback => {
     try {
-      callback(currentState);
+      callback(currentState, changedKeys);
     } catch (error) {
       console.error('Store subscriber error:', error);
     }
@@ -142,31 +268,62 @@ function notifySubscribers() {
  * Reset state to defaults
  */
 export function resetState() {
-  state.tablet = null;
-  state.area = { ...DEFAULT_AREA };
-  state.lockRatio = true;
-  state.showGrid = true;
-  notifySubscribers();
+  Object.assign(state, createDefaultState());
+  notifySubscribers(Object.keys(state));
 }
 
 /**
  * Initialize state from saved preferences
+ * Zones must already be in the current shape (see migrateZones).
+ * Does not notify subscribers (call before subscribing)
  * @param {Partial<AppState>} savedState - Saved state from storage
  */
 export function initializeState(savedState) {
   if (savedState) {
     if (savedState.tablet) state.tablet = { ...savedState.tablet };
-    if (savedState.area) state.area = { ...state.area, ...savedState.area };
+    if (Array.isArray(savedState.zones) && savedState.zones.length > 0) {
+      state.zones = savedState.zones.map(zone => ({
+        ...zone,
+        area: { ...zone.area },
+        tablet: zone.tablet ? { ...zone.tablet } : null,
+      }));
+      state.activeZone = state.zones[0].id;
+    }
+    if (typeof savedState.comparisonMode === 'boolean') {
+      state.comparisonMode = savedState.comparisonMode;
+    }
+    if (state.zones.some(zone => zone.id === savedState.activeZone)) {
+      state.activeZone = savedState.activeZone;
+    }
+    if (TABLET_ALIGNMENTS.includes(savedState.tabletAlignment)) {
+      state.tabletAlignment = savedState.tabletAlignment;
+    }
     if (typeof savedState.lockRatio === 'boolean') state.lockRatio = savedState.lockRatio;
     if (typeof savedState.showGrid === 'boolean') state.showGrid = savedState.showGrid;
+    if (GRID_SPACINGS.includes(savedState.gridSpacing)) {
+      state.gridSpacing = savedState.gridSpacing;
+    }
+    if (savedState.snapThreshold >= 0 && savedState.snapThreshold <= MAX_SNAP_THRESHOLD) {
+      state.snapThreshold = savedState.snapThreshold;
+    }
+    if (typeof savedState.showPlayfield === 'boolean') {
+      state.showPlayfield = savedState.showPlayfield;
+    }
+    if (savedState.playfieldScale > 0 && savedState.playfieldScale <= 1) {
+      state.playfieldScale = savedState.playfieldScale;
+    }
+    if (savedState.monitor) state.monitor = { ...state.monitor, ...savedState.monitor };
+    if (savedState.display) state.display = { ...state.display, ...savedState.display };
+    Object.assign(state, withZoneTablets({}));
   }
 }
 
 export default {
   getState,
   getStateProperty,
+  getActiveArea,
   setState,
-  setAreaState,
+  setActiveAreaState,
   setTabletState,
   subscribe,
   resetState,